@@ -0,0 +1,201 @@
+// services/BackInStockService.js
+const crypto = require('crypto');
+const Product = require('../models/ProductModel');
+const StockAlert = require('../models/StockAlertModel');
+const { sendBackInStockEmail } = require('../utils/sendEmail');
+const { sendSms } = require('../utils/sendSms');
+const logger = require('../utils/logger');
+
+// Subscriptions notified per batch; availability is checked again before each
+// batch, so a restock that sells out quickly stops the notifications
+const BATCH_SIZE = parseInt(process.env.BACK_IN_STOCK_BATCH_SIZE) || 50;
+
+// How often waiting subscriptions are checked against stock. Catches restocks
+// that don't go through a product endpoint, such as released reservations
+// or a bundle whose components came back.
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// A batch still claimed after this long was interrupted; its subscriptions go back to waiting
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+// What's needed to tell whether an item can be bought and to describe it
+const ALERT_PRODUCT_FIELDS = 'name slug images stockQuantity reservedQuantity inStock stockPaused variants status publishAt unpublishAt deletedAt';
+
+let sweepTimer = null;
+
+// Check in progress for each product, so checks for one product run one after another
+const checks = new Map();
+
+const storefrontUrl = () => (process.env.FRONTEND_URL || process.env.CLIENT_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// The items of a product that can be bought right now: null for the product
+// itself, plus the ids of variants in stock
+const availableTargets = (product) => {
+    if (!product || !product.isLive || product.stockPaused) return [];
+
+    const targets = product.variants
+        .filter(variant => variant.inStock)
+        .map(variant => variant._id);
+    if (product.inStock && product.availableQuantity > 0) targets.push(null);
+    return targets;
+};
+
+// Claim up to BATCH_SIZE waiting subscriptions, so no other check sends them too
+const claimBatch = async (productId, targets, skip) => {
+    const waiting = await StockAlert.find({
+        _id: { $nin: skip },
+        product: productId,
+        variantId: { $in: targets },
+        status: 'waiting'
+    })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE)
+        .select('_id')
+        .lean();
+    if (waiting.length === 0) return [];
+
+    const batchId = crypto.randomUUID();
+    await StockAlert.updateMany(
+        { _id: { $in: waiting.map(alert => alert._id) }, status: 'waiting' },
+        { $set: { status: 'sending', batchId, claimedAt: new Date() } }
+    );
+    return StockAlert.find({ batchId, status: 'sending' });
+};
+
+// Email and/or text one subscriber. Succeeds when either reached them.
+const notify = async (alert, product) => {
+    const variant = alert.variantId ? product.getVariant(alert.variantId) : null;
+    const options = variant
+        ? Array.from(variant.options || []).map(([name, value]) => `${name}: ${value}`).join(', ')
+        : '';
+    const productName = product.name;
+    const productUrl = `${storefrontUrl()}/product/${product.slug || product._id}`;
+
+    const results = [];
+    if (alert.email) {
+        results.push(await sendBackInStockEmail({
+            email: alert.email,
+            productName,
+            options,
+            imageUrl: variant?.images?.[0]?.imageUrl || product.images?.[0]?.imageUrl || null,
+            productUrl,
+            unsubscribeUrl: `${storefrontUrl()}/stock-alerts/unsubscribe/${alert.unsubscribeToken}`
+        }));
+    }
+    if (alert.phone) {
+        results.push(await sendSms({
+            phone: alert.phone,
+            message: `Good news! ${productName}${options ? ` (${options})` : ''} is back in stock at Merciluxe: ${productUrl}`
+        }));
+    }
+
+    const delivered = results.some(result => result.success);
+    return {
+        delivered,
+        error: delivered ? '' : results.map(result => result.error).filter(Boolean).join('; ')
+    };
+};
+
+class BackInStockService {
+    /**
+     * Notify everyone waiting for the product's available items, a batch at a time.
+     * Each subscription is notified once; failed sends are retried on the next
+     * check until they've failed StockAlert.MAX_SEND_ATTEMPTS times.
+     * @returns {Promise<{ notified: number, failed: number }>}
+     */
+    static async notifyProduct(productId) {
+        const summary = { notified: 0, failed: 0 };
+        if (!(await StockAlert.exists({ product: productId, status: 'waiting' }))) return summary;
+
+        // Failed sends go back to waiting; they're left for the next check
+        // rather than retried straight away in this one
+        const retry = [];
+        for (;;) {
+            const product = await Product.findById(productId).select(ALERT_PRODUCT_FIELDS);
+            const targets = availableTargets(product);
+            if (targets.length === 0) break;
+
+            const batch = await claimBatch(productId, targets, retry);
+            if (batch.length === 0) break;
+
+            for (const alert of batch) {
+                const { delivered, error } = await notify(alert, product);
+
+                if (delivered) {
+                    await StockAlert.updateOne(
+                        { _id: alert._id, batchId: alert.batchId },
+                        { $set: { status: 'notified', notifiedAt: new Date(), lastError: '' } }
+                    );
+                    summary.notified++;
+                } else {
+                    const attempts = alert.attempts + 1;
+                    const gaveUp = attempts >= StockAlert.MAX_SEND_ATTEMPTS;
+                    await StockAlert.updateOne(
+                        { _id: alert._id, batchId: alert.batchId },
+                        { $set: { status: gaveUp ? 'failed' : 'waiting', attempts, lastError: error, claimedAt: null } }
+                    );
+                    if (!gaveUp) retry.push(alert._id);
+                    summary.failed++;
+                }
+            }
+        }
+
+        if (summary.notified > 0 || summary.failed > 0) {
+            logger.info('Sent back in stock notifications', { product: productId.toString(), ...summary });
+        }
+        return summary;
+    }
+
+    /**
+     * Check a product for waiting subscribers after its stock changed.
+     * Runs in the background; the returned promise never rejects.
+     */
+    static queueCheck(productId) {
+        const id = productId.toString();
+        const check = (checks.get(id) || Promise.resolve())
+            .then(() => this.notifyProduct(id))
+            .catch(err => logger.error('Back in stock check failed', { product: id, error: err.message }))
+            .finally(() => {
+                if (checks.get(id) === check) checks.delete(id);
+            });
+        checks.set(id, check);
+        return check;
+    }
+
+    /**
+     * Release interrupted batches, then check every product with waiting subscribers
+     */
+    static async sweep() {
+        await StockAlert.updateMany(
+            { status: 'sending', claimedAt: { $lte: new Date(Date.now() - STALE_CLAIM_MS) } },
+            { $set: { status: 'waiting', claimedAt: null } }
+        );
+
+        const productIds = await StockAlert.distinct('product', { status: 'waiting' });
+        for (const productId of productIds) {
+            await this.queueCheck(productId);
+        }
+        return productIds.length;
+    }
+
+    /**
+     * Periodically check waiting subscriptions. Safe to call more than once.
+     */
+    static startSweep() {
+        if (sweepTimer) return;
+
+        sweepTimer = setInterval(() => {
+            this.sweep().catch(err => logger.error('Back in stock sweep failed', { error: err.message }));
+        }, SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    }
+
+    static stopSweep() {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+BackInStockService.availableTargets = availableTargets;
+
+module.exports = BackInStockService;
@@ -0,0 +1,97 @@
+// services/CartService.js
+const Product = require('../models/ProductModel');
+
+// Flat delivery charge added to every order (GH₵); free-delivery promotions waive it
+const DELIVERY_FEE = parseFloat(process.env.DELIVERY_FEE) || 0;
+
+// Most units of one item a single order can ask for
+const MAX_LINE_QUANTITY = parseInt(process.env.MAX_LINE_QUANTITY) || 100;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Raised for carts that can't be priced, so controllers can answer 400
+class CartError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CartError';
+        this.status = 400;
+    }
+}
+
+class CartService {
+    /**
+     * Price a cart from the catalog rather than trusting client prices.
+     * @param {Array<{ productId, variantId?, sku?, quantity, image?, personalisation? }>} items
+     *   `personalisation` maps the product's personalisation field keys to what the customer entered
+     * @returns {Promise<{ lines: Object[], subtotal: number, deliveryFee: number }>}
+     * @throws {CartError} For unknown, unpublished or unavailable items
+     */
+    static async priceCart(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new CartError('The cart is empty');
+        }
+
+        const lines = [];
+        for (const item of items) {
+            const quantity = parseInt(item.quantity);
+            if (!(quantity >= 1)) {
+                throw new CartError(`Quantity for ${item.title || 'an item'} must be at least 1`);
+            }
+            if (quantity > MAX_LINE_QUANTITY) {
+                throw new CartError(`Quantity for ${item.title || 'an item'} can't be more than ${MAX_LINE_QUANTITY}`);
+            }
+
+            const product = item.productId ? await Product.findById(item.productId).catch(() => null) : null;
+            if (!product || !product.isLive) {
+                throw new CartError(`${item.title || 'An item'} is no longer available`);
+            }
+
+            if (product.stockPaused) {
+                throw new CartError(`${product.name} is out of stock`);
+            }
+
+            let variant = null;
+            if (product.variants.length > 0) {
+                variant = product.getVariant(item.variantId || item.sku);
+                if (!variant || !variant.isActive) {
+                    throw new CartError(`Selected option is no longer available for ${product.name}`);
+                }
+            }
+
+            const personalisation = Product.checkPersonalisation(product.personalisationFields, item.personalisation);
+            if (personalisation.errors.length > 0) {
+                throw new CartError(`${product.name}: ${personalisation.errors[0]}`);
+            }
+
+            // Personalisation charges are added after any sale discount
+            const unitPrice = roundMoney(product.getUnitPrice(variant) + personalisation.charge);
+            const image = variant?.images?.[0]?.imageUrl || product.images?.[0]?.imageUrl || item.image || '';
+
+            lines.push({
+                productId: product._id,
+                variantId: variant ? variant._id : null,
+                sku: variant ? variant.sku : '',
+                options: variant ? Object.fromEntries(variant.options) : undefined,
+                title: product.name,
+                category: product.category,
+                image,
+                price: unitPrice,
+                personalisation: personalisation.entries.length > 0 ? personalisation.entries : undefined,
+                personalisationCharge: personalisation.charge,
+                quantity,
+                lineTotal: roundMoney(unitPrice * quantity)
+            });
+        }
+
+        return {
+            lines,
+            subtotal: roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+            deliveryFee: DELIVERY_FEE
+        };
+    }
+}
+
+CartService.CartError = CartError;
+CartService.roundMoney = roundMoney;
+
+module.exports = CartService;
@@ -0,0 +1,168 @@
+// services/CurrencyService.js
+const Product = require('../models/ProductModel');
+const ExchangeRate = require('../models/ExchangeRateModel');
+
+const { BASE_CURRENCY } = ExchangeRate;
+const BASE_SYMBOL = 'GH₵';
+
+// How long exchange rates are kept before reloading
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cache = null;
+
+// Raised for unknown or disabled currencies, so requests can answer 400
+class CurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CurrencyError';
+        this.status = 400;
+    }
+}
+
+// Round half away from zero, nudged so values like 1.005 don't fall short
+const roundTo = (value, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.sign(value) * Math.round((Math.abs(value) + Number.EPSILON) * factor) / factor;
+};
+
+const BASE_DISPLAY = { currency: BASE_CURRENCY, symbol: BASE_SYMBOL, rate: 1, decimals: 2, rateUpdatedAt: null };
+
+class CurrencyService {
+    /**
+     * Active rates keyed by currency code
+     */
+    static async load() {
+        if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+            return cache;
+        }
+
+        const rates = await ExchangeRate.find({ isActive: true }).lean();
+        cache = {
+            rates: new Map(rates.map(rate => [rate.currency, rate])),
+            loadedAt: Date.now()
+        };
+        return cache;
+    }
+
+    /**
+     * Drop the cached rates so the next request sees an admin's change
+     */
+    static invalidate() {
+        cache = null;
+    }
+
+    /**
+     * Currencies the storefront can show prices in, base currency first
+     */
+    static async listCurrencies() {
+        const { rates } = await this.load();
+        return [
+            BASE_DISPLAY,
+            ...[...rates.values()]
+                .sort((a, b) => a.currency.localeCompare(b.currency))
+                .map(rate => this.toDisplay(rate))
+        ];
+    }
+
+    /**
+     * The display currency for a requested code; null when none was asked for.
+     * @throws {CurrencyError} for codes without an active rate
+     */
+    static async resolve(code) {
+        if (code === undefined || code === null || code === '') return null;
+
+        const currency = String(code).trim().toUpperCase();
+        if (currency === BASE_CURRENCY) return BASE_DISPLAY;
+
+        const { rates } = await this.load();
+        const rate = rates.get(currency);
+        if (!rate) {
+            throw new CurrencyError(`Prices can't be shown in ${currency}. Choose one of: ${[BASE_CURRENCY, ...rates.keys()].join(', ')}`);
+        }
+        return this.toDisplay(rate);
+    }
+
+    static toDisplay(rate) {
+        return {
+            currency: rate.currency,
+            symbol: rate.symbol || rate.currency,
+            rate: rate.rate,
+            decimals: rate.decimals ?? 2,
+            rateUpdatedAt: rate.updatedAt || null
+        };
+    }
+
+    /**
+     * A GH₵ amount in the display currency, rounded to its decimals
+     */
+    static convert(amount, display) {
+        if (amount === null || amount === undefined) return amount;
+        return roundTo(amount / display.rate, display.decimals);
+    }
+
+    /**
+     * Display prices for a product (plain object with its pricing already added)
+     */
+    static displayProduct(product, display) {
+        const convert = (amount) => this.convert(amount, display);
+
+        return {
+            currency: display.currency,
+            symbol: display.symbol,
+            rate: display.rate,
+            price: convert(product.price),
+            salePrice: convert(product.salePrice),
+            savings: convert(product.savings),
+            originalPrice: convert(product.originalPrice),
+            ...(product.lowestPrice30Days !== undefined && { lowestPrice30Days: convert(product.lowestPrice30Days) }),
+            ...(product.variants?.length > 0 && {
+                variants: product.variants.map(variant => {
+                    const pricing = Product.computePricing(product, { variant });
+                    return {
+                        _id: variant._id,
+                        sku: variant.sku,
+                        price: convert(pricing.basePrice),
+                        salePrice: convert(pricing.salePrice)
+                    };
+                })
+            })
+        };
+    }
+
+    /**
+     * Display amounts for an order. An order viewed in the currency it was
+     * placed in keeps the rate the customer saw at checkout.
+     */
+    static displayOrder(order, display) {
+        const recorded = order.displayCurrency;
+        const used = recorded && recorded.currency === display.currency
+            ? { ...display, rate: recorded.rate }
+            : display;
+        const convert = (amount) => this.convert(amount, used);
+
+        return {
+            currency: used.currency,
+            symbol: used.symbol,
+            rate: used.rate,
+            settlementCurrency: BASE_CURRENCY,
+            items: (order.items || []).map(item => ({
+                productId: item.productId,
+                sku: item.sku,
+                title: item.title,
+                quantity: item.quantity,
+                price: convert(item.price),
+                lineTotal: convert(item.price * item.quantity)
+            })),
+            subtotal: convert(order.subtotal),
+            deliveryFee: convert(order.deliveryFee),
+            discountTotal: convert(order.discountTotal),
+            totalAmount: convert(order.totalAmount)
+        };
+    }
+}
+
+CurrencyService.CurrencyError = CurrencyError;
+CurrencyService.BASE_CURRENCY = BASE_CURRENCY;
+CurrencyService.roundTo = roundTo;
+
+module.exports = CurrencyService;
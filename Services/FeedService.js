@@ -0,0 +1,246 @@
+// services/FeedService.js
+const Product = require('../models/ProductModel');
+const Category = require('../models/CategoryModel');
+const { BASE_CURRENCY } = require('../models/ExchangeRateModel');
+const logger = require('../utils/logger');
+
+// How long generated feeds are served before being rebuilt. Catalog edits
+// invalidate them straight away; the TTL picks up stock movements, scheduled
+// publishing and sale dates.
+const FEED_TTL_MS = 15 * 60 * 1000;
+
+const BRAND = 'Merciluxe';
+
+// Storefront pages that aren't products or categories
+const CONTENT_PAGES = (process.env.SITEMAP_CONTENT_PAGES || '/,/shop,/about,/contact,/package-request')
+    .split(',')
+    .map(page => page.trim())
+    .filter(Boolean);
+
+// Where products live on the storefront
+const productPath = (product) => `/product/${product.slug || product._id}`;
+
+// Google Merchant caps
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ADDITIONAL_IMAGES = 10;
+
+// How long an open-ended sale is advertised for (the feed is rebuilt long before it runs out)
+const OPEN_SALE_DAYS = 365;
+
+const TSV_COLUMNS = [
+    'id', 'item_group_id', 'title', 'description', 'link', 'image_link', 'additional_image_link',
+    'availability', 'price', 'sale_price', 'sale_price_effective_date',
+    'condition', 'brand', 'product_type', 'identifier_exists', 'size', 'color'
+];
+
+let cache = null;
+
+const storefrontUrl = () => (process.env.FRONTEND_URL || process.env.CLIENT_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Relative storefront paths get the storefront origin; absolute links pass through
+const absoluteUrl = (path) => (/^https?:\/\//i.test(path) ? path : `${storefrontUrl()}${path.startsWith('/') ? '' : '/'}${path}`);
+
+const escapeXml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// TSV cells can't hold tabs or line breaks
+const tsvCell = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+
+const money = (amount) => `${Number(amount).toFixed(2)} ${BASE_CURRENCY}`;
+
+const truncate = (text, length) => {
+    const value = String(text || '').trim();
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+// The variant option whose name looks like `pattern` (e.g. Size, Colour)
+const optionValue = (variant, pattern) => {
+    const entry = Object.entries(variant?.options || {}).find(([name]) => pattern.test(name));
+    return entry ? entry[1] : '';
+};
+
+// Sale price and effective dates for a sale that is running or still to come.
+// Scheduled sales are priced as they will be on their first day.
+const salePricing = (product, variant, now) => {
+    const configured = product.isOnSale && (product.discountPercentage > 0 || product.discountAmount > 0);
+    const start = product.discountStartDate ? new Date(product.discountStartDate) : null;
+    const end = product.discountEndDate ? new Date(product.discountEndDate) : null;
+    if (!configured || (end && end < now)) return null;
+
+    const { basePrice, salePrice } = Product.computePricing(product, { variant, now: start && start > now ? start : now });
+    if (salePrice >= basePrice) return null;
+
+    let effectiveDate = '';
+    if (start || end) {
+        const from = start || now;
+        const to = end || new Date(from.getTime() + OPEN_SALE_DAYS * 24 * 60 * 60 * 1000);
+        effectiveDate = `${from.toISOString()}/${to.toISOString()}`;
+    }
+
+    return { salePrice, effectiveDate };
+};
+
+// One feed item per variant (grouped under the product), or one for the product
+const productItems = (product, now) => {
+    const images = (product.images || []).map(image => image.imageUrl).filter(Boolean);
+    const link = absoluteUrl(productPath(product));
+    const variants = (product.variants || []).filter(variant => variant.isActive);
+
+    const base = {
+        title: truncate(product.name, MAX_TITLE_LENGTH),
+        description: truncate(product.description || product.name, MAX_DESCRIPTION_LENGTH),
+        link,
+        condition: 'new',
+        brand: BRAND,
+        product_type: product.category,
+        identifier_exists: 'no',
+    };
+
+    const item = (variant) => {
+        const { basePrice } = Product.computePricing(product, { variant, now });
+        const holder = variant || product;
+        const available = !product.stockPaused && holder.stockQuantity - (holder.reservedQuantity || 0) > 0;
+        const sale = salePricing(product, variant, now);
+        const variantImages = (variant?.images || []).map(image => image.imageUrl).filter(Boolean);
+        const allImages = [...variantImages, ...images];
+
+        return {
+            ...base,
+            id: variant ? variant.sku : product._id.toString(),
+            item_group_id: variant ? product._id.toString() : '',
+            link: variant ? `${link}?sku=${encodeURIComponent(variant.sku)}` : link,
+            image_link: allImages[0] || '',
+            additional_image_link: [...new Set(allImages.slice(1))].slice(0, MAX_ADDITIONAL_IMAGES),
+            availability: available ? 'in_stock' : 'out_of_stock',
+            price: money(basePrice),
+            sale_price: sale ? money(sale.salePrice) : '',
+            sale_price_effective_date: sale ? sale.effectiveDate : '',
+            size: optionValue(variant, /size/i),
+            color: optionValue(variant, /colou?r/i),
+        };
+    };
+
+    return variants.length > 0 ? variants.map(variant => item(variant)) : [item(null)];
+};
+
+const renderSitemap = ({ products, categories }) => {
+    const entries = [
+        ...CONTENT_PAGES.map(page => ({ loc: absoluteUrl(page), changefreq: 'weekly', priority: page === '/' ? '1.0' : '0.5' })),
+        ...categories.map(category => ({
+            loc: absoluteUrl(category.link || `/category/${category.slug}`),
+            lastmod: category.updatedAt,
+            changefreq: 'weekly',
+            priority: '0.8',
+        })),
+        ...products.map(product => ({
+            loc: absoluteUrl(productPath(product)),
+            lastmod: product.updatedAt,
+            changefreq: 'daily',
+            priority: '0.7',
+            image: product.images?.[0]?.imageUrl,
+        })),
+    ];
+
+    const urls = entries.map(entry => [
+        '  <url>',
+        `    <loc>${escapeXml(entry.loc)}</loc>`,
+        entry.lastmod ? `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : null,
+        `    <changefreq>${entry.changefreq}</changefreq>`,
+        `    <priority>${entry.priority}</priority>`,
+        entry.image ? `    <image:image><image:loc>${escapeXml(entry.image)}</image:loc></image:image>` : null,
+        '  </url>',
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+        ...urls,
+        '</urlset>',
+        '',
+    ].join('\n');
+};
+
+const renderProductXml = (items, generatedAt) => {
+    const rendered = items.map(item => {
+        const fields = TSV_COLUMNS
+            .filter(column => column !== 'additional_image_link')
+            .filter(column => item[column])
+            .map(column => `      <g:${column}>${escapeXml(item[column])}</g:${column}>`);
+        item.additional_image_link.forEach(url => {
+            fields.push(`      <g:additional_image_link>${escapeXml(url)}</g:additional_image_link>`);
+        });
+        return ['    <item>', ...fields, '    </item>'].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+        '  <channel>',
+        `    <title>${BRAND}</title>`,
+        `    <link>${escapeXml(storefrontUrl())}</link>`,
+        `    <description>${BRAND} product feed</description>`,
+        `    <lastBuildDate>${generatedAt.toUTCString()}</lastBuildDate>`,
+        ...rendered,
+        '  </channel>',
+        '</rss>',
+        '',
+    ].join('\n');
+};
+
+const renderProductTsv = (items) => [
+    TSV_COLUMNS.join('\t'),
+    ...items.map(item => TSV_COLUMNS
+        .map(column => tsvCell(column === 'additional_image_link' ? item[column].join(',') : item[column]))
+        .join('\t')),
+    '',
+].join('\n');
+
+class FeedService {
+    /**
+     * The sitemap and product feeds, rebuilt when the catalog has changed
+     */
+    static async load() {
+        if (cache && Date.now() - cache.generatedAt.getTime() < FEED_TTL_MS) {
+            return cache;
+        }
+
+        const now = new Date();
+        const [products, categories] = await Promise.all([
+            Product.find(Product.liveFilter(now))
+                .select('name slug description category price images stockQuantity reservedQuantity inStock stockPaused variants isOnSale discountPercentage discountAmount discountStartDate discountEndDate updatedAt')
+                .sort({ createdAt: -1 })
+                .lean(),
+            Category.find({ isActive: true, ...Category.notDeleted() })
+                .select('title slug link updatedAt')
+                .sort({ index: 1 })
+                .lean()
+        ]);
+
+        // Shopping surfaces reject items without an image
+        const items = products.flatMap(product => productItems(product, now)).filter(item => item.image_link);
+
+        cache = {
+            sitemap: renderSitemap({ products, categories }),
+            productXml: renderProductXml(items, now),
+            productTsv: renderProductTsv(items),
+            generatedAt: now,
+            maxAgeSeconds: Math.floor(FEED_TTL_MS / 1000)
+        };
+        logger.info('Generated sitemap and product feeds', { products: products.length, feedItems: items.length, categories: categories.length });
+        return cache;
+    }
+
+    /**
+     * Drop the generated feeds so the next request rebuilds them
+     */
+    static invalidate() {
+        cache = null;
+    }
+}
+
+module.exports = FeedService;
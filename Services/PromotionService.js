@@ -0,0 +1,308 @@
+// services/PromotionService.js
+const Promotion = require('../models/PromotionModel');
+const PromotionRedemption = require('../models/PromotionRedemptionModel');
+const { roundMoney } = require('./CartService');
+const logger = require('../utils/logger');
+
+// Raised when a code can't be used on a cart, so controllers can answer 400
+class PromotionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromotionError';
+        this.status = 400;
+    }
+}
+
+// Customer identity used for per-customer limits
+const customerContact = (customer = {}) => ({
+    email: String(customer.email || '').trim().toLowerCase(),
+    phone: String(customer.phone || '').trim()
+});
+
+// Tries at taking a free per-customer slot before giving up
+const MAX_SLOT_ATTEMPTS = 5;
+
+// The customer's first free slot for each contact they gave, e.g. { emailSlot: 2 }
+const freeSlots = async (promotion, { email, phone }) => {
+    const slots = {};
+    const contacts = [['customerEmail', 'emailSlot', email], ['customerPhone', 'phoneSlot', phone]];
+
+    for (const [field, slotField, value] of contacts) {
+        if (!value) continue;
+
+        const active = await PromotionRedemption.find({ promotion: promotion._id, status: 'active', [field]: value })
+            .select(slotField)
+            .lean();
+        const taken = new Set(active.map(redemption => redemption[slotField]));
+        // Redemptions from before slots existed still count towards the limit
+        let slot = 1;
+        while (taken.has(slot)) slot++;
+        if (active.length >= promotion.perCustomerLimit || slot > promotion.perCustomerLimit) {
+            throw new PromotionError('You have already used this code');
+        }
+        slots[slotField] = slot;
+    }
+
+    return slots;
+};
+
+// Record the redemption. With a per-customer limit it takes one of the
+// customer's slots; slots are unique among active redemptions, so when a
+// concurrent checkout takes the same one the write fails and is retried.
+const createRedemption = async (promotion, data) => {
+    for (let attempt = 1; ; attempt++) {
+        const slots = promotion.perCustomerLimit !== null
+            ? await freeSlots(promotion, { email: data.customerEmail, phone: data.customerPhone })
+            : {};
+
+        try {
+            return await PromotionRedemption.create({ ...data, ...slots });
+        } catch (err) {
+            if (err.code !== 11000 || attempt >= MAX_SLOT_ATTEMPTS) throw err;
+        }
+    }
+};
+
+// Discount for buy-X-get-Y: in every group of buy + get units (dearest first),
+// the cheapest `get` units are reduced. Works from line counts rather than
+// one entry per unit, so large quantities cost nothing extra.
+const buyXGetYDiscount = (promotion, lines) => {
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const totalUnits = lines.reduce((sum, line) => sum + line.quantity, 0);
+    // Only complete groups earn the discount
+    const end = Math.floor(totalUnits / groupSize) * groupSize;
+
+    // Discounted unit positions before `position` (positions counted dearest first)
+    const discountedBefore = (position) => {
+        const capped = Math.min(position, end);
+        return Math.floor(capped / groupSize) * promotion.getQuantity
+            + Math.max(0, (capped % groupSize) - promotion.buyQuantity);
+    };
+
+    let discount = 0;
+    let position = 0;
+    [...lines].sort((a, b) => b.price - a.price).forEach(line => {
+        const discounted = discountedBefore(position + line.quantity) - discountedBefore(position);
+        discount += discounted * line.price * (promotion.getDiscountPercentage / 100);
+        position += line.quantity;
+    });
+    return discount;
+};
+
+class PromotionService {
+    /**
+     * Work out what a promotion takes off a priced cart.
+     * @param {Object} promotion - Promotion document
+     * @param {{ lines, subtotal, deliveryFee }} cart - From CartService.priceCart
+     * @param {Object} customer - { email, phone }
+     * @returns {Promise<{ promotion, code, type, description, amount, freeDelivery }>}
+     * @throws {PromotionError} When the code can't be used on this cart
+     */
+    static async evaluate(promotion, cart, customer) {
+        const now = new Date();
+
+        if (!promotion.isActive || (promotion.startsAt && promotion.startsAt > now)) {
+            throw new PromotionError('This code is not active');
+        }
+        if (promotion.endsAt && promotion.endsAt <= now) {
+            throw new PromotionError('This code has expired');
+        }
+        if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+            throw new PromotionError('This code has been fully redeemed');
+        }
+
+        // Checked early for a clear answer; redeem() enforces it when the order is placed
+        if (promotion.perCustomerLimit !== null) {
+            const { email, phone } = customerContact(customer);
+            if (!email && !phone) {
+                throw new PromotionError('Enter your email or phone number to use this code');
+            }
+
+            const used = await PromotionRedemption.countDocuments({
+                promotion: promotion._id,
+                status: 'active',
+                $or: [
+                    ...(email ? [{ customerEmail: email }] : []),
+                    ...(phone ? [{ customerPhone: phone }] : [])
+                ]
+            });
+            if (used >= promotion.perCustomerLimit) {
+                throw new PromotionError('You have already used this code');
+            }
+        }
+
+        // Lines the promotion applies to
+        const productIds = new Set((promotion.products || []).map(id => id.toString()));
+        const eligible = cart.lines.filter(line =>
+            (promotion.categories.length === 0 || promotion.categories.includes(line.category))
+            && (productIds.size === 0 || productIds.has(line.productId.toString()))
+        );
+        if (eligible.length === 0) {
+            throw new PromotionError('This code does not apply to the items in your cart');
+        }
+
+        const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+        if (eligibleSubtotal < promotion.minimumSpend) {
+            throw new PromotionError(
+                `Spend GH₵${roundMoney(promotion.minimumSpend - eligibleSubtotal).toFixed(2)} more on eligible items to use this code`
+            );
+        }
+
+        let amount = 0;
+        switch (promotion.type) {
+            case 'percentage':
+                amount = eligibleSubtotal * (promotion.value / 100);
+                if (promotion.maxDiscount !== null) {
+                    amount = Math.min(amount, promotion.maxDiscount);
+                }
+                break;
+            case 'fixed':
+                amount = Math.min(promotion.value, eligibleSubtotal);
+                break;
+            case 'free_delivery':
+                amount = cart.deliveryFee;
+                break;
+            case 'buy_x_get_y':
+                amount = buyXGetYDiscount(promotion, eligible);
+                if (amount === 0) {
+                    throw new PromotionError(
+                        `Add ${promotion.buyQuantity + promotion.getQuantity} eligible items to use this code`
+                    );
+                }
+                break;
+        }
+
+        return {
+            promotion: promotion._id,
+            code: promotion.code,
+            type: promotion.type,
+            description: promotion.name,
+            amount: roundMoney(amount),
+            freeDelivery: promotion.type === 'free_delivery'
+        };
+    }
+
+    /**
+     * Look up a code and apply it to a priced cart
+     * @returns {Promise<Object>} The discount line (see evaluate)
+     */
+    static async applyCode(code, cart, customer) {
+        const promotion = await Promotion.findOne({ code: String(code || '').trim().toUpperCase() });
+        if (!promotion) {
+            throw new PromotionError('This code is not valid');
+        }
+        return this.evaluate(promotion, cart, customer);
+    }
+
+    /**
+     * Totals for a cart with its discount lines applied
+     */
+    static summarise(cart, discounts = []) {
+        const discountTotal = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+        return {
+            subtotal: cart.subtotal,
+            deliveryFee: cart.deliveryFee,
+            discountTotal,
+            totalAmount: roundMoney(Math.max(0, cart.subtotal + cart.deliveryFee - discountTotal)),
+            freeDelivery: discounts.some(discount => discount.freeDelivery)
+        };
+    }
+
+    /**
+     * Take one use of the promotion for an order. The overall and per-customer
+     * limits are enforced with conditional writes, so two last-minute orders
+     * can't both get the last use.
+     * @throws {PromotionError} When the code ran out in the meantime
+     */
+    static async redeem(discount, order) {
+        const promotion = await Promotion.findOneAndUpdate(
+            {
+                _id: discount.promotion,
+                $or: [
+                    { usageLimit: null },
+                    { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+                ]
+            },
+            { $inc: { usageCount: 1 } },
+            { new: true }
+        );
+        if (!promotion) {
+            throw new PromotionError('This code has been fully redeemed');
+        }
+
+        const { email, phone } = customerContact(order.customer);
+        try {
+            return await createRedemption(promotion, {
+                promotion: promotion._id,
+                order: order._id,
+                customerEmail: email,
+                customerPhone: phone,
+                amount: discount.amount
+            });
+        } catch (err) {
+            // Without a redemption nothing would void this use later, so give it back now
+            await Promotion.updateOne(
+                { _id: promotion._id, usageCount: { $gt: 0 } },
+                { $inc: { usageCount: -1 } }
+            );
+            throw err;
+        }
+    }
+
+    /**
+     * Give back the promotion uses held by an order (payment failed or order removed)
+     */
+    static async voidOrder(orderId) {
+        const redemptions = await PromotionRedemption.find({ order: orderId, status: 'active' });
+        let voided = 0;
+
+        for (const redemption of redemptions) {
+            const claimed = await PromotionRedemption.findOneAndUpdate(
+                { _id: redemption._id, status: 'active' },
+                { $set: { status: 'void' } }
+            );
+            if (!claimed) continue;
+
+            await Promotion.updateOne(
+                { _id: redemption.promotion, usageCount: { $gt: 0 } },
+                { $inc: { usageCount: -1 } }
+            );
+            voided++;
+        }
+
+        if (voided > 0) {
+            logger.info(`Voided ${voided} promotion redemption(s)`, { orderId: orderId.toString() });
+        }
+        return voided;
+    }
+
+    /**
+     * Take back the uses voided for an order that was paid after all (its
+     * checkout expired first). Paid orders count even past the usage limits,
+     * so the redemption gives up its per-customer slot.
+     */
+    static async reinstateOrder(orderId) {
+        const redemptions = await PromotionRedemption.find({ order: orderId, status: 'void' });
+        let reinstated = 0;
+
+        for (const redemption of redemptions) {
+            const claimed = await PromotionRedemption.findOneAndUpdate(
+                { _id: redemption._id, status: 'void' },
+                { $set: { status: 'active' }, $unset: { emailSlot: 1, phoneSlot: 1 } }
+            );
+            if (!claimed) continue;
+
+            await Promotion.updateOne({ _id: redemption.promotion }, { $inc: { usageCount: 1 } });
+            reinstated++;
+        }
+
+        if (reinstated > 0) {
+            logger.info(`Reinstated ${reinstated} promotion redemption(s)`, { orderId: orderId.toString() });
+        }
+        return reinstated;
+    }
+}
+
+PromotionService.PromotionError = PromotionError;
+
+module.exports = PromotionService;
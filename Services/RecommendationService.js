@@ -0,0 +1,150 @@
+// services/RecommendationService.js
+const Product = require('../models/ProductModel');
+const Order = require('../models/OrderModel');
+const ProductRecommendation = require('../models/ProductRecommendationModel');
+const logger = require('../utils/logger');
+
+// How many recommendations are stored per product
+const MAX_RECOMMENDATIONS = 12;
+
+// Fallback candidates must be priced within this fraction of the product (0.5 = ±50%)
+const PRICE_BAND = 0.5;
+
+class RecommendationService {
+    /**
+     * Count how often each pair of products appears in the same paid order.
+     * @returns {Promise<Map<string, Array<{ product: ObjectId, count: number }>>>}
+     *   product id -> co-purchased products, most frequent first
+     */
+    static async coPurchaseCounts() {
+        const pairs = await Order.aggregate([
+            { $match: { paymentStatus: 'paid' } },
+            // Each product counts once per order, however many lines it has
+            { $project: { products: { $setUnion: ['$items.productId', []] } } },
+            { $match: { 'products.1': { $exists: true } } },
+            // Pair every product in the order with every other one
+            { $project: { product: '$products', other: '$products' } },
+            { $unwind: '$product' },
+            { $unwind: '$other' },
+            { $match: { $expr: { $ne: ['$product', '$other'] } } },
+            { $group: { _id: { product: '$product', other: '$other' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ]);
+
+        const counts = new Map();
+        pairs.forEach(({ _id, count }) => {
+            const key = _id.product.toString();
+            if (!counts.has(key)) counts.set(key, []);
+            counts.get(key).push({ product: _id.other, count });
+        });
+        return counts;
+    }
+
+    /**
+     * Products in the same category and price band, closest price first
+     */
+    static similarProducts(product, candidates) {
+        const low = product.price * (1 - PRICE_BAND);
+        const high = product.price * (1 + PRICE_BAND);
+
+        return candidates
+            .filter(candidate =>
+                !candidate._id.equals(product._id)
+                && candidate.category === product.category
+                && candidate.price >= low
+                && candidate.price <= high
+            )
+            .sort((a, b) => Math.abs(a.price - product.price) - Math.abs(b.price - product.price));
+    }
+
+    /**
+     * Recompute and store recommendations for every live product.
+     * Out-of-stock products are never recommended.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Compute without saving
+     * @returns {Promise<{ products: number, boughtTogether: number, similar: number }>}
+     */
+    static async computeAll({ dryRun = false } = {}) {
+        const [products, counts] = await Promise.all([
+            Product.find(Product.liveFilter(), 'category price inStock').lean(),
+            this.coPurchaseCounts()
+        ]);
+
+        const recommendable = products.filter(product => product.inStock);
+        const recommendableIds = new Set(recommendable.map(product => product._id.toString()));
+        const totals = { products: 0, boughtTogether: 0, similar: 0 };
+        const operations = [];
+
+        for (const product of products) {
+            const key = product._id.toString();
+            const seen = new Set([key]);
+            const items = [];
+
+            for (const { product: other, count } of counts.get(key) || []) {
+                if (items.length >= MAX_RECOMMENDATIONS) break;
+                if (!recommendableIds.has(other.toString())) continue;
+
+                seen.add(other.toString());
+                items.push({ product: other, reason: 'bought_together', score: count });
+                totals.boughtTogether++;
+            }
+
+            for (const candidate of this.similarProducts(product, recommendable)) {
+                if (items.length >= MAX_RECOMMENDATIONS) break;
+                if (seen.has(candidate._id.toString())) continue;
+
+                seen.add(candidate._id.toString());
+                items.push({ product: candidate._id, reason: 'similar', score: 0 });
+                totals.similar++;
+            }
+
+            totals.products++;
+            operations.push({
+                updateOne: {
+                    filter: { product: product._id },
+                    update: { $set: { items, computedAt: new Date() } },
+                    upsert: true
+                }
+            });
+        }
+
+        if (!dryRun && operations.length > 0) {
+            await ProductRecommendation.bulkWrite(operations);
+            // Products that are no longer live keep no recommendations
+            await ProductRecommendation.deleteMany({ product: { $nin: products.map(product => product._id) } });
+        }
+
+        logger.info('Product recommendations computed', totals);
+        return totals;
+    }
+
+    /**
+     * Stored recommendations for a product, dropping anything that has since
+     * gone out of stock or off the storefront.
+     * @returns {Promise<{ items: Object[], computedAt: Date|null }>}
+     */
+    static async getForProduct(productId, limit = 6) {
+        const recommendation = await ProductRecommendation.findOne({ product: productId }).lean();
+        if (!recommendation) {
+            return { items: [], computedAt: null };
+        }
+
+        const ids = recommendation.items.map(item => item.product);
+        const products = await Product.find({ _id: { $in: ids }, ...Product.availableFilter(), ...Product.liveFilter() })
+            .select('name slug price images category inStock stockQuantity isOnSale discountPercentage discountAmount discountStartDate discountEndDate');
+        const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+        const items = recommendation.items
+            .filter(item => byId.has(item.product.toString()))
+            .slice(0, limit)
+            .map(item => ({
+                reason: item.reason,
+                score: item.score,
+                product: byId.get(item.product.toString())
+            }));
+
+        return { items, computedAt: recommendation.computedAt };
+    }
+}
+
+module.exports = RecommendationService;
@@ -0,0 +1,311 @@
+// services/ReservationService.js
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const StockReservation = require('../models/StockReservationModel');
+const PromotionService = require('./PromotionService');
+const logger = require('../utils/logger');
+
+// How long checkout holds stock before payment (minutes)
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// How often expired holds are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+// Raised when an order asks for more than is available, so controllers can answer 409
+class ReservationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReservationError';
+        this.status = 409;
+    }
+}
+
+// Atomically add `quantity` to a product's (or variant's) reservedQuantity,
+// only if that many unreserved units are left and sales aren't paused. Returns whether it succeeded.
+const holdStock = async (productId, variantId, quantity) => {
+    if (!variantId) {
+        const result = await Product.updateOne(
+            {
+                _id: productId,
+                'variants.0': { $exists: false },
+                stockPaused: { $ne: true },
+                $expr: { $gte: [{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] }, quantity] }
+            },
+            { $inc: { reservedQuantity: quantity } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    variantId = new mongoose.Types.ObjectId(variantId);
+    const result = await Product.updateOne(
+        {
+            _id: productId,
+            stockPaused: { $ne: true },
+            $expr: {
+                $anyElementTrue: [{
+                    $map: {
+                        input: '$variants',
+                        as: 'variant',
+                        in: {
+                            $and: [
+                                { $eq: ['$$variant._id', variantId] },
+                                { $eq: ['$$variant.isActive', true] },
+                                { $gte: [{ $subtract: ['$$variant.stockQuantity', { $ifNull: ['$$variant.reservedQuantity', 0] }] }, quantity] }
+                            ]
+                        }
+                    }
+                }]
+            }
+        },
+        { $inc: { 'variants.$[held].reservedQuantity': quantity, reservedQuantity: quantity } },
+        { arrayFilters: [{ 'held._id': variantId }] }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Give units back; the counters never drop below zero
+const unholdStock = async (productId, variantId, quantity) => {
+    if (!variantId) {
+        await Product.updateOne(
+            { _id: productId },
+            [{ $set: { reservedQuantity: { $max: [0, { $subtract: [{ $ifNull: ['$reservedQuantity', 0] }, quantity] }] } } }]
+        );
+        return;
+    }
+
+    variantId = new mongoose.Types.ObjectId(variantId);
+    await Product.updateOne(
+        { _id: productId },
+        [{
+            $set: {
+                reservedQuantity: { $max: [0, { $subtract: [{ $ifNull: ['$reservedQuantity', 0] }, quantity] }] },
+                variants: {
+                    $map: {
+                        input: '$variants',
+                        as: 'variant',
+                        in: {
+                            $cond: [
+                                { $eq: ['$$variant._id', variantId] },
+                                {
+                                    $mergeObjects: ['$$variant', {
+                                        reservedQuantity: { $max: [0, { $subtract: [{ $ifNull: ['$$variant.reservedQuantity', 0] }, quantity] }] }
+                                    }]
+                                },
+                                '$$variant'
+                            ]
+                        }
+                    }
+                }
+            }
+        }]
+    );
+};
+
+class ReservationService {
+    /**
+     * Work out which stock holders an order's items draw on.
+     * Bundles are expanded into their components.
+     * @returns {Promise<Array<{ product, variantId, sku, quantity, bundle, title }>>}
+     */
+    static async expandItems(items) {
+        const lines = [];
+
+        for (const item of items) {
+            const product = await Product.findById(item.productId);
+            if (!product) {
+                throw new ReservationError(`${item.title || 'An item'} is no longer available`);
+            }
+
+            if (product.productType === 'bundle') {
+                for (const component of product.bundleItems) {
+                    const componentProduct = await Product.findById(component.product).select('name variants');
+                    const variant = component.variantId && componentProduct?.getVariant(component.variantId);
+                    lines.push({
+                        product: component.product,
+                        variantId: component.variantId || null,
+                        sku: variant ? variant.sku : '',
+                        quantity: component.quantity * item.quantity,
+                        bundle: product._id,
+                        title: product.name
+                    });
+                }
+                continue;
+            }
+
+            lines.push({
+                product: product._id,
+                variantId: item.variantId || null,
+                sku: item.sku || '',
+                quantity: item.quantity,
+                bundle: null,
+                title: item.title || product.name
+            });
+        }
+
+        return lines;
+    }
+
+    /**
+     * Hold stock for every item of an order. All or nothing: if one item is
+     * short, holds already placed for the order are released again.
+     * @param {Object} order - Order document (may be unsaved; only _id and items are used)
+     * @returns {Promise<Date>} When the holds expire
+     * @throws {ReservationError} When an item doesn't have enough unreserved stock
+     */
+    static async reserveOrder(order) {
+        const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+        const lines = await this.expandItems(order.items);
+
+        // Free up anything that has lapsed before checking availability
+        await this.releaseExpired({ product: { $in: lines.map(line => line.product) } });
+
+        try {
+            for (const line of lines) {
+                const held = await holdStock(line.product, line.variantId, line.quantity);
+                if (!held) {
+                    throw new ReservationError(`Not enough stock left for ${line.title}`);
+                }
+
+                try {
+                    await StockReservation.create({
+                        order: order._id,
+                        product: line.product,
+                        variantId: line.variantId,
+                        sku: line.sku,
+                        bundle: line.bundle,
+                        quantity: line.quantity,
+                        expiresAt
+                    });
+                } catch (err) {
+                    await unholdStock(line.product, line.variantId, line.quantity);
+                    throw err;
+                }
+            }
+        } catch (err) {
+            // Give back the holds already placed for this order
+            await this.releaseOrder(order._id, 'cancelled');
+            throw err;
+        }
+
+        await this.refreshBundles(lines);
+        return expiresAt;
+    }
+
+    /**
+     * Turn an order's holds into permanent stock deductions (payment succeeded).
+     * Holds that expired still deduct: the customer has paid. Holds released
+     * because the order was cancelled or its payment failed are left alone.
+     */
+    static async commitOrder(orderId) {
+        const reservations = await StockReservation.find({
+            order: orderId,
+            $or: [{ status: 'active' }, { status: 'released', releaseReason: 'expired' }]
+        });
+
+        for (const reservation of reservations) {
+            const wasActive = reservation.status === 'active';
+            const claimed = await StockReservation.findOneAndUpdate(
+                { _id: reservation._id, status: reservation.status, releaseReason: reservation.releaseReason },
+                { $set: { status: 'committed' } }
+            );
+            if (!claimed) continue;
+
+            if (wasActive) {
+                await unholdStock(reservation.product, reservation.variantId, reservation.quantity);
+            }
+
+            // Paid for, so take what's left even if the units were sold again after the hold lapsed
+            const taken = await Product.takeStock(reservation.product, reservation.variantId, reservation.quantity, {
+                reason: 'sale',
+                order: orderId,
+                note: reservation.bundle ? 'Sold in a bundle' : ''
+            }, { allowShort: true });
+            if (taken !== null && taken < reservation.quantity) {
+                logger.warn('Paid order is short of stock', {
+                    order: orderId.toString(),
+                    product: reservation.product.toString(),
+                    sku: reservation.sku,
+                    short: reservation.quantity - taken
+                });
+            }
+        }
+
+        return reservations.length;
+    }
+
+    /**
+     * Release an order's active holds (payment failed or order cancelled)
+     */
+    static async releaseOrder(orderId, reason = 'cancelled') {
+        return this.release({ order: orderId }, reason);
+    }
+
+    /**
+     * Release every active hold past its expiry time
+     */
+    static async releaseExpired(filter = {}) {
+        return this.release({ ...filter, expiresAt: { $lte: new Date() } }, 'expired');
+    }
+
+    static async release(filter, reason) {
+        const reservations = await StockReservation.find({ ...filter, status: 'active' });
+        const expiredOrders = new Set();
+        let released = 0;
+
+        for (const reservation of reservations) {
+            // Claim the reservation first so two sweeps can't both give the units back
+            const claimed = await StockReservation.findOneAndUpdate(
+                { _id: reservation._id, status: 'active' },
+                { $set: { status: 'released', releaseReason: reason } }
+            );
+            if (!claimed) continue;
+
+            await unholdStock(reservation.product, reservation.variantId, reservation.quantity);
+            if (reason === 'expired') expiredOrders.add(reservation.order.toString());
+            released++;
+        }
+
+        // An abandoned checkout gives back the promotion uses it was holding too
+        for (const orderId of expiredOrders) {
+            await PromotionService.voidOrder(orderId);
+        }
+
+        if (released > 0) {
+            await this.refreshBundles(reservations);
+            logger.info(`Released ${released} stock reservation(s)`, { reason });
+        }
+        return released;
+    }
+
+    // Bundles built from the affected products show availability net of reservations
+    static async refreshBundles(lines) {
+        const ids = [...new Set(lines.map(line => line.product.toString()))];
+        if (ids.length > 0) {
+            await Product.refreshBundles({ 'bundleItems.product': { $in: ids } });
+        }
+    }
+
+    /**
+     * Periodically release expired holds. Safe to call more than once.
+     */
+    static startExpirySweep() {
+        if (sweepTimer) return;
+
+        sweepTimer = setInterval(() => {
+            this.releaseExpired().catch(err => logger.error('Reservation sweep failed', { error: err.message }));
+        }, SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    }
+
+    static stopExpirySweep() {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+ReservationService.ReservationError = ReservationError;
+ReservationService.RESERVATION_TTL_MINUTES = RESERVATION_TTL_MINUTES;
+
+module.exports = ReservationService;
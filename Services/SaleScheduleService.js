@@ -0,0 +1,116 @@
+// services/SaleScheduleService.js
+const Product = require('../models/ProductModel');
+const PriceHistory = require('../models/PriceHistoryModel');
+const FeedService = require('./FeedService');
+const logger = require('../utils/logger');
+
+// Longest the timer sleeps before checking again, so sales whose dates were
+// just edited are still picked up promptly
+const MAX_WAIT_MS = 60 * 1000;
+
+// What the price history needs to work out the new prices
+const PRICING_FIELDS = 'name price originalPrice isOnSale discountPercentage discountAmount discountStartDate discountEndDate variants';
+
+let timer = null;
+
+class SaleScheduleService {
+    /**
+     * Switch sales on and off so saleActive matches their dates at `now`,
+     * adding the new prices to each product's price history.
+     * @returns {Promise<{ started: number, ended: number }>}
+     */
+    static async sync(now = new Date()) {
+        const running = Product.onSaleFilter(now);
+
+        const [starting, ending] = await Promise.all([
+            Product.find({ ...running, saleActive: { $ne: true } }).select(PRICING_FIELDS).lean(),
+            Product.find({ saleActive: true, $nor: [running] }).select(PRICING_FIELDS).lean()
+        ]);
+
+        // Leave updatedAt alone: the product itself hasn't been edited
+        if (starting.length > 0) {
+            await Product.updateMany(
+                { _id: { $in: starting.map(product => product._id) } },
+                { $set: { saleActive: true } },
+                { timestamps: false }
+            );
+            await Promise.all(starting.map(product => PriceHistory.recordProductChanges(null, product, { source: 'sale_start', now })));
+            logger.info(`Started ${starting.length} scheduled sale(s)`, { products: starting.map(product => product.name) });
+        }
+        if (ending.length > 0) {
+            await Product.updateMany(
+                { _id: { $in: ending.map(product => product._id) } },
+                { $set: { saleActive: false } },
+                { timestamps: false }
+            );
+            await Promise.all(ending.map(product => PriceHistory.recordProductChanges(null, product, { source: 'sale_end', now })));
+            logger.info(`Ended ${ending.length} sale(s)`, { products: ending.map(product => product.name) });
+        }
+
+        // Sale prices in the product feed changed
+        if (starting.length > 0 || ending.length > 0) {
+            FeedService.invalidate();
+        }
+
+        return { started: starting.length, ended: ending.length };
+    }
+
+    /**
+     * The next moment a sale starts or ends after `now`, or null if none is scheduled.
+     * A sale still runs at its end date, so it ends a millisecond later.
+     */
+    static async nextChange(now = new Date()) {
+        const [nextStart, nextEnd] = await Promise.all([
+            Product.findOne({ isOnSale: true, discountStartDate: { $gt: now } })
+                .sort({ discountStartDate: 1 })
+                .select('discountStartDate')
+                .lean(),
+            Product.findOne({ isOnSale: true, discountEndDate: { $gte: now } })
+                .sort({ discountEndDate: 1 })
+                .select('discountEndDate')
+                .lean()
+        ]);
+
+        const times = [
+            nextStart && nextStart.discountStartDate.getTime(),
+            nextEnd && nextEnd.discountEndDate.getTime() + 1
+        ].filter(Boolean);
+
+        return times.length > 0 ? new Date(Math.min(...times)) : null;
+    }
+
+    // Sync now, then sleep until the next start or end (or MAX_WAIT_MS at most)
+    static async run() {
+        let wait = MAX_WAIT_MS;
+
+        try {
+            await this.sync();
+            const next = await this.nextChange();
+            if (next) {
+                wait = Math.min(Math.max(next.getTime() - Date.now(), 0), MAX_WAIT_MS);
+            }
+        } catch (err) {
+            logger.error('Sale schedule sync failed', { error: err.message });
+        }
+
+        if (timer !== null) {
+            timer = setTimeout(() => this.run(), wait);
+            timer.unref();
+        }
+    }
+
+    static start() {
+        if (timer) return;
+        timer = setTimeout(() => this.run(), 0);
+        timer.unref();
+    }
+
+    static stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+}
+
+SaleScheduleService.MAX_WAIT_MS = MAX_WAIT_MS;
+
+module.exports = SaleScheduleService;
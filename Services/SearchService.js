@@ -0,0 +1,155 @@
+// services/SearchService.js
+const Product = require('../models/ProductModel');
+const SearchSynonym = require('../models/SearchSynonymModel');
+const logger = require('../utils/logger');
+
+// How long the vocabulary and synonym groups are kept before reloading
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Longest search string we accept
+const MAX_SEARCH_LENGTH = 100;
+
+let cache = null;
+
+// Lowercase, strip accents and split on anything that isn't a letter or digit
+const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Typos allowed for a word of this length
+const allowedTypos = (word) => {
+    if (word.length <= 3) return 0;
+    if (word.length <= 6) return 1;
+    return 2;
+};
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+class SearchService {
+    /**
+     * Load the live catalog's vocabulary (word -> frequency) and active synonym groups
+     */
+    static async load() {
+        if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+            return cache;
+        }
+
+        const [products, groups] = await Promise.all([
+            Product.find(Product.liveFilter(), 'name category').lean(),
+            SearchSynonym.find({ isActive: true }, 'terms').lean()
+        ]);
+
+        const vocabulary = new Map();
+        const addWords = (text) => tokenize(text).forEach(word => {
+            vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+        });
+
+        products.forEach(product => {
+            addWords(product.name);
+            addWords(product.category);
+        });
+        groups.forEach(group => group.terms.forEach(addWords));
+
+        cache = {
+            vocabulary,
+            groups: groups.map(group => group.terms.map(term => tokenize(term).join(' '))),
+            loadedAt: Date.now()
+        };
+
+        logger.debug(`Search vocabulary loaded: ${vocabulary.size} words, ${groups.length} synonym groups`);
+        return cache;
+    }
+
+    /**
+     * Drop the cached vocabulary so the next search sees catalog changes
+     */
+    static invalidate() {
+        cache = null;
+    }
+
+    /**
+     * Closest vocabulary word for a misspelt term, or null
+     */
+    static correct(word, vocabulary) {
+        const max = allowedTypos(word);
+        if (max === 0 || vocabulary.has(word)) return null;
+
+        let best = null;
+        let bestDistance = max + 1;
+        let bestFrequency = 0;
+
+        for (const [candidate, frequency] of vocabulary) {
+            const distance = editDistance(word, candidate, max);
+            if (distance < bestDistance || (distance === bestDistance && frequency > bestFrequency)) {
+                best = candidate;
+                bestDistance = distance;
+                bestFrequency = frequency;
+            }
+        }
+
+        return bestDistance <= max ? best : null;
+    }
+
+    /**
+     * Turn a customer's search into the terms for a $text query.
+     * Misspelt words gain their closest catalog word and any synonym group
+     * the search mentions adds the group's other terms.
+     * Returns { terms, corrections, synonyms }
+     */
+    static async buildTextSearch(search) {
+        const words = tokenize(String(search).slice(0, MAX_SEARCH_LENGTH));
+        if (words.length === 0) {
+            return { terms: [], corrections: {}, synonyms: [] };
+        }
+
+        const { vocabulary, groups } = await SearchService.load();
+        const terms = new Set(words);
+        const corrections = {};
+
+        words.forEach(word => {
+            const corrected = SearchService.correct(word, vocabulary);
+            if (corrected) {
+                corrections[word] = corrected;
+                terms.add(corrected);
+            }
+        });
+
+        // Match synonym terms (including phrases) against the corrected search
+        const phrase = ` ${words.map(word => corrections[word] || word).join(' ')} `;
+        const synonyms = [];
+
+        groups.forEach(group => {
+            if (!group.some(term => phrase.includes(` ${term} `))) return;
+
+            group.forEach(term => {
+                if (phrase.includes(` ${term} `)) return;
+                synonyms.push(term);
+                tokenize(term).forEach(word => terms.add(word));
+            });
+        });
+
+        return { terms: [...terms], corrections, synonyms };
+    }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,209 @@
+// services/TrashService.js
+const Product = require('../models/ProductModel');
+const Hero = require('../models/HeroModel');
+const Category = require('../models/CategoryModel');
+const SearchService = require('./SearchService');
+const FeedService = require('./FeedService');
+const cloudinary = require('../config/cloudinary');
+const logger = require('../utils/logger');
+
+// How long deleted content stays restorable before its media is purged (days)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often the trash is checked for content past its retention period
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+// What can be in the trash. Products are never removed outright: past orders,
+// stock history and price history still point at them, so only their media goes.
+const TRASH_TYPES = {
+    product: {
+        Model: Product,
+        label: 'Product',
+        fields: 'name slug category price images videos deletedAt deletedBy mediaPurgedAt',
+        keepDocument: true,
+    },
+    hero: {
+        Model: Hero,
+        label: 'Hero section',
+        fields: 'heading hallTagline images deletedAt deletedBy',
+        keepDocument: false,
+    },
+    category: {
+        Model: Category,
+        label: 'Category',
+        fields: 'title slug images deletedAt deletedBy',
+        keepDocument: false,
+    },
+};
+
+// Raised for unknown types and items that aren't in the trash, so controllers can answer 4xx
+class TrashError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TrashError';
+        this.status = status;
+    }
+}
+
+// Delete files from Cloudinary. Returns the ones that couldn't be deleted:
+// files without a publicId (stored before it was recorded) or whose delete failed.
+const destroyMedia = async (files, resourceType) => {
+    const kept = [];
+    await Promise.all((files || []).map(async (file) => {
+        const publicId = file.publicId || file.public_id;
+        if (!publicId) {
+            kept.push(file);
+            return;
+        }
+        try {
+            await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+        } catch (err) {
+            logger.error('Failed to delete trashed media from Cloudinary', { publicId, error: err.message });
+            kept.push(file);
+        }
+    }));
+    return kept;
+};
+
+class TrashService {
+    static getType(type) {
+        const entry = TRASH_TYPES[type];
+        if (!entry) {
+            throw new TrashError(`type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`);
+        }
+        return entry;
+    }
+
+    /**
+     * When a trashed item's media is due to be purged
+     */
+    static purgeDate(deletedAt) {
+        return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Trashed items of one type (or every type), most recently deleted first
+     */
+    static async list(type) {
+        const types = type ? [type] : Object.keys(TRASH_TYPES);
+        types.forEach(name => this.getType(name));
+
+        const lists = await Promise.all(types.map(async (name) => {
+            const { Model, fields } = TRASH_TYPES[name];
+            const items = await Model.find({ deletedAt: { $ne: null } })
+                .select(fields)
+                .populate('deletedBy', 'name email')
+                .sort({ deletedAt: -1 })
+                .lean();
+
+            return items.map(item => ({
+                type: name,
+                ...item,
+                purgeAt: this.purgeDate(item.deletedAt),
+                mediaPurged: Boolean(item.mediaPurgedAt),
+            }));
+        }));
+
+        return lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+
+    /**
+     * Take an item out of the trash.
+     * A product whose media was already purged comes back without images.
+     * @throws {TrashError} when the item isn't in the trash
+     */
+    static async restore(type, id) {
+        const { Model, label } = this.getType(type);
+
+        const item = await Model.findById(id);
+        if (!item || !item.deletedAt) {
+            throw new TrashError(`${label} not found in the trash`, 404);
+        }
+
+        await item.restoreFromTrash();
+
+        if (type === 'product') {
+            // Bundles containing it can be sold again
+            await Product.refreshBundles({ 'bundleItems.product': item._id });
+            SearchService.invalidate();
+        }
+        FeedService.invalidate();
+
+        logger.info('Restored from trash', { type, id: item._id.toString() });
+        return item;
+    }
+
+    /**
+     * Purge media of items trashed longer than the retention period.
+     * Heroes and categories are then removed; products keep their document.
+     */
+    static async purgeExpired(now = new Date()) {
+        const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const purged = {};
+
+        for (const [type, { Model, keepDocument }] of Object.entries(TRASH_TYPES)) {
+            const items = await Model.find({ deletedAt: { $ne: null, $lte: cutoff }, mediaPurgedAt: null })
+                .select('images videos')
+                .lean();
+
+            let count = 0;
+            for (const item of items) {
+                const images = await destroyMedia(item.images, 'image');
+                const videos = await destroyMedia(item.videos, 'video');
+
+                // Media that couldn't be deleted stays on the item, which is the
+                // only record of it, and the purge tries again next time round
+                if (images.length > 0 || videos.length > 0) {
+                    logger.warn('Trashed media left in Cloudinary (missing publicId, see npm run backfill:media, or delete failed)', {
+                        type,
+                        id: item._id.toString(),
+                        urls: [...images.map(image => image.imageUrl), ...videos.map(video => video.videoUrl)]
+                    });
+                    await Model.updateOne({ _id: item._id }, { $set: { images, videos } });
+                    continue;
+                }
+
+                if (keepDocument) {
+                    await Model.updateOne(
+                        { _id: item._id },
+                        { $set: { images: [], videos: [], mediaPurgedAt: now } }
+                    );
+                } else {
+                    await Model.deleteOne({ _id: item._id });
+                }
+                count++;
+            }
+
+            purged[type] = count;
+        }
+
+        if (Object.values(purged).some(count => count > 0)) {
+            logger.info('Purged expired trash', purged);
+        }
+        return purged;
+    }
+
+    /**
+     * Periodically purge expired trash. Safe to call more than once.
+     */
+    static startPurgeSweep() {
+        if (purgeTimer) return;
+
+        purgeTimer = setInterval(() => {
+            this.purgeExpired().catch(err => logger.error('Trash purge failed', { error: err.message }));
+        }, PURGE_INTERVAL_MS);
+        purgeTimer.unref();
+    }
+
+    static stopPurgeSweep() {
+        clearInterval(purgeTimer);
+        purgeTimer = null;
+    }
+}
+
+TrashService.TrashError = TrashError;
+TrashService.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
+module.exports = TrashService;
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const PriceHistory = require('../models/PriceHistoryModel');
+const ProductRevision = require('../models/ProductRevisionModel');
+const SearchService = require('../Services/SearchService');
+const FeedService = require('../Services/FeedService');
+const BackInStockService = require('../Services/BackInStockService');
+
+// Most products one bulk operation may touch
+const MAX_BULK_PRODUCTS = 500;
+
+const VALID_CATEGORIES = ['Gents', 'Haven', 'Cooperate', 'Souvenirs', 'Beads', 'Jewelry', 'Special'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// ===== Turn the request's product filter into a query =====
+// { ids, category, tag, minPrice, maxPrice } - at least one is required so
+// an empty filter can't silently hit the whole catalog.
+const buildBulkFilter = ({ ids, category, tag, minPrice, maxPrice } = {}) => {
+    const clauses = [];
+
+    if (ids !== undefined) {
+        const list = Array.isArray(ids) ? ids : String(ids).split(',');
+        const invalid = list.filter(id => !mongoose.Types.ObjectId.isValid(String(id).trim()));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid product id(s): ${invalid.join(', ')}`);
+        }
+        clauses.push({ _id: { $in: list.map(id => String(id).trim()) } });
+    }
+    if (category) {
+        clauses.push({ category: { $in: String(category).split(',').map(c => c.trim()) } });
+    }
+    if (tag) {
+        clauses.push({ tags: { $in: String(tag).split(',').map(t => t.trim().toLowerCase()) } });
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        const price = {};
+        if (minPrice !== undefined) price.$gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) price.$lte = parseFloat(maxPrice);
+        clauses.push({ price });
+    }
+
+    if (clauses.length === 0) {
+        throw new Error('Choose which products to change: ids, category, tag, minPrice or maxPrice');
+    }
+    // Products in the trash are left alone
+    clauses.push(Product.notDeleted());
+    return { $and: clauses };
+};
+
+// ===== Parse an optional date, rejecting bad ones =====
+const parseOptionalDate = (value, field) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) {
+        throw new Error(`${field} is not a valid date`);
+    }
+    return date;
+};
+
+// ===== Check the action once, before any product is looked at =====
+const ACTIONS = {
+    // { type: 'set_price', value: 120 }
+    set_price: (action) => {
+        const value = parseFloat(action.value);
+        if (!(value > 0)) throw new Error('value must be a price greater than 0');
+        return { value };
+    },
+    // { type: 'adjust_price', mode: 'percentage' | 'amount', value: -10 }
+    adjust_price: (action) => {
+        const value = parseFloat(action.value);
+        if (isNaN(value) || value === 0) throw new Error('value must be a non-zero number');
+        if (!['percentage', 'amount'].includes(action.mode)) throw new Error('mode must be percentage or amount');
+        return { mode: action.mode, value };
+    },
+    // { type: 'apply_discount', discountPercentage: 20, startDate, endDate } (or discountAmount)
+    apply_discount: (action) => {
+        const discountPercentage = action.discountPercentage !== undefined ? parseFloat(action.discountPercentage) : 0;
+        const discountAmount = action.discountAmount !== undefined ? parseFloat(action.discountAmount) : 0;
+        if (!(discountPercentage > 0) && !(discountAmount > 0)) {
+            throw new Error('Give a discountPercentage or a discountAmount');
+        }
+        if (discountPercentage > 100) throw new Error('discountPercentage cannot exceed 100');
+
+        const discountStartDate = parseOptionalDate(action.startDate, 'startDate');
+        const discountEndDate = parseOptionalDate(action.endDate, 'endDate');
+        if (discountStartDate && discountEndDate && discountEndDate <= discountStartDate) {
+            throw new Error('endDate must be after startDate');
+        }
+        return { discountPercentage, discountAmount, discountStartDate, discountEndDate };
+    },
+    // { type: 'clear_discount' }
+    clear_discount: () => ({}),
+    // { type: 'change_category', category: 'Souvenirs' }
+    change_category: (action) => {
+        if (!VALID_CATEGORIES.includes(action.category)) {
+            throw new Error(`category must be one of: ${VALID_CATEGORIES.join(', ')}`);
+        }
+        return { category: action.category };
+    },
+    // { type: 'set_stock', inStock: false } - marks the products out of (or back in)
+    // stock without touching their counts, which stay with the stock ledger
+    set_stock: (action) => {
+        if (typeof action.inStock !== 'boolean' && !['true', 'false'].includes(action.inStock)) {
+            throw new Error('inStock must be true or false');
+        }
+        return { inStock: action.inStock === true || action.inStock === 'true' };
+    }
+};
+
+// ===== Work out what an action does to one product =====
+// Returns the field changes, or throws if the product can't take the action.
+const planChanges = (product, type, params) => {
+    const derivedPrice = product.productType === 'bundle' && product.bundlePricing?.mode === 'percentage';
+
+    switch (type) {
+        case 'set_price':
+        case 'adjust_price': {
+            if (derivedPrice) throw new Error('This bundle\'s price comes from its components');
+
+            let price = params.value;
+            if (type === 'adjust_price') {
+                price = params.mode === 'percentage'
+                    ? product.price * (1 + params.value / 100)
+                    : product.price + params.value;
+            }
+            price = roundMoney(price);
+            if (price <= 0) throw new Error('The new price would not be greater than 0');
+            return { price };
+        }
+        case 'apply_discount':
+            if (params.discountAmount >= product.price) throw new Error('The discount would take the price to 0');
+            return { isOnSale: true, ...params };
+        case 'clear_discount':
+            return { isOnSale: false, discountPercentage: 0, discountAmount: 0, discountStartDate: null, discountEndDate: null };
+        case 'change_category':
+            return { category: params.category };
+        case 'set_stock':
+            if (product.productType === 'bundle') throw new Error('Bundle stock comes from its components');
+            return { stockPaused: !params.inStock };
+        default:
+            return {};
+    }
+};
+
+/**
+ * POST apply one action to every product matching a filter.
+ * Dry run by default: returns what would change per product. Send commit=true to apply.
+ * Body: { filter: { ids, category, tag, minPrice, maxPrice }, action: { type, ... }, commit }
+ * @route POST /api/products/bulk
+ * @access Admin
+ */
+exports.bulkUpdateProducts = async (req, res) => {
+    try {
+        const { filter, action = {} } = req.body;
+
+        const validate = ACTIONS[action.type];
+        if (!validate) {
+            return res.status(400).json({
+                success: false,
+                error: `action.type must be one of: ${Object.keys(ACTIONS).join(', ')}`
+            });
+        }
+
+        let params;
+        let query;
+        try {
+            params = validate(action);
+            query = buildBulkFilter(filter);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        const total = await Product.countDocuments(query);
+        if (total > MAX_BULK_PRODUCTS) {
+            return res.status(400).json({
+                success: false,
+                error: `The filter matches ${total} products; narrow it to at most ${MAX_BULK_PRODUCTS}`
+            });
+        }
+
+        const products = await Product.find(query).sort({ name: 1 });
+        const commit = req.body.commit === true || req.body.commit === 'true';
+
+        const results = [];
+        for (const product of products) {
+            const result = { id: product._id, name: product.name, status: 'unchanged', changes: {} };
+
+            try {
+                const changes = planChanges(product, action.type, params);
+
+                // Only report fields whose value actually changes
+                Object.entries(changes).forEach(([field, value]) => {
+                    const before = product[field] instanceof Date ? product[field].getTime() : product[field];
+                    const after = value instanceof Date ? value.getTime() : value;
+                    if (before !== after) {
+                        result.changes[field] = { from: product[field], to: value };
+                    }
+                });
+
+                if (Object.keys(result.changes).length > 0) {
+                    result.status = commit ? 'updated' : 'will_update';
+
+                    if (commit) {
+                        const previous = product.toObject();
+                        product.set(changes);
+                        // Editors holding the old version get a conflict instead of overwriting this
+                        product.increment();
+                        await product.save();
+                        await PriceHistory.recordProductChanges(previous, product, {
+                            source: 'bulk',
+                            changedBy: req.user._id
+                        });
+                        await ProductRevision.recordChange(previous, product, {
+                            source: 'bulk',
+                            changedBy: req.user._id
+                        });
+                        if (action.type === 'set_stock') {
+                            BackInStockService.queueCheck(product._id);
+                        }
+                    }
+                }
+            } catch (err) {
+                result.status = 'failed';
+                result.error = err.message;
+            }
+
+            results.push(result);
+        }
+
+        if (commit) {
+            SearchService.invalidate();
+            FeedService.invalidate();
+        }
+
+        const summary = results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, { matched: results.length });
+
+        res.status(200).json({
+            success: true,
+            dryRun: !commit,
+            message: commit
+                ? `${summary.updated || 0} product(s) updated`
+                : `${summary.will_update || 0} product(s) would change. Send commit=true to apply`,
+            data: { action: action.type, summary, results }
+        });
+
+    } catch (err) {
+        console.error('Error running bulk product update:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update products'
+        });
+    }
+};
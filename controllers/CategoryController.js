@@ -1,13 +1,18 @@
 const Category = require('../models/CategoryModel');
 const cloudinary = require('../config/cloudinary');
+const { generateUniqueSlug, buildSlugChange } = require('../utils/slug');
+const FeedService = require('../Services/FeedService');
+const { readExpectedVersion, isCurrentVersion, versionFilter, setVersionHeaders, sendInvalidVersion, sendVersionConflict } = require('../utils/concurrency');
 
 // Helper to delete images from Cloudinary
 const deleteCloudinaryImages = async (images) => {
     if (!images || images.length === 0) return;
     await Promise.all(images.map(async (image) => {
-        if (image.publicId) {
+        // Stored images have publicId; fresh upload results have public_id
+        const publicId = image.publicId || image.public_id;
+        if (publicId) {
             try {
-                await cloudinary.uploader.destroy(image.publicId);
+                await cloudinary.uploader.destroy(publicId);
             } catch (err) {
                 console.error('Error deleting from Cloudinary:', err);
             }
@@ -28,7 +33,7 @@ const parseJSONField = (field) => {
 // GET all categories
 exports.getAllCategories = async (req, res) => {
     try {
-        const categories = await Category.find().sort({ index: 1 });
+        const categories = await Category.find(Category.notDeleted()).sort({ index: 1 });
 
         res.status(200).json({
             success: true,
@@ -47,13 +52,15 @@ exports.getAllCategories = async (req, res) => {
 exports.getCategoryById = async (req, res) => {
     try {
         const category = await Category.findById(req.params.id);
-        if (!category) {
+        if (!category || category.deletedAt) {
             return res.status(404).json({
                 success: false,
                 error: 'Category not found'
             });
         }
 
+        // Editors send this back as If-Match when saving
+        setVersionHeaders(res, category);
         res.status(200).json({
             success: true,
             data: category
@@ -67,6 +74,40 @@ exports.getCategoryById = async (req, res) => {
     }
 };
 
+// GET single category by slug (old slugs answer 301 with the current location)
+exports.getCategoryBySlug = async (req, res) => {
+    try {
+        const category = await Category.findBySlug(req.params.slug);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: 'Category not found'
+            });
+        }
+
+        if (category.slug !== req.params.slug.toLowerCase()) {
+            const location = `${req.baseUrl}/slug/${category.slug}`;
+            return res.status(301).location(location).json({
+                success: true,
+                redirect: true,
+                slug: category.slug,
+                location
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: category
+        });
+    } catch (err) {
+        console.error('Error fetching category by slug:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch category'
+        });
+    }
+};
+
 // POST create category
 exports.createCategory = async (req, res) => {
     try {
@@ -96,8 +137,15 @@ exports.createCategory = async (req, res) => {
             description,
             isActive: isActive === 'true' || isActive === true,
             index: parseInt(index) || 0,
-            images
+            images,
+            slug: await generateUniqueSlug(Category, req.body.slug || title),
+            seo: {
+                metaTitle: req.body.metaTitle || '',
+                metaDescription: req.body.metaDescription || '',
+                ogImage: req.body.ogImage || ''
+            }
         });
+        FeedService.invalidate();
 
         res.status(201).json({
             success: true,
@@ -120,12 +168,19 @@ exports.createCategory = async (req, res) => {
     }
 };
 
-// PUT update category
+// PUT update category. Send the version you loaded (If-Match or __v) to
+// have the edit refused with 409 if someone else saved it in the meantime.
 exports.updateCategory = async (req, res) => {
     try {
         const { id } = req.params;
         const { title, link, description, isActive, index } = req.body;
 
+        const expectedVersion = readExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            return sendInvalidVersion(res);
+        }
+
         // Validation
         if (!title || !link) {
             return res.status(400).json({
@@ -137,11 +192,23 @@ exports.updateCategory = async (req, res) => {
         // Get current category
         const currentCategory = await Category.findById(id);
         if (!currentCategory) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
             return res.status(404).json({
                 success: false,
                 error: 'Category not found'
             });
         }
+        if (currentCategory.deletedAt) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            return res.status(409).json({
+                success: false,
+                error: 'This category is in the trash. Restore it before editing'
+            });
+        }
+        if (!isCurrentVersion(currentCategory, expectedVersion)) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            return sendVersionConflict(res, currentCategory);
+        }
 
         const updateData = {
             title,
@@ -151,11 +218,22 @@ exports.updateCategory = async (req, res) => {
             index: parseInt(index) || 0
         };
 
+        // A rename (or an explicit slug) moves the slug and keeps the old one for redirects
+        if (req.body.slug || title !== currentCategory.title || !currentCategory.slug) {
+            Object.assign(updateData, await buildSlugChange(Category, currentCategory, req.body.slug || title));
+        }
+
+        // SEO fields are only replaced when sent
+        ['metaTitle', 'metaDescription', 'ogImage'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateData[`seo.${field}`] = req.body[field];
+            }
+        });
+
         // Handle image updates
+        let replacedImages = [];
         if (req.cloudinaryUploads?.length > 0) {
-            if (currentCategory.images?.length > 0) {
-                await deleteCloudinaryImages(currentCategory.images);
-            }
+            replacedImages = currentCategory.images || [];
 
             updateData.images = req.cloudinaryUploads.map(upload => ({
                 imageUrl: upload.url,
@@ -164,11 +242,32 @@ exports.updateCategory = async (req, res) => {
             }));
         }
 
-        const updatedCategory = await Category.findByIdAndUpdate(id, updateData, {
+        // Only applies while the category is still at the version read above
+        const updatedCategory = await Category.findOneAndUpdate(versionFilter(currentCategory), { ...updateData, $inc: { __v: 1 } }, {
             new: true,
             runValidators: true
         });
 
+        if (!updatedCategory) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            // Deleted outright since it was read
+            const latest = await Category.findById(id);
+            if (!latest) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Category not found'
+                });
+            }
+            return sendVersionConflict(res, latest);
+        }
+
+        // Old images go once the new ones are saved
+        if (replacedImages.length > 0) {
+            await deleteCloudinaryImages(replacedImages);
+        }
+        FeedService.invalidate();
+
+        setVersionHeaders(res, updatedCategory);
         res.status(200).json({
             success: true,
             data: updatedCategory
@@ -189,26 +288,25 @@ exports.updateCategory = async (req, res) => {
     }
 };
 
-// DELETE category
+// DELETE category (moves it to the trash)
 exports.deleteCategory = async (req, res) => {
     try {
-        const category = await Category.findByIdAndDelete(req.params.id);
-        if (!category) {
+        const category = await Category.findById(req.params.id);
+        if (!category || category.deletedAt) {
             return res.status(404).json({
                 success: false,
                 error: 'Category not found'
             });
         }
 
-        // Delete associated images
-        if (category.images?.length > 0) {
-            await deleteCloudinaryImages(category.images);
-        }
+        // Images stay until the trash is purged, so the category can be restored
+        await category.moveToTrash(req.user?._id || null);
+        FeedService.invalidate();
 
         res.status(200).json({
             success: true,
-            data: {},
-            message: 'Category deleted successfully'
+            data: { id: category._id, deletedAt: category.deletedAt },
+            message: 'Category moved to trash'
         });
     } catch (err) {
         console.error('Error deleting category:', err);
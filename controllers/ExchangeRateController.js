@@ -0,0 +1,174 @@
+const ExchangeRate = require('../models/ExchangeRateModel');
+const CurrencyService = require('../Services/CurrencyService');
+
+// ===== Read exchange rate fields from the request =====
+// Only fields that were sent are returned, so updates leave the rest alone.
+const parseRateData = (body) => {
+    const data = {};
+
+    if (body.currency !== undefined) data.currency = body.currency;
+    if (body.symbol !== undefined) data.symbol = body.symbol;
+    if (body.rate !== undefined) data.rate = parseFloat(body.rate);
+    if (body.decimals !== undefined) data.decimals = parseInt(body.decimals);
+    if (body.isActive !== undefined) {
+        data.isActive = body.isActive === 'true' || body.isActive === true;
+    }
+
+    return data;
+};
+
+// ===== Answer model validation and duplicate currencies with 400 =====
+const sendSaveError = (res, err, fallback) => {
+    if (err.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            error: 'A rate for this currency already exists'
+        });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            error: err.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: fallback
+    });
+};
+
+/**
+ * GET currencies the storefront can show prices in (GHS first)
+ * @route GET /api/currencies
+ * @access Public
+ */
+exports.getCurrencies = async (req, res) => {
+    try {
+        const currencies = await CurrencyService.listCurrencies();
+
+        res.status(200).json({
+            success: true,
+            baseCurrency: CurrencyService.BASE_CURRENCY,
+            count: currencies.length,
+            data: currencies
+        });
+    } catch (err) {
+        console.error('Error fetching currencies:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch currencies'
+        });
+    }
+};
+
+/**
+ * GET every exchange rate, including disabled ones
+ * @route GET /api/currencies/rates
+ * @access Admin
+ */
+exports.getAllRates = async (req, res) => {
+    try {
+        const rates = await ExchangeRate.find()
+            .populate('updatedBy', 'name email')
+            .sort({ currency: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: rates.length,
+            data: rates
+        });
+    } catch (err) {
+        console.error('Error fetching exchange rates:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch exchange rates'
+        });
+    }
+};
+
+/**
+ * POST add an exchange rate. Body: { currency, rate, symbol?, decimals?, isActive? }
+ * `rate` is the GH₵ price of one unit of the currency.
+ * @route POST /api/currencies/rates
+ * @access Admin
+ */
+exports.createRate = async (req, res) => {
+    try {
+        const rate = await ExchangeRate.create({
+            ...parseRateData(req.body),
+            updatedBy: req.user._id
+        });
+        CurrencyService.invalidate();
+
+        res.status(201).json({
+            success: true,
+            message: `Exchange rate for ${rate.currency} added`,
+            data: rate
+        });
+    } catch (err) {
+        console.error('Error creating exchange rate:', err);
+        sendSaveError(res, err, 'Failed to add exchange rate');
+    }
+};
+
+/**
+ * PUT update an exchange rate
+ * @route PUT /api/currencies/rates/:id
+ * @access Admin
+ */
+exports.updateRate = async (req, res) => {
+    try {
+        const rate = await ExchangeRate.findById(req.params.id);
+
+        if (!rate) {
+            return res.status(404).json({
+                success: false,
+                error: 'Exchange rate not found'
+            });
+        }
+
+        rate.set({ ...parseRateData(req.body), updatedBy: req.user._id });
+        await rate.save();
+        CurrencyService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: `Exchange rate for ${rate.currency} updated`,
+            data: rate
+        });
+    } catch (err) {
+        console.error('Error updating exchange rate:', err);
+        sendSaveError(res, err, 'Failed to update exchange rate');
+    }
+};
+
+/**
+ * DELETE an exchange rate. Orders keep the rate they were placed with.
+ * @route DELETE /api/currencies/rates/:id
+ * @access Admin
+ */
+exports.deleteRate = async (req, res) => {
+    try {
+        const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+        if (!rate) {
+            return res.status(404).json({
+                success: false,
+                error: 'Exchange rate not found'
+            });
+        }
+        CurrencyService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            data: {},
+            message: `Exchange rate for ${rate.currency} deleted`
+        });
+    } catch (err) {
+        console.error('Error deleting exchange rate:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete exchange rate'
+        });
+    }
+};
@@ -0,0 +1,66 @@
+const FeedService = require('../Services/FeedService');
+
+// ===== Send a generated feed with caching headers =====
+// Express adds the ETag and answers conditional requests with 304.
+const sendFeed = (res, feed, body, contentType) => {
+    res.set({
+        'Content-Type': contentType,
+        'Cache-Control': `public, max-age=${feed.maxAgeSeconds}`,
+        'Last-Modified': feed.generatedAt.toUTCString()
+    });
+    res.status(200).send(body);
+};
+
+/**
+ * GET sitemap of published products, categories and content pages
+ * @route GET /api/feeds/sitemap.xml
+ * @access Public
+ */
+exports.getSitemap = async (req, res) => {
+    try {
+        const feed = await FeedService.load();
+        sendFeed(res, feed, feed.sitemap, 'application/xml; charset=utf-8');
+    } catch (err) {
+        console.error('Error generating sitemap:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate sitemap'
+        });
+    }
+};
+
+/**
+ * GET Google Merchant product feed (RSS 2.0 with g: fields)
+ * @route GET /api/feeds/products.xml
+ * @access Public
+ */
+exports.getProductFeedXml = async (req, res) => {
+    try {
+        const feed = await FeedService.load();
+        sendFeed(res, feed, feed.productXml, 'application/xml; charset=utf-8');
+    } catch (err) {
+        console.error('Error generating product feed:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate product feed'
+        });
+    }
+};
+
+/**
+ * GET Google Merchant product feed as tab-separated values
+ * @route GET /api/feeds/products.tsv
+ * @access Public
+ */
+exports.getProductFeedTsv = async (req, res) => {
+    try {
+        const feed = await FeedService.load();
+        sendFeed(res, feed, feed.productTsv, 'text/tab-separated-values; charset=utf-8');
+    } catch (err) {
+        console.error('Error generating product feed:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate product feed'
+        });
+    }
+};
@@ -1,13 +1,16 @@
 const Hero = require('../models/HeroModel');
 const cloudinary = require('../config/cloudinary');
+const { readExpectedVersion, isCurrentVersion, versionFilter, setVersionHeaders, sendInvalidVersion, sendVersionConflict } = require('../utils/concurrency');
 
 // Helper to delete images from Cloudinary
 const deleteCloudinaryImages = async (images) => {
     if (!images || images.length === 0) return;
     await Promise.all(images.map(async (image) => {
-        if (image.publicId) {
+        // Stored images have publicId; fresh upload results have public_id
+        const publicId = image.publicId || image.public_id;
+        if (publicId) {
             try {
-                await cloudinary.uploader.destroy(image.publicId);
+                await cloudinary.uploader.destroy(publicId);
             } catch (err) {
                 console.error('Error deleting from Cloudinary:', err);
             }
@@ -28,7 +31,7 @@ const parseJSONField = (field) => {
 // GET all hero sections (matches frontend expectation)
 exports.getAllHeroes = async (req, res) => {
     try {
-        const heroes = await Hero.find().sort({ createdAt: -1 });
+        const heroes = await Hero.find(Hero.notDeleted()).sort({ createdAt: -1 });
 
         res.status(200).json({
             success: true,
@@ -47,13 +50,15 @@ exports.getAllHeroes = async (req, res) => {
 exports.getHeroById = async (req, res) => {
     try {
         const hero = await Hero.findById(req.params.id);
-        if (!hero) {
+        if (!hero || hero.deletedAt) {
             return res.status(404).json({
                 success: false,
                 error: 'Hero section not found'
             });
         }
 
+        // Editors send this back as If-Match when saving
+        setVersionHeaders(res, hero);
         res.status(200).json({
             success: true,
             data: hero
@@ -121,12 +126,19 @@ exports.createHero = async (req, res) => {
     }
 };
 
-// PUT update hero section
+// PUT update hero section. Send the version you loaded (If-Match or __v) to
+// have the edit refused with 409 if someone else saved it in the meantime.
 exports.updateHero = async (req, res) => {
     try {
         const { id } = req.params;
         const { hallTagline, heading, description, published, buttons } = req.body;
 
+        const expectedVersion = readExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            return sendInvalidVersion(res);
+        }
+
         // Validation
         if (!hallTagline || !heading || !description) {
             return res.status(400).json({
@@ -138,11 +150,23 @@ exports.updateHero = async (req, res) => {
         // Get current hero
         const currentHero = await Hero.findById(id);
         if (!currentHero) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
             return res.status(404).json({
                 success: false,
                 error: 'Hero section not found'
             });
         }
+        if (currentHero.deletedAt) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            return res.status(409).json({
+                success: false,
+                error: 'This hero section is in the trash. Restore it before editing'
+            });
+        }
+        if (!isCurrentVersion(currentHero, expectedVersion)) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            return sendVersionConflict(res, currentHero);
+        }
 
         // Prepare update data
         const updateData = {
@@ -154,11 +178,9 @@ exports.updateHero = async (req, res) => {
         };
 
         // Handle image updates
+        let replacedImages = [];
         if (req.cloudinaryUploads?.length > 0) {
-            // Delete old images
-            if (currentHero.images?.length > 0) {
-                await deleteCloudinaryImages(currentHero.images);
-            }
+            replacedImages = currentHero.images || [];
 
             // Add new images
             updateData.images = req.cloudinaryUploads.map(upload => ({
@@ -168,11 +190,31 @@ exports.updateHero = async (req, res) => {
             }));
         }
 
-        const updatedHero = await Hero.findByIdAndUpdate(id, updateData, {
+        // Only applies while the hero section is still at the version read above
+        const updatedHero = await Hero.findOneAndUpdate(versionFilter(currentHero), { ...updateData, $inc: { __v: 1 } }, {
             new: true,
             runValidators: true
         });
 
+        if (!updatedHero) {
+            await deleteCloudinaryImages(req.cloudinaryUploads);
+            // Deleted outright since it was read
+            const latest = await Hero.findById(id);
+            if (!latest) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Hero section not found'
+                });
+            }
+            return sendVersionConflict(res, latest);
+        }
+
+        // Old images go once the new ones are saved
+        if (replacedImages.length > 0) {
+            await deleteCloudinaryImages(replacedImages);
+        }
+
+        setVersionHeaders(res, updatedHero);
         res.status(200).json({
             success: true,
             data: updatedHero
@@ -194,26 +236,24 @@ exports.updateHero = async (req, res) => {
     }
 };
 
-// DELETE hero section
+// DELETE hero section (moves it to the trash)
 exports.deleteHero = async (req, res) => {
     try {
-        const hero = await Hero.findByIdAndDelete(req.params.id);
-        if (!hero) {
+        const hero = await Hero.findById(req.params.id);
+        if (!hero || hero.deletedAt) {
             return res.status(404).json({
                 success: false,
                 error: 'Hero section not found'
             });
         }
 
-        // Delete associated images
-        if (hero.images?.length > 0) {
-            await deleteCloudinaryImages(hero.images);
-        }
+        // Images stay until the trash is purged, so the hero can be restored
+        await hero.moveToTrash(req.user?._id || null);
 
         res.status(200).json({
             success: true,
-            data: {},
-            message: 'Hero section deleted successfully'
+            data: { id: hero._id, deletedAt: hero.deletedAt },
+            message: 'Hero section moved to trash'
         });
     } catch (err) {
         console.error('Error deleting hero:', err);
@@ -0,0 +1,79 @@
+const Product = require('../models/ProductModel');
+const productController = require('./ProductController');
+
+/**
+ * Build the handlers behind one of the old per-category endpoints
+ * (/api/beads, /api/gents, /api/queenshaven, ...). The legacy collections
+ * have been merged into Product, so these are thin views scoped to one category.
+ * @param {string} category - Product category the legacy collection maps to
+ * @param {string} label - Name used in messages (e.g. 'Bead')
+ */
+const createLegacyCatalogController = (category, label) => {
+    // Only let a request touch products that belong to this category
+    const belongsToCategory = async (id) => {
+        const product = await Product.findById(id).select('category').lean();
+        return product && product.category === category;
+    };
+
+    // GET all live items in the category
+    const getAll = async (req, res) => {
+        try {
+            const items = await Product.find({ category, ...Product.liveFilter() }).sort({ createdAt: -1 });
+            res.status(200).json({ success: true, data: items });
+        } catch (err) {
+            console.error(`Error fetching ${label} items:`, err);
+            res.status(500).json({ success: false, error: `Failed to fetch ${label} items` });
+        }
+    };
+
+    // GET single item
+    const getById = async (req, res) => {
+        try {
+            const item = await Product.findOne({ _id: req.params.id, category, ...Product.liveFilter() });
+            if (!item) {
+                return res.status(404).json({ success: false, error: `${label} item not found` });
+            }
+            res.status(200).json({ success: true, data: item });
+        } catch (err) {
+            console.error(`Error fetching ${label} item:`, err);
+            res.status(500).json({ success: false, error: `Failed to fetch ${label} item` });
+        }
+    };
+
+    // POST create item (always in this category)
+    const create = (req, res) => {
+        req.body.category = category;
+        return productController.createProduct(req, res);
+    };
+
+    // PUT update item
+    const update = async (req, res) => {
+        try {
+            if (!(await belongsToCategory(req.params.id))) {
+                return res.status(404).json({ success: false, error: `${label} item not found` });
+            }
+            req.body.category = category;
+            return productController.updateProduct(req, res);
+        } catch (err) {
+            console.error(`Error updating ${label} item:`, err);
+            res.status(500).json({ success: false, error: `Failed to update ${label} item` });
+        }
+    };
+
+    // DELETE item
+    const remove = async (req, res) => {
+        try {
+            if (!(await belongsToCategory(req.params.id))) {
+                return res.status(404).json({ success: false, error: `${label} item not found` });
+            }
+            return productController.deleteProduct(req, res);
+        } catch (err) {
+            console.error(`Error deleting ${label} item:`, err);
+            res.status(500).json({ success: false, error: `Failed to delete ${label} item` });
+        }
+    };
+
+    return { getAll, getById, create, update, remove };
+};
+
+module.exports = { createLegacyCatalogController };
@@ -1,4 +1,10 @@
 const Order = require('../models/OrderModel');
+const ReservationService = require('../Services/ReservationService');
+const CartService = require('../Services/CartService');
+const PromotionService = require('../Services/PromotionService');
+const CurrencyService = require('../Services/CurrencyService');
+const { isCursorRequest, findWithCursor } = require('../utils/cursorPagination');
+const { renderPackingSlip } = require('../utils/orderDocuments');
 
 // Create new order
 exports.createOrder = async (req, res) => {
@@ -6,12 +12,12 @@ exports.createOrder = async (req, res) => {
         console.log('=== ORDER CREATION REQUEST ===');
         console.log('Request body:', req.body);
 
-        // Validate required fields (only name, deliveryDate, items, totalAmount, paymentMethod are required)
+        // Validate required fields (only name, deliveryDate, items, paymentMethod are required;
+        // the total is worked out here)
         const requiredFields = [
             'customer.name',
             'deliveryDate',
             'items',
-            'totalAmount',
             'paymentMethod'
         ];
 
@@ -59,6 +65,20 @@ exports.createOrder = async (req, res) => {
             });
         }
 
+        // Price the cart from the catalog and apply the promo code, if any
+        const cart = await CartService.priceCart(req.body.items);
+        const discounts = req.body.promoCode
+            ? [await PromotionService.applyCode(req.body.promoCode, cart, req.body.customer)]
+            : [];
+        const totals = PromotionService.summarise(cart, discounts);
+
+        if (req.body.totalAmount !== undefined && Math.abs(parseFloat(req.body.totalAmount) - totals.totalAmount) > 0.01) {
+            console.warn(`Client total ${req.body.totalAmount} differs from server total ${totals.totalAmount}`);
+        }
+
+        const items = cart.lines.map(({ category, lineTotal, ...line }) => line);
+        const displayCurrency = req.displayCurrency;
+
         // Create the order (paymentReference will be added later during payment initiation)
         const order = new Order({
             customer: {
@@ -69,20 +89,39 @@ exports.createOrder = async (req, res) => {
                 additionalMessage: req.body.customer.additionalMessage ? req.body.customer.additionalMessage.trim() : ''
             },
             deliveryDate: new Date(req.body.deliveryDate),
-            items: req.body.items.map(item => ({
-                productId: item.productId,
-                title: item.title,
-                price: parseFloat(item.price),
-                quantity: parseInt(item.quantity),
-                image: item.image
-            })),
-            totalAmount: parseFloat(req.body.totalAmount),
+            items,
+            subtotal: totals.subtotal,
+            deliveryFee: totals.deliveryFee,
+            discountTotal: totals.discountTotal,
+            discounts,
+            freeDelivery: totals.freeDelivery,
+            totalAmount: totals.totalAmount,
+            ...(displayCurrency && {
+                displayCurrency: {
+                    currency: displayCurrency.currency,
+                    rate: displayCurrency.rate,
+                    totalAmount: CurrencyService.convert(totals.totalAmount, displayCurrency)
+                }
+            }),
             paymentMethod: req.body.paymentMethod,
             paymentStatus: 'pending'
             // paymentReference will be set during payment initiation
         });
 
-        const savedOrder = await order.save();
+        // Hold the stock until payment; fails with 409 if something sold out meanwhile
+        order.stockReservedUntil = await ReservationService.reserveOrder(order);
+
+        let savedOrder;
+        try {
+            for (const discount of discounts) {
+                await PromotionService.redeem(discount, order);
+            }
+            savedOrder = await order.save();
+        } catch (err) {
+            await ReservationService.releaseOrder(order._id, 'cancelled');
+            await PromotionService.voidOrder(order._id);
+            throw err;
+        }
         console.log('Order created successfully:', savedOrder._id);
 
         res.status(201).json({
@@ -90,17 +129,37 @@ exports.createOrder = async (req, res) => {
             _id: savedOrder._id,
             customer: savedOrder.customer,
             items: savedOrder.items,
+            subtotal: savedOrder.subtotal,
+            deliveryFee: savedOrder.deliveryFee,
+            discounts: savedOrder.discounts,
+            discountTotal: savedOrder.discountTotal,
             totalAmount: savedOrder.totalAmount,
             paymentMethod: savedOrder.paymentMethod,
             paymentStatus: savedOrder.paymentStatus,
             deliveryDate: savedOrder.deliveryDate,
-            createdAt: savedOrder.createdAt
+            stockReservedUntil: savedOrder.stockReservedUntil,
+            createdAt: savedOrder.createdAt,
+            ...(displayCurrency && { display: CurrencyService.displayOrder(savedOrder, displayCurrency) })
         });
 
     } catch (error) {
         console.error('=== ORDER CREATION ERROR ===');
         console.error('Error details:', error);
 
+        if (error.name === 'ReservationError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'CartError' || error.name === 'PromotionError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         // Handle validation errors
         if (error.name === 'ValidationError') {
             const errorMessages = Object.values(error.errors).map(err => err.message);
@@ -121,12 +180,28 @@ exports.createOrder = async (req, res) => {
 };
 
 
-// Get all orders
+// Fields returned in order listings
+const ORDER_LIST_FIELDS = 'customer items paymentStatus paymentMethod totalAmount displayCurrency createdAt deliveryDate paymentReference';
+
+// ===== Add display amounts to orders when a currency was asked for =====
+const withDisplayAmounts = (orders, displayCurrency) => {
+    if (!displayCurrency) return orders;
+    return orders.map(order => ({
+        ...(typeof order.toJSON === 'function' ? order.toJSON() : order),
+        display: CurrencyService.displayOrder(order, displayCurrency)
+    }));
+};
+
+// Get all orders (pass after/before or paginate=cursor for cursor pages)
 exports.getAllOrders = async (req, res) => {
     try {
+        if (isCursorRequest(req.query)) {
+            return await getOrdersPage(req, res);
+        }
+
         const orders = await Order.find()
             .sort({ createdAt: -1 })
-            .select('customer items paymentStatus paymentMethod totalAmount createdAt deliveryDate paymentReference');
+            .select(ORDER_LIST_FIELDS);
 
         // Calculate statistics
         const stats = {
@@ -140,7 +215,7 @@ exports.getAllOrders = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: orders,
+            data: withDisplayAmounts(orders, req.displayCurrency),
             stats: stats,
             count: orders.length
         });
@@ -154,6 +229,65 @@ exports.getAllOrders = async (req, res) => {
     }
 };
 
+// Cursor-paginated order listing, newest first by default.
+// Statistics come from one aggregation instead of loading every order.
+const getOrdersPage = async (req, res) => {
+    try {
+        const { limit = 20, sortOrder = 'desc', paymentStatus } = req.query;
+        const filter = paymentStatus ? { paymentStatus } : {};
+
+        const [{ items, pagination }, [totals]] = await Promise.all([
+            findWithCursor(Order, filter, {
+                sortField: 'createdAt',
+                sortOrder: sortOrder === 'asc' ? 1 : -1,
+                limit,
+                after: req.query.after,
+                before: req.query.before,
+                projection: ORDER_LIST_FIELDS
+            }),
+            Order.aggregate([
+                {
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        paid: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, 1, 0] } },
+                        pending: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'pending'] }, 1, 0] } },
+                        totalRevenue: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, '$totalAmount', 0] } }
+                    }
+                }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: withDisplayAmounts(items, req.displayCurrency),
+            stats: {
+                total: totals?.total || 0,
+                paid: totals?.paid || 0,
+                pending: totals?.pending || 0,
+                totalRevenue: totals?.totalRevenue || 0
+            },
+            count: items.length,
+            pagination
+        });
+    } catch (error) {
+        console.error('Error fetching orders page:', error);
+
+        if (error.name === 'CursorError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch orders',
+            error: error.message
+        });
+    }
+};
+
 // Get single order by ID
 exports.getOrderById = async (req, res) => {
     try {
@@ -168,7 +302,7 @@ exports.getOrderById = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: order
+            data: withDisplayAmounts([order], req.displayCurrency)[0]
         });
     } catch (error) {
         console.error('Error fetching order:', error);
@@ -189,6 +323,29 @@ exports.getOrderById = async (req, res) => {
     }
 };
 
+// Printable packing slip (HTML) with each item's personalisation
+exports.getPackingSlip = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(200).type('html').send(renderPackingSlip(order));
+    } catch (error) {
+        console.error('Error building packing slip:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build packing slip',
+            error: error.message
+        });
+    }
+};
+
 // Delete order (optional - for future admin use)
 exports.deleteOrder = async (req, res) => {
     try {
@@ -201,6 +358,10 @@ exports.deleteOrder = async (req, res) => {
             });
         }
 
+        // Stock held for an unpaid order goes back on sale, and its promo code use is returned
+        await ReservationService.releaseOrder(order._id, 'cancelled');
+        await PromotionService.voidOrder(order._id);
+
         res.status(200).json({
             success: true,
             message: 'Order deleted successfully',
@@ -1,6 +1,9 @@
 const axios = require('axios');
 const Order = require('../models/OrderModel');
+const ReservationService = require('../Services/ReservationService');
+const PromotionService = require('../Services/PromotionService');
 const nodemailer = require('nodemailer');
+const { describeOptions, personalisationHtml } = require('../utils/orderDocuments');
 
 const paystackSecretKey = process.env.PAYSTACK_SECRET_KEY;
 
@@ -46,9 +49,16 @@ exports.initiatePayment = async (req, res) => {
         // Use provided email or fallback to order email or default
         const paymentEmail = email || order.customer.email || 'customer@example.com';
 
+        // Charge the total worked out when the order was created (in pesewas), not the client's figure
+        const chargeAmount = Math.round(order.totalAmount * 100);
+        if (Math.abs(chargeAmount - parseInt(amount)) > 1) {
+            console.warn(`Client amount ${amount} differs from order total ${chargeAmount}; charging the order total`);
+        }
+
         const paystackPayload = {
             email: paymentEmail,
-            amount, // Amount already in kobo from frontend
+            amount: chargeAmount,
+            currency: 'GHS', // always settled in cedis, whatever currency prices were shown in
             callback_url: callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`,
             metadata: {
                 custom_fields: [
@@ -132,9 +142,9 @@ exports.verifyPayment = async (req, res) => {
         });
 
         const data = response.data.data;
+        const orderId = data.metadata?.custom_fields?.find(field => field.variable_name === 'order_id')?.value;
 
         if (data.status === 'success') {
-            const orderId = data.metadata?.custom_fields?.find(field => field.variable_name === 'order_id')?.value;
 
             if (!orderId) {
                 return res.status(400).json({
@@ -161,6 +171,11 @@ exports.verifyPayment = async (req, res) => {
                 });
             }
 
+            // The held stock is now sold (safe to repeat: committed holds are skipped)
+            await ReservationService.commitOrder(order._id);
+            // Promotion uses voided when the checkout expired count again now it's paid
+            await PromotionService.reinstateOrder(order._id);
+
             // Send confirmation emails (only if email is provided)
             if (order.customer.email) {
                 await sendOrderConfirmationEmail(order, data.amount / 100); // Convert from kobo
@@ -179,6 +194,13 @@ exports.verifyPayment = async (req, res) => {
             });
         }
 
+        // A failed payment gives the held stock back straight away
+        if (data.status === 'failed' && orderId) {
+            await Order.updateOne({ _id: orderId, paymentStatus: 'pending' }, { paymentStatus: 'failed' });
+            await ReservationService.releaseOrder(orderId, 'payment_failed');
+            await PromotionService.voidOrder(orderId);
+        }
+
         res.status(400).json({
             success: false,
             status: 'failed',
@@ -205,7 +227,8 @@ const sendOrderConfirmationEmail = async (order, paidAmount) => {
 
         const itemsList = order.items.map(item =>
             `<li style="margin-bottom: 10px;">
-                <strong>${item.title}</strong> - Quantity: ${item.quantity} - GH₵${item.price.toFixed(2)} each
+                <strong>${item.title}</strong>${describeOptions(item)} - Quantity: ${item.quantity} - GH₵${item.price.toFixed(2)} each
+                ${personalisationHtml(item)}
             </li>`
         ).join('');
 
@@ -355,7 +378,8 @@ const sendAdminOrderNotification = async (order, paidAmount) => {
     try {
         const itemsList = order.items.map(item =>
             `<li style="margin-bottom: 10px;">
-                <strong>${item.title}</strong> - Quantity: ${item.quantity} - GH₵${item.price.toFixed(2)} each
+                <strong>${item.title}</strong>${describeOptions(item)} - Quantity: ${item.quantity} - GH₵${item.price.toFixed(2)} each
+                ${personalisationHtml(item)}
             </li>`
         ).join('');
 
@@ -0,0 +1,86 @@
+const Product = require('../models/ProductModel');
+const PriceHistory = require('../models/PriceHistoryModel');
+
+// Most points returned for one chart
+const MAX_POINTS = 1000;
+
+/**
+ * GET a product's price history, oldest first, for charting.
+ * Defaults to the product-level line; pass ?sku= for a variant.
+ * @route GET /api/products/:id/price-history
+ * @access Admin
+ */
+exports.getPriceHistory = async (req, res) => {
+    try {
+        const { sku = '', from, to } = req.query;
+
+        const product = await Product.findById(req.params.id)
+            .select('name price originalPrice isOnSale discountPercentage discountAmount discountStartDate discountEndDate variants');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const variant = sku ? product.getVariant(sku) : null;
+        if (sku && !variant) {
+            return res.status(404).json({
+                success: false,
+                error: `Variant ${sku} not found on this product`
+            });
+        }
+
+        const filter = { product: product._id, sku: variant ? variant.sku : '' };
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const current = Product.computePricing(product, { variant });
+
+        // Newest points win when the range holds more than one chart's worth
+        const [points, lowestPrices] = await Promise.all([
+            PriceHistory.find(filter)
+                .populate('changedBy', 'name email')
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(MAX_POINTS),
+            PriceHistory.getLowestPrices([product._id], {
+                sku: filter.sku,
+                onSale: current.discountActive ? [product._id] : []
+            })
+        ]);
+        points.reverse();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                product: {
+                    _id: product._id,
+                    name: product.name,
+                    sku: variant ? variant.sku : '',
+                    price: current.basePrice,
+                    originalPrice: product.originalPrice,
+                    salePrice: current.salePrice,
+                    discountActive: current.discountActive
+                },
+                lowestPrice30Days: PriceHistory.lowestBeforeSale(lowestPrices.get(product._id.toString()), {
+                    price: current.basePrice,
+                    salePrice: current.salePrice,
+                    discountActive: current.discountActive
+                }),
+                lowestPrice: points.length > 0 ? Math.min(...points.map(point => point.salePrice)) : null,
+                highestPrice: points.length > 0 ? Math.max(...points.map(point => point.salePrice)) : null,
+                truncated: points.length === MAX_POINTS,
+                points
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching price history:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch price history'
+        });
+    }
+};
@@ -1,5 +1,19 @@
+const mongoose = require('mongoose');
 const Product = require('../models/ProductModel');
+const StockMovement = require('../models/StockMovementModel');
+const PriceHistory = require('../models/PriceHistoryModel');
+const ProductRevision = require('../models/ProductRevisionModel');
 const cloudinary = require('../config/cloudinary');
+const SearchService = require('../Services/SearchService');
+const FeedService = require('../Services/FeedService');
+const RecommendationService = require('../Services/RecommendationService');
+const CurrencyService = require('../Services/CurrencyService');
+const BackInStockService = require('../Services/BackInStockService');
+const { isCursorRequest, findWithCursor } = require('../utils/cursorPagination');
+const { slugify, generateUniqueSlug, buildSlugChange } = require('../utils/slug');
+const { SheetTooLargeError, readProductSheet, rowToProductData, writeProductSheet } = require('../utils/productSpreadsheet');
+const { spreadsheetFormat } = require('../middleware/SpreadsheetUploadMiddleware');
+const { readExpectedVersion, isCurrentVersion, versionFilter, setVersionHeaders, sendInvalidVersion, sendVersionConflict } = require('../utils/concurrency');
 
 // ===== Helper to delete Cloudinary files =====
 const deleteCloudinaryFiles = async (files, type = 'image') => {
@@ -28,7 +42,9 @@ const validateProductData = (data) => {
     if (!data.name || !data.name.trim()) {
         throw new Error('Product name is required');
     }
-    if (!data.price || data.price <= 0) {
+    // Percentage-priced bundles take their price from their components
+    const derivedPrice = data.productType === 'bundle' && data.bundlePricingMode === 'percentage';
+    if (!derivedPrice && (!data.price || data.price <= 0)) {
         throw new Error('Price must be greater than 0');
     }
     if (!data.category) {
@@ -41,6 +57,386 @@ const validateProductData = (data) => {
     }
 };
 
+// ===== Parse JSON fields safely (multipart sends them as strings) =====
+const parseJSONField = (field) => {
+    try {
+        return typeof field === 'string' ? JSON.parse(field) : field || [];
+    } catch (err) {
+        throw new Error('Invalid JSON in options, variants, bundleItems or personalisationFields');
+    }
+};
+
+// ===== Personalisation fields from request data =====
+// Keys default to the label ("Engraving text" -> engraving_text); choices may be
+// plain strings or { value, extraCharge }.
+const preparePersonalisationFields = (body) => {
+    const fields = parseJSONField(body.personalisationFields).map(field => ({
+        key: slugify(field.key || field.label).replace(/-/g, '_'),
+        label: field.label,
+        type: field.type,
+        required: field.required === true || field.required === 'true',
+        helpText: field.helpText || '',
+        ...(field.maxLength !== undefined && field.maxLength !== '' && { maxLength: parseInt(field.maxLength) }),
+        choices: field.type === 'choice'
+            ? (field.choices || []).map(choice => typeof choice === 'string'
+                ? { value: choice }
+                : { value: choice.value, extraCharge: parseFloat(choice.extraCharge) || 0 })
+            : [],
+        extraCharge: parseFloat(field.extraCharge) || 0
+    }));
+
+    const errors = Product.checkPersonalisationFields(fields);
+    if (errors.length > 0) {
+        throw new Error(errors[0]);
+    }
+
+    return fields;
+};
+
+// ===== Build variants from request data =====
+// A variant image is either { imageUrl, altText } or { upload: '<file name>' }
+// pointing at one of the files uploaded with the request.
+const buildVariants = (rawVariants, uploadedImages = []) => {
+    const usedUploads = new Set();
+
+    const variants = rawVariants.map(variant => ({
+        ...(variant._id && { _id: variant._id }),
+        sku: String(variant.sku || '').trim().toUpperCase(),
+        options: variant.options || {},
+        price: variant.price !== undefined && variant.price !== null && variant.price !== ''
+            ? parseFloat(variant.price)
+            : null,
+        stockQuantity: variant.stockQuantity ? parseInt(variant.stockQuantity) : 0,
+        isActive: variant.isActive !== undefined ? (variant.isActive === 'true' || variant.isActive === true) : true,
+        images: (variant.images || []).map(image => {
+            if (!image.upload) return image;
+
+            const upload = uploadedImages.find(u => u.originalname === image.upload);
+            if (!upload) {
+                throw new Error(`Variant image "${image.upload}" was not uploaded`);
+            }
+            usedUploads.add(upload);
+            return { imageUrl: upload.url, altText: image.altText || upload.originalname };
+        })
+    }));
+
+    return { variants, usedUploads };
+};
+
+// ===== Validate and prepare options/variants from the request =====
+const prepareVariantData = (body, uploadedImages) => {
+    const options = parseJSONField(body.options);
+    const { variants, usedUploads } = buildVariants(parseJSONField(body.variants), uploadedImages);
+
+    const errors = Product.checkVariants(options, variants);
+    if (errors.length > 0) {
+        throw new Error(errors[0]);
+    }
+
+    return { options, variants, usedUploads };
+};
+
+// ===== Validate and prepare bundle components from the request =====
+// bundleItems: [{ product: '<id>', variantId?: '<id>', quantity?: 2 }]
+const prepareBundleData = async (body, bundleId = null) => {
+    const bundleItems = parseJSONField(body.bundleItems).map(item => ({
+        product: item.product,
+        variantId: item.variantId || null,
+        quantity: item.quantity ? parseInt(item.quantity) : 1
+    }));
+
+    if (bundleItems.length === 0) {
+        throw new Error('A bundle needs at least one product');
+    }
+
+    const components = await Product.find({ _id: { $in: bundleItems.map(item => item.product) } })
+        .select('name productType variants');
+
+    for (const item of bundleItems) {
+        if (bundleId && String(item.product) === String(bundleId)) {
+            throw new Error('A bundle cannot contain itself');
+        }
+
+        const component = components.find(c => c._id.toString() === String(item.product));
+        if (!component) {
+            throw new Error(`Bundle product ${item.product} not found`);
+        }
+        if (component.productType === 'bundle') {
+            throw new Error(`"${component.name}" is a bundle and cannot be part of another bundle`);
+        }
+        if (component.variants.length > 0 && !item.variantId) {
+            throw new Error(`Choose a variant of "${component.name}" for the bundle`);
+        }
+        if (item.variantId && !component.getVariant(item.variantId)) {
+            throw new Error(`Variant ${item.variantId} of "${component.name}" not found`);
+        }
+    }
+
+    return {
+        bundleItems,
+        bundlePricing: {
+            mode: body.bundlePricingMode === 'percentage' ? 'percentage' : 'fixed',
+            percentageOff: body.bundlePercentageOff ? parseFloat(body.bundlePercentageOff) : 0
+        }
+    };
+};
+
+// ===== Remove files uploaded for a request that was turned down =====
+const discardUploads = async (req) => {
+    await deleteCloudinaryFiles(req.cloudinaryUploads?.images, 'image');
+    await deleteCloudinaryFiles(req.cloudinaryUploads?.videos, 'video');
+};
+
+// ===== Fields shown for each bundle component =====
+const BUNDLE_COMPONENT_FIELDS = 'name slug price images stockQuantity inStock variants';
+
+// ===== Total stock held by active variants =====
+const sumVariantStock = (variants) => variants
+    .filter(variant => variant.isActive)
+    .reduce((sum, variant) => sum + variant.stockQuantity, 0);
+
+// ===== Check the variant a stock request targets =====
+// Returns an error response description, or null when the selection is valid.
+const checkVariantSelection = (product, variantIdOrSku) => {
+    if (product.variants.length === 0) return null;
+    if (!variantIdOrSku) {
+        return { status: 400, error: 'variantId or sku is required for products with variants' };
+    }
+    if (!product.getVariant(variantIdOrSku)) {
+        return { status: 404, error: 'Variant not found' };
+    }
+    return null;
+};
+
+// ===== Build the storefront filters from query params =====
+// Each active filter is kept on its own key so facet counts can leave one out.
+// Unpublished products are left out unless includeUnpublished is set (admin listings);
+// products in the trash are always left out.
+const buildProductFilters = ({ category, inStock, onSale, minPrice, maxPrice, status, tag }, { includeUnpublished = false } = {}) => {
+    const filters = {};
+
+    // Visibility filter
+    if (!includeUnpublished) {
+        filters.live = Product.liveFilter();
+    } else {
+        filters.trash = Product.notDeleted();
+        if (status) {
+            filters.status = { status };
+        }
+    }
+
+    // Category filter (comma-separated for several)
+    if (category) {
+        const categories = String(category).split(',').map(c => c.trim()).filter(Boolean);
+        filters.category = categories.length > 1
+            ? { category: { $in: categories } }
+            : { category: categories[0] };
+    }
+
+    // Tag filter (comma-separated matches any)
+    if (tag) {
+        filters.tag = { tags: { $in: parseTags(tag) } };
+    }
+
+    // Stock filter (units held by unpaid orders aren't for sale)
+    if (inStock === 'true') {
+        filters.inStock = Product.availableFilter();
+    }
+
+    // Sale filter
+    if (onSale === 'true') {
+        filters.onSale = Product.onSaleFilter();
+    }
+
+    // Price range filter
+    if (minPrice || maxPrice) {
+        filters.price = { price: {} };
+        if (minPrice) filters.price.price.$gte = parseFloat(minPrice);
+        if (maxPrice) filters.price.price.$lte = parseFloat(maxPrice);
+    }
+
+    return filters;
+};
+
+// ===== Products as sent to the storefront =====
+// Adds current pricing to lean results (documents have it as virtuals) and
+// the lowest price of the 30 days before the running sale (or of the last 30
+// days, off sale), so a sale can be checked against what the product really
+// sold for. With a display currency, converted prices go in `display`.
+const withPriceDetails = async (products, displayCurrency = null) => {
+    const list = products.map(product => typeof product.toJSON === 'function'
+        ? product.toJSON()
+        : Product.withPricing(product));
+    const lowest = await PriceHistory.getLowestPrices(list.map(product => product._id), {
+        onSale: list.filter(product => product.isDiscountActive).map(product => product._id)
+    });
+
+    return list.map(product => {
+        const priced = {
+            ...product,
+            lowestPrice30Days: PriceHistory.lowestBeforeSale(lowest.get(product._id.toString()), {
+                price: product.price,
+                salePrice: product.salePrice,
+                discountActive: product.isDiscountActive
+            })
+        };
+        return displayCurrency
+            ? { ...priced, display: CurrencyService.displayProduct(priced, displayCurrency) }
+            : priced;
+    });
+};
+
+// ===== Tags from a comma-separated string or an array =====
+const parseTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// ===== Read the publishing fields from the request =====
+// Fields missing from the request fall back to `current` (or the defaults).
+const parsePublishing = (body, current = {}) => {
+    const toDate = (value, fallback) => value !== undefined ? (value ? new Date(value) : null) : fallback;
+
+    const publishing = {
+        status: body.status !== undefined ? body.status : (current.status || 'published'),
+        publishAt: toDate(body.publishAt, current.publishAt || null),
+        unpublishAt: toDate(body.unpublishAt, current.unpublishAt || null)
+    };
+
+    if (!['draft', 'scheduled', 'published'].includes(publishing.status)) {
+        throw new Error('Status must be one of: draft, scheduled, published');
+    }
+    if ([publishing.publishAt, publishing.unpublishAt].some(date => date && isNaN(date))) {
+        throw new Error('Invalid publish or unpublish date');
+    }
+    if (publishing.status === 'scheduled' && !publishing.publishAt) {
+        throw new Error('Scheduled products need a publish date');
+    }
+    if (publishing.publishAt && publishing.unpublishAt && publishing.unpublishAt <= publishing.publishAt) {
+        throw new Error('Unpublish date must be after the publish date');
+    }
+
+    return publishing;
+};
+
+// ===== Combine filters into one query, optionally leaving one out =====
+const combineFilters = (filters, except = null) => {
+    const clauses = Object.entries(filters)
+        .filter(([name]) => name !== except)
+        .map(([, clause]) => clause);
+    return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+// ===== Build the sort for product listings =====
+const buildSort = (sortBy, sortOrder, hasTextSearch = false) => {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const sort = {};
+
+    switch (sortBy) {
+        case 'relevance':
+            if (hasTextSearch) {
+                sort.score = { $meta: 'textScore' };
+            }
+            sort.createdAt = -1;
+            break;
+        case 'price':
+            sort.price = direction;
+            break;
+        case 'name':
+            sort.name = direction;
+            break;
+        case 'stock':
+            sort.stockQuantity = direction;
+            break;
+        case 'rating':
+            sort.ratingAverage = direction;
+            sort.ratingCount = direction;
+            break;
+        default:
+            sort[sortBy] = direction;
+    }
+    return sort;
+};
+
+// ===== Largest spreadsheet accepted by the importer =====
+const MAX_IMPORT_ROWS = 1000;
+
+// ===== Check one import row the same way the product form is checked =====
+// Returns the row's report entry; `product` is the document to save on commit,
+// `previous` its state before the row was applied (for the stock ledger) and
+// `replacedImages` the images the row drops, deleted from Cloudinary once saved.
+const checkImportRow = ({ rowNumber, values }, existingById) => {
+    const { data, errors } = rowToProductData(values);
+    const warnings = [];
+    let product = null;
+
+    if (values.id) {
+        product = existingById.get(values.id) || null;
+        if (!product) {
+            errors.push(`No product with id ${values.id}`);
+        } else if (product.deletedAt) {
+            errors.push(`Product ${values.id} is in the trash; restore it before importing changes`);
+            product = null;
+        }
+    }
+
+    const action = values.id ? 'update' : 'create';
+    const previous = product ? product.toObject() : null;
+
+    // Images the product already has keep their details; new ones have to be
+    // in the shop's Cloudinary account so they can be deleted later
+    let replacedImages = [];
+    if (data.images) {
+        const current = new Map((previous?.images || []).map(image => [image.imageUrl, image]));
+        data.images = data.images.map(image => current.get(image.imageUrl) || image);
+
+        const unmanaged = data.images.filter(image => !image.publicId && !current.has(image.imageUrl));
+        if (unmanaged.length > 0) {
+            errors.push(`imageUrls must be images uploaded to the shop's Cloudinary account: ${unmanaged.map(image => image.imageUrl).join(', ')}`);
+        }
+
+        const kept = new Set(data.images.map(image => image.imageUrl));
+        replacedImages = (previous?.images || []).filter(image => !kept.has(image.imageUrl));
+    }
+
+    const merged = previous ? { ...previous, ...data } : data;
+
+    try {
+        validateProductData(merged);
+    } catch (err) {
+        errors.push(err.message);
+    }
+
+    if (errors.length === 0) {
+        // Schema rules too (status values, discount limits, ...)
+        // Updated products move to a new version, so open editors get a conflict
+        product = product ? product.set(data).increment() : new Product(data);
+        const validation = product.validateSync();
+        if (validation) {
+            errors.push(...Object.values(validation.errors).map(error => error.message));
+        }
+
+        if (data.stockQuantity !== undefined && (product.variants.length > 0 || product.productType === 'bundle')) {
+            warnings.push('stockQuantity is ignored: this product\'s stock comes from its variants or bundle items');
+        }
+    }
+
+    return {
+        row: rowNumber,
+        action,
+        id: values.id || null,
+        name: merged.name || '',
+        errors,
+        warnings,
+        product: errors.length === 0 ? product : null,
+        previous,
+        replacedImages
+    };
+};
+
+// ===== Price buckets used by the browse facets (GH₵) =====
+const DEFAULT_PRICE_BOUNDARIES = [0, 50, 100, 200, 500, 1000];
+
 // ==================== PRODUCT CONTROLLERS ====================
 
 /**
@@ -51,11 +447,6 @@ const validateProductData = (data) => {
 exports.getAllProducts = async (req, res) => {
     try {
         const {
-            category,
-            inStock,
-            onSale,
-            minPrice,
-            maxPrice,
             search,
             sortBy = 'createdAt',
             sortOrder = 'desc',
@@ -63,69 +454,53 @@ exports.getAllProducts = async (req, res) => {
             limit = 12
         } = req.query;
 
-        let query = {};
+        const query = combineFilters(buildProductFilters(req.query, { includeUnpublished: req.includeUnpublished }));
 
-        // Category filter
-        if (category) {
-            query.category = category;
+        // Full-text search, tolerant of typos and expanded with synonyms
+        let textSearch = null;
+        if (search && String(search).trim()) {
+            textSearch = await SearchService.buildTextSearch(search);
+            query.$text = { $search: textSearch.terms.join(' ') };
         }
 
-        // Stock filter
-        if (inStock === 'true') {
-            query.inStock = true;
-            query.stockQuantity = { $gt: 0 };
-        }
-
-        // Sale filter
-        if (onSale === 'true') {
-            query.isOnSale = true;
-            const now = new Date();
-            query.$or = [
-                {
-                    $and: [
-                        { discountStartDate: { $lte: now } },
-                        { discountEndDate: { $gte: now } }
-                    ]
-                },
-                {
-                    $and: [
-                        { discountStartDate: null },
-                        { discountEndDate: null }
-                    ]
-                }
-            ];
-        }
+        // Sorting (searches rank by relevance unless another order is asked for)
+        const sort = buildSort(textSearch && !req.query.sortBy ? 'relevance' : sortBy, sortOrder, !!textSearch);
+        const projection = textSearch ? { score: { $meta: 'textScore' } } : {};
+        const searchInfo = textSearch && {
+            search: {
+                query: search,
+                corrections: textSearch.corrections,
+                synonyms: textSearch.synonyms
+            }
+        };
 
-        // Price range filter
-        if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
-        }
+        // Cursor mode: keyset pagination without a total count
+        if (isCursorRequest(req.query)) {
+            const [sortField] = Object.keys(sort);
+            if (sortField === 'score') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Pass sortBy to use cursor pagination with a search'
+                });
+            }
 
-        // Search filter
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            query.$or = [
-                { name: searchRegex },
-                { description: searchRegex }
-            ];
-        }
+            const { items, pagination } = await findWithCursor(Product, query, {
+                sortField,
+                sortOrder: sort[sortField],
+                limit,
+                after: req.query.after,
+                before: req.query.before,
+                projection
+            });
 
-        // Sorting
-        const sort = {};
-        switch (sortBy) {
-            case 'price':
-                sort.price = sortOrder === 'asc' ? 1 : -1;
-                break;
-            case 'name':
-                sort.name = sortOrder === 'asc' ? 1 : -1;
-                break;
-            case 'stock':
-                sort.stockQuantity = sortOrder === 'asc' ? 1 : -1;
-                break;
-            default:
-                sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+            return res.status(200).json({
+                success: true,
+                data: {
+                    products: await withPriceDetails(items, req.displayCurrency),
+                    pagination,
+                    ...searchInfo
+                }
+            });
         }
 
         // Pagination
@@ -135,7 +510,7 @@ exports.getAllProducts = async (req, res) => {
 
         // Execute query
         const [products, total] = await Promise.all([
-            Product.find(query)
+            Product.find(query, projection)
                 .sort(sort)
                 .limit(limitNum)
                 .skip(skip)
@@ -146,7 +521,7 @@ exports.getAllProducts = async (req, res) => {
         res.status(200).json({
             success: true,
             data: {
-                products,
+                products: await withPriceDetails(products, req.displayCurrency),
                 pagination: {
                     currentPage: pageNum,
                     totalPages: Math.ceil(total / limitNum),
@@ -154,12 +529,19 @@ exports.getAllProducts = async (req, res) => {
                     productsPerPage: limitNum,
                     hasNextPage: pageNum * limitNum < total,
                     hasPrevPage: pageNum > 1
-                }
+                },
+                ...searchInfo
             }
         });
 
     } catch (err) {
         console.error('Error fetching products:', err);
+        if (err.name === 'CursorError') {
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
         res.status(500).json({
             success: false,
             error: 'Failed to fetch products'
@@ -167,6 +549,156 @@ exports.getAllProducts = async (req, res) => {
     }
 };
 
+/**
+ * GET products with facet counts for the storefront filters.
+ * Each facet's counts apply every active filter except its own,
+ * so the frontend can show how many items each option would return.
+ * @route GET /api/products/browse
+ * @access Public
+ */
+exports.browseProducts = async (req, res) => {
+    try {
+        const {
+            search,
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+            page = 1,
+            limit = 12,
+            priceBuckets
+        } = req.query;
+
+        const filters = buildProductFilters(req.query);
+
+        // Price bucket boundaries can be overridden, e.g. ?priceBuckets=0,100,250.
+        // They always start at 0: anything outside the boundaries lands in the
+        // open-ended top range, so cheaper products must have a range of their own.
+        const boundaries = priceBuckets
+            ? [...new Set([0, ...String(priceBuckets).split(',').map(parseFloat).filter(n => !isNaN(n) && n >= 0)])].sort((a, b) => a - b)
+            : DEFAULT_PRICE_BOUNDARIES;
+
+        if (boundaries.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'priceBuckets needs at least two boundaries'
+            });
+        }
+
+        const pipeline = [];
+
+        // $text has to be the first stage and applies to every facet
+        let textSearch = null;
+        if (search && String(search).trim()) {
+            textSearch = await SearchService.buildTextSearch(search);
+            pipeline.push(
+                { $match: { $text: { $search: textSearch.terms.join(' ') } } },
+                { $addFields: { score: { $meta: 'textScore' } } }
+            );
+        }
+
+        const sort = buildSort(textSearch && !req.query.sortBy ? 'relevance' : sortBy, sortOrder, !!textSearch);
+        if (sort.score) {
+            sort.score = -1; // score is a stored field after $addFields
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const saleFilter = Product.onSaleFilter();
+        const stockFilter = Product.availableFilter();
+        const lastBoundary = boundaries[boundaries.length - 1];
+
+        pipeline.push({
+            $facet: {
+                products: [
+                    { $match: combineFilters(filters) },
+                    { $sort: sort },
+                    { $skip: (pageNum - 1) * limitNum },
+                    { $limit: limitNum }
+                ],
+                total: [
+                    { $match: combineFilters(filters) },
+                    { $count: 'count' }
+                ],
+                categories: [
+                    { $match: combineFilters(filters, 'category') },
+                    { $group: { _id: '$category', count: { $sum: 1 } } }
+                ],
+                priceRanges: [
+                    { $match: combineFilters(filters, 'price') },
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries,
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                onSale: [
+                    { $match: { $and: [combineFilters(filters, 'onSale'), saleFilter] } },
+                    { $count: 'count' }
+                ],
+                inStock: [
+                    { $match: { $and: [combineFilters(filters, 'inStock'), stockFilter] } },
+                    { $count: 'count' }
+                ]
+            }
+        });
+
+        const [result] = await Product.aggregate(pipeline);
+        const total = result.total[0]?.count || 0;
+
+        // Report every category, including those with no matches
+        const categoryCounts = new Map(result.categories.map(c => [c._id, c.count]));
+        const categories = Product.schema.path('category').enumValues.map(value => ({
+            value,
+            count: categoryCounts.get(value) || 0
+        }));
+
+        const bucketCounts = new Map(result.priceRanges.map(b => [b._id, b.count]));
+        const priceRanges = boundaries.slice(0, -1).map((min, i) => ({
+            min,
+            max: boundaries[i + 1],
+            count: bucketCounts.get(min) || 0
+        }));
+        priceRanges.push({ min: lastBoundary, max: null, count: bucketCounts.get('above') || 0 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                products: await withPriceDetails(result.products, req.displayCurrency),
+                facets: {
+                    categories,
+                    priceRanges,
+                    onSale: result.onSale[0]?.count || 0,
+                    inStock: result.inStock[0]?.count || 0
+                },
+                pagination: {
+                    currentPage: pageNum,
+                    totalPages: Math.ceil(total / limitNum),
+                    totalProducts: total,
+                    productsPerPage: limitNum,
+                    hasNextPage: pageNum * limitNum < total,
+                    hasPrevPage: pageNum > 1
+                },
+                ...(textSearch && {
+                    search: {
+                        query: search,
+                        corrections: textSearch.corrections,
+                        synonyms: textSearch.synonyms
+                    }
+                })
+            }
+        });
+
+    } catch (err) {
+        console.error('Error browsing products:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to browse products'
+        });
+    }
+};
+
 /**
  * GET single product by ID
  * @route GET /api/products/:id
@@ -174,9 +706,10 @@ exports.getAllProducts = async (req, res) => {
  */
 exports.getProductById = async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findById(req.params.id)
+            .populate('bundleItems.product', BUNDLE_COMPONENT_FIELDS);
 
-        if (!product) {
+        if (!product || !product.isLive) {
             return res.status(404).json({
                 success: false,
                 error: 'Product not found'
@@ -185,7 +718,7 @@ exports.getProductById = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: product
+            data: (await withPriceDetails([product], req.displayCurrency))[0]
         });
     } catch (err) {
         console.error('Error fetching product:', err);
@@ -196,6 +729,167 @@ exports.getProductById = async (req, res) => {
     }
 };
 
+/**
+ * GET related products: frequently bought together first, then similar items.
+ * Served from the lists precomputed by the recommendations job.
+ * @route GET /api/products/:id/related
+ * @access Public
+ */
+exports.getRelatedProducts = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 12);
+
+        const exists = await Product.exists({ _id: req.params.id, ...Product.liveFilter() });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const { items, computedAt } = await RecommendationService.getForProduct(req.params.id, limit);
+
+        res.status(200).json({
+            success: true,
+            count: items.length,
+            computedAt,
+            data: items
+        });
+    } catch (err) {
+        console.error('Error fetching related products:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch related products'
+        });
+    }
+};
+
+/**
+ * POST upload a customer's image for one of the product's image personalisation fields.
+ * Body (multipart): image file, field=<personalisation field key>
+ * @route POST /api/products/:id/personalisation-upload
+ * @access Public
+ */
+exports.uploadPersonalisationImage = async (req, res) => {
+    const images = req.cloudinaryUploads?.images || [];
+    const videos = req.cloudinaryUploads?.videos || [];
+    const discardUploads = async () => {
+        await deleteCloudinaryFiles(images, 'image');
+        await deleteCloudinaryFiles(videos, 'video');
+    };
+    const reject = async (status, error) => {
+        await discardUploads();
+        return res.status(status).json({ success: false, error });
+    };
+
+    try {
+        const product = await Product.findOne({ _id: req.params.id, ...Product.liveFilter() })
+            .select('name personalisationFields');
+        if (!product) {
+            return reject(404, 'Product not found');
+        }
+
+        const field = product.personalisationFields.find(f => f.key === req.body.field);
+        if (!field || field.type !== 'image') {
+            return reject(400, `${product.name} has no image personalisation field "${req.body.field || ''}"`);
+        }
+
+        const [image] = images;
+        if (!image || videos.length > 0) {
+            return reject(400, 'Upload one image file');
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                field: field.key,
+                imageUrl: image.url,
+                publicId: image.public_id
+            }
+        });
+    } catch (err) {
+        console.error('Error uploading personalisation image:', err);
+        await discardUploads();
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload image'
+        });
+    }
+};
+
+/**
+ * GET any product by ID, including drafts and scheduled items
+ * @route GET /api/products/preview/:id
+ * @access Admin
+ */
+exports.previewProduct = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id)
+            .populate('bundleItems.product', BUNDLE_COMPONENT_FIELDS);
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        // Editors send this back as If-Match when saving
+        setVersionHeaders(res, product);
+        res.status(200).json({
+            success: true,
+            data: (await withPriceDetails([product], req.displayCurrency))[0]
+        });
+    } catch (err) {
+        console.error('Error previewing product:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview product'
+        });
+    }
+};
+
+/**
+ * GET single product by slug.
+ * Old slugs from before a rename answer 301 with the current location.
+ * @route GET /api/products/slug/:slug
+ * @access Public
+ */
+exports.getProductBySlug = async (req, res) => {
+    try {
+        const product = await Product.findBySlug(req.params.slug)
+            .populate('bundleItems.product', BUNDLE_COMPONENT_FIELDS);
+
+        if (!product || !product.isLive) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        if (product.slug !== req.params.slug.toLowerCase()) {
+            const location = `${req.baseUrl}/slug/${product.slug}`;
+            return res.status(301).location(location).json({
+                success: true,
+                redirect: true,
+                slug: product.slug,
+                location
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: (await withPriceDetails([product], req.displayCurrency))[0]
+        });
+    } catch (err) {
+        console.error('Error fetching product by slug:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch product'
+        });
+    }
+};
+
 /**
  * GET products by category
  * @route GET /api/products/category/:category
@@ -215,6 +909,26 @@ exports.getProductsByCategory = async (req, res) => {
             });
         }
 
+        // Cursor mode: keyset pagination without a total count
+        if (isCursorRequest(req.query)) {
+            const { items, pagination } = await findWithCursor(Product, { category, ...Product.availableFilter(), ...Product.liveFilter() }, {
+                sortField: sortBy,
+                sortOrder: sortOrder === 'asc' ? 1 : -1,
+                limit,
+                after: req.query.after,
+                before: req.query.before
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    products: await withPriceDetails(items, req.displayCurrency),
+                    category,
+                    pagination
+                }
+            });
+        }
+
         const pageNum = parseInt(page);
         const limitNum = parseInt(limit);
         const skip = (pageNum - 1) * limitNum;
@@ -228,13 +942,13 @@ exports.getProductsByCategory = async (req, res) => {
                 .limit(limitNum)
                 .skip(skip)
                 .lean(),
-            Product.countDocuments({ category, inStock: true })
+            Product.countDocuments({ category, ...Product.availableFilter(), ...Product.liveFilter() })
         ]);
 
         res.status(200).json({
             success: true,
             data: {
-                products,
+                products: await withPriceDetails(products, req.displayCurrency),
                 category,
                 pagination: {
                     currentPage: pageNum,
@@ -249,6 +963,12 @@ exports.getProductsByCategory = async (req, res) => {
 
     } catch (err) {
         console.error('Error fetching products by category:', err);
+        if (err.name === 'CursorError') {
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
         res.status(500).json({
             success: false,
             error: 'Failed to fetch products by category'
@@ -268,7 +988,7 @@ exports.getProductsOnSale = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: products
+            data: await withPriceDetails(products, req.displayCurrency)
         });
 
     } catch (err) {
@@ -329,7 +1049,7 @@ exports.getInStockProducts = async (req, res) => {
 /**
  * POST create new product
  * @route POST /api/products
- * @access Public
+ * @access Admin
  */
 exports.createProduct = async (req, res) => {
     try {
@@ -337,12 +1057,16 @@ exports.createProduct = async (req, res) => {
 
         validateProductData(req.body);
 
+        const { options, variants, usedUploads } = prepareVariantData(req.body, req.cloudinaryUploads?.images);
+        const isBundle = req.body.productType === 'bundle';
+        const bundleData = isBundle ? await prepareBundleData(req.body) : {};
+
         let images = [];
         let videos = [];
 
-        // Handle uploaded images
+        // Handle uploaded images (those claimed by a variant stay on the variant)
         if (req.cloudinaryUploads?.images?.length > 0) {
-            images = req.cloudinaryUploads.images.map(upload => ({
+            images = req.cloudinaryUploads.images.filter(upload => !usedUploads.has(upload)).map(upload => ({
                 imageUrl: upload.url,
                 publicId: upload.public_id,
                 altText: upload.originalname || 'product-image'
@@ -362,23 +1086,53 @@ exports.createProduct = async (req, res) => {
         const productData = {
             name: req.body.name.trim(),
             description: req.body.description || '',
-            price: parseFloat(req.body.price),
+            price: req.body.price ? parseFloat(req.body.price) : 0,
             originalPrice: req.body.originalPrice ? parseFloat(req.body.originalPrice) : null,
             category: req.body.category,
             images: images.length > 0 ? images : req.body.images || [],
             videos: videos.length > 0 ? videos : req.body.videos || [],
-            inStock: req.body.inStock !== undefined ? (req.body.inStock === 'true' || req.body.inStock === true) : true,
+            // inStock=false pauses sales without touching the count; the save works out inStock
+            stockPaused: req.body.inStock !== undefined ? !(req.body.inStock === 'true' || req.body.inStock === true) : false,
             stockQuantity: req.body.stockQuantity ? parseInt(req.body.stockQuantity) : 0,
             lowStockThreshold: req.body.lowStockThreshold ? parseInt(req.body.lowStockThreshold) : 10,
             isOnSale: req.body.isOnSale !== undefined ? (req.body.isOnSale === 'true' || req.body.isOnSale === true) : false,
             discountPercentage: req.body.discountPercentage ? parseFloat(req.body.discountPercentage) : 0,
             discountAmount: req.body.discountAmount ? parseFloat(req.body.discountAmount) : 0,
             discountStartDate: req.body.discountStartDate ? new Date(req.body.discountStartDate) : null,
-            discountEndDate: req.body.discountEndDate ? new Date(req.body.discountEndDate) : null
+            discountEndDate: req.body.discountEndDate ? new Date(req.body.discountEndDate) : null,
+            tags: parseTags(req.body.tags),
+            options,
+            variants,
+            personalisationFields: preparePersonalisationFields(req.body),
+            productType: isBundle ? 'bundle' : 'simple',
+            ...bundleData,
+            ...parsePublishing(req.body),
+            slug: await generateUniqueSlug(Product, req.body.slug || req.body.name),
+            seo: {
+                metaTitle: req.body.metaTitle || '',
+                metaDescription: req.body.metaDescription || '',
+                ogImage: req.body.ogImage || ''
+            }
         };
 
         const product = await Product.create(productData);
 
+        // Opening balance for the stock ledger (bundle stock comes from components)
+        if (product.productType !== 'bundle') {
+            await StockMovement.recordProductChanges(null, product, {
+                performedBy: req.user._id,
+                note: 'Opening stock'
+            });
+        }
+        await PriceHistory.recordProductChanges(null, product, {
+            source: 'created',
+            changedBy: req.user._id
+        });
+        await ProductRevision.recordChange(null, product, { changedBy: req.user._id });
+
+        SearchService.invalidate();
+
+        FeedService.invalidate();
         console.log(`✅ Product created: ${product._id}`);
 
         res.status(201).json({
@@ -406,38 +1160,72 @@ exports.createProduct = async (req, res) => {
 };
 
 /**
- * PUT update product
+ * PUT update product. Send the version you loaded (If-Match or __v) to have
+ * the edit refused with 409 if someone else saved the product in the meantime.
  * @route PUT /api/products/:id
- * @access Public
+ * @access Admin
  */
 exports.updateProduct = async (req, res) => {
     try {
         console.log(`📝 Updating product: ${req.params.id}`);
 
-        validateProductData(req.body);
+        const expectedVersion = readExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            await discardUploads(req);
+            return sendInvalidVersion(res);
+        }
 
         const currentProduct = await Product.findById(req.params.id);
 
         if (!currentProduct) {
+            await discardUploads(req);
             return res.status(404).json({
                 success: false,
                 error: 'Product not found'
             });
         }
 
+        if (currentProduct.deletedAt) {
+            await discardUploads(req);
+            return res.status(409).json({
+                success: false,
+                error: 'This product is in the trash. Restore it before editing'
+            });
+        }
+
+        if (!isCurrentVersion(currentProduct, expectedVersion)) {
+            await discardUploads(req);
+            return sendVersionConflict(res, currentProduct);
+        }
+
+        const isBundle = currentProduct.productType === 'bundle';
+        validateProductData({
+            ...req.body,
+            productType: currentProduct.productType,
+            bundlePricingMode: req.body.bundlePricingMode || currentProduct.bundlePricing?.mode
+        });
+
+        // Options and variants are only replaced when sent
+        const variantData = req.body.variants !== undefined || req.body.options !== undefined
+            ? prepareVariantData({
+                options: req.body.options !== undefined ? req.body.options : currentProduct.options,
+                variants: req.body.variants !== undefined ? req.body.variants : currentProduct.variants.map(v => v.toObject())
+            }, req.cloudinaryUploads?.images)
+            : null;
+        const productImageUploads = (req.cloudinaryUploads?.images || [])
+            .filter(upload => !variantData?.usedUploads.has(upload));
+
         let images = currentProduct.images || [];
         let videos = currentProduct.videos || [];
+        // Replaced media is deleted once the update has gone through
+        const replacedMedia = { images: [], videos: [] };
 
         // Handle new images (replace old ones)
-        if (req.cloudinaryUploads?.images?.length > 0) {
+        if (productImageUploads.length > 0) {
             console.log('🖼️ Replacing product images...');
+            replacedMedia.images = currentProduct.images || [];
 
-            // Delete old images
-            if (currentProduct.images?.length > 0) {
-                await deleteCloudinaryFiles(currentProduct.images, 'image');
-            }
-
-            images = req.cloudinaryUploads.images.map(upload => ({
+            images = productImageUploads.map(upload => ({
                 imageUrl: upload.url,
                 publicId: upload.public_id,
                 altText: upload.originalname || 'product-image'
@@ -447,11 +1235,7 @@ exports.updateProduct = async (req, res) => {
         // Handle new videos (replace old ones)
         if (req.cloudinaryUploads?.videos?.length > 0) {
             console.log('🎥 Replacing product videos...');
-
-            // Delete old videos
-            if (currentProduct.videos?.length > 0) {
-                await deleteCloudinaryFiles(currentProduct.videos, 'video');
-            }
+            replacedMedia.videos = currentProduct.videos || [];
 
             videos = req.cloudinaryUploads.videos.map(upload => ({
                 videoUrl: upload.url,
@@ -464,12 +1248,13 @@ exports.updateProduct = async (req, res) => {
         const updatedData = {
             name: req.body.name.trim(),
             description: req.body.description || '',
-            price: parseFloat(req.body.price),
+            price: req.body.price ? parseFloat(req.body.price) : currentProduct.price,
             originalPrice: req.body.originalPrice ? parseFloat(req.body.originalPrice) : null,
             category: req.body.category,
             images,
             videos,
-            inStock: req.body.inStock !== undefined ? (req.body.inStock === 'true' || req.body.inStock === true) : currentProduct.inStock,
+            // inStock=false pauses sales without touching the count
+            stockPaused: req.body.inStock !== undefined ? !(req.body.inStock === 'true' || req.body.inStock === true) : currentProduct.stockPaused,
             stockQuantity: req.body.stockQuantity !== undefined ? parseInt(req.body.stockQuantity) : currentProduct.stockQuantity,
             lowStockThreshold: req.body.lowStockThreshold !== undefined ? parseInt(req.body.lowStockThreshold) : currentProduct.lowStockThreshold,
             isOnSale: req.body.isOnSale !== undefined ? (req.body.isOnSale === 'true' || req.body.isOnSale === true) : currentProduct.isOnSale,
@@ -479,14 +1264,111 @@ exports.updateProduct = async (req, res) => {
             discountEndDate: req.body.discountEndDate !== undefined ? (req.body.discountEndDate ? new Date(req.body.discountEndDate) : null) : currentProduct.discountEndDate
         };
 
-        const updatedProduct = await Product.findByIdAndUpdate(
-            req.params.id,
-            updatedData,
+        Object.assign(updatedData, parsePublishing(req.body, currentProduct));
+
+        // A rename (or an explicit slug) moves the slug and keeps the old one for redirects
+        const nameChanged = updatedData.name !== currentProduct.name;
+        if (req.body.slug || nameChanged || !currentProduct.slug) {
+            Object.assign(updatedData, await buildSlugChange(Product, currentProduct, req.body.slug || updatedData.name));
+        }
+
+        if (req.body.tags !== undefined) {
+            updatedData.tags = parseTags(req.body.tags);
+        }
+
+        if (req.body.personalisationFields !== undefined) {
+            updatedData.personalisationFields = preparePersonalisationFields(req.body);
+        }
+
+        // SEO fields are only replaced when sent
+        ['metaTitle', 'metaDescription', 'ogImage'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                updatedData[`seo.${field}`] = req.body[field];
+            }
+        });
+
+        if (variantData) {
+            // Re-sent variants keep the units their SKU has held for unpaid orders
+            const reserved = new Map(currentProduct.variants.map(variant => [variant.sku, variant.reservedQuantity || 0]));
+            variantData.variants.forEach(variant => {
+                variant.reservedQuantity = reserved.get(variant.sku) || 0;
+            });
+
+            updatedData.options = variantData.options;
+            updatedData.variants = variantData.variants;
+            updatedData.reservedQuantity = variantData.variants.reduce((sum, variant) => sum + variant.reservedQuantity, 0);
+        }
+
+        // Bundle components and pricing are only replaced when sent
+        if (isBundle && (req.body.bundleItems !== undefined || req.body.bundlePricingMode !== undefined || req.body.bundlePercentageOff !== undefined)) {
+            Object.assign(updatedData, await prepareBundleData({
+                bundleItems: req.body.bundleItems !== undefined ? req.body.bundleItems : currentProduct.bundleItems.map(item => item.toObject()),
+                bundlePricingMode: req.body.bundlePricingMode !== undefined ? req.body.bundlePricingMode : currentProduct.bundlePricing.mode,
+                bundlePercentageOff: req.body.bundlePercentageOff !== undefined ? req.body.bundlePercentageOff : currentProduct.bundlePricing.percentageOff
+            }, currentProduct._id));
+        }
+        if (isBundle && variantData?.variants.length > 0) {
+            throw new Error('Bundles cannot have variants');
+        }
+
+        // Products with variants hold the sum of their variants' stock
+        const variants = variantData ? variantData.variants : currentProduct.variants;
+        if (variants.length > 0) {
+            updatedData.stockQuantity = sumVariantStock(variants);
+        }
+        // findOneAndUpdate skips the pre-save hook, so work out stock status the same way here
+        updatedData.inStock = updatedData.stockQuantity > 0 && !updatedData.stockPaused;
+
+        updatedData.saleActive = Product.computePricing(updatedData).discountActive;
+
+        // Only applies while the product is still at the version read above
+        let updatedProduct = await Product.findOneAndUpdate(
+            versionFilter(currentProduct),
+            { ...updatedData, $inc: { __v: 1 } },
             { new: true, runValidators: true }
         );
 
+        if (!updatedProduct) {
+            await discardUploads(req);
+            // Deleted outright since it was read
+            const latest = await Product.findById(req.params.id);
+            if (!latest) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Product not found'
+                });
+            }
+            return sendVersionConflict(res, latest);
+        }
+
+        await deleteCloudinaryFiles(replacedMedia.images, 'image');
+        await deleteCloudinaryFiles(replacedMedia.videos, 'video');
+
+        if (!isBundle) {
+            await StockMovement.recordProductChanges(currentProduct, updatedProduct, {
+                performedBy: req.user?._id || null,
+                note: 'Product edited'
+            });
+        }
+        const priceChange = { source: 'edit', changedBy: req.user?._id || null };
+        await PriceHistory.recordProductChanges(currentProduct, updatedProduct, priceChange);
+
+        // findByIdAndUpdate skips save hooks, so refresh derived bundle figures here
+        await Product.refreshBundles(isBundle
+            ? { _id: updatedProduct._id }
+            : { 'bundleItems.product': updatedProduct._id }, isBundle ? priceChange : {});
+        if (isBundle) {
+            updatedProduct = await Product.findById(updatedProduct._id);
+        }
+        await ProductRevision.recordChange(currentProduct, updatedProduct, priceChange);
+
+        SearchService.invalidate();
+
+        FeedService.invalidate();
+        BackInStockService.queueCheck(updatedProduct._id);
         console.log(`✅ Product updated: ${updatedProduct._id}`);
 
+        setVersionHeaders(res, updatedProduct);
         res.status(200).json({
             success: true,
             message: 'Product updated successfully',
@@ -512,37 +1394,35 @@ exports.updateProduct = async (req, res) => {
 };
 
 /**
- * DELETE product
+ * DELETE product: moves it to the trash. It leaves the storefront straight
+ * away but stays restorable, and past orders still resolve it; its media is
+ * purged once the trash retention period is up (see TrashService).
  * @route DELETE /api/products/:id
- * @access Public
+ * @access Admin
  */
 exports.deleteProduct = async (req, res) => {
     try {
-        const product = await Product.findByIdAndDelete(req.params.id);
+        const product = await Product.findById(req.params.id);
 
-        if (!product) {
+        if (!product || product.deletedAt) {
             return res.status(404).json({
                 success: false,
                 error: 'Product not found'
             });
         }
 
-        // Delete images from Cloudinary
-        if (product.images?.length > 0) {
-            await deleteCloudinaryFiles(product.images, 'image');
-        }
+        await product.moveToTrash(req.user._id);
 
-        // Delete videos from Cloudinary
-        if (product.videos?.length > 0) {
-            await deleteCloudinaryFiles(product.videos, 'video');
-        }
-
-        console.log(`✅ Product deleted: ${req.params.id}`);
+        // Bundles containing it become unavailable
+        await Product.refreshBundles({ 'bundleItems.product': product._id });
+        SearchService.invalidate();
+        FeedService.invalidate();
+        console.log(`🗑️ Product moved to trash: ${req.params.id}`);
 
         res.status(200).json({
             success: true,
-            data: {},
-            message: 'Product deleted successfully'
+            data: { id: product._id, deletedAt: product.deletedAt },
+            message: 'Product moved to trash'
         });
 
     } catch (err) {
@@ -557,11 +1437,11 @@ exports.deleteProduct = async (req, res) => {
 /**
  * PUT update product stock
  * @route PUT /api/products/:id/stock
- * @access Public
+ * @access Admin
  */
 exports.updateStock = async (req, res) => {
     try {
-        const { stockQuantity, operation = 'set' } = req.body;
+        const { stockQuantity, operation = 'set', variantId, sku, reason, note, orderId } = req.body;
 
         if (stockQuantity === undefined) {
             return res.status(400).json({
@@ -579,7 +1459,30 @@ exports.updateStock = async (req, res) => {
             });
         }
 
-        await product.updateStock(parseInt(stockQuantity), operation);
+        if (product.productType === 'bundle') {
+            return res.status(400).json({
+                success: false,
+                error: 'Bundle stock comes from its components; update those instead'
+            });
+        }
+
+        const variantError = checkVariantSelection(product, variantId || sku);
+        if (variantError) {
+            return res.status(variantError.status).json({
+                success: false,
+                error: variantError.error
+            });
+        }
+
+        await product.updateStock(parseInt(stockQuantity), operation, variantId || sku, {
+            reason,
+            note,
+            order: orderId || null,
+            performedBy: req.user._id
+        });
+
+        // Tell anyone waiting if this brought the product back
+        BackInStockService.queueCheck(product._id);
 
         res.status(200).json({
             success: true,
@@ -599,11 +1502,11 @@ exports.updateStock = async (req, res) => {
 /**
  * PUT reduce stock after purchase
  * @route PUT /api/products/:id/reduce-stock
- * @access Public
+ * @access Admin
  */
 exports.reduceStock = async (req, res) => {
     try {
-        const { quantity = 1 } = req.body;
+        const { quantity = 1, variantId, sku, orderId, note } = req.body;
 
         const product = await Product.findById(req.params.id);
 
@@ -614,14 +1517,37 @@ exports.reduceStock = async (req, res) => {
             });
         }
 
-        if (product.stockQuantity < quantity) {
+        const variantError = checkVariantSelection(product, variantId || sku);
+        if (variantError) {
+            return res.status(variantError.status).json({
+                success: false,
+                error: variantError.error
+            });
+        }
+
+        // A bundle can sell as many as its scarcest component allows
+        let available;
+        if (product.productType === 'bundle') {
+            ({ available } = await Product.resolveBundle(product));
+        } else {
+            // Units held for unpaid orders can't be sold again
+            available = product.variants.length > 0
+                ? product.getVariant(variantId || sku).availableQuantity
+                : product.availableQuantity;
+        }
+
+        if (available < quantity) {
             return res.status(400).json({
                 success: false,
                 error: 'Insufficient stock'
             });
         }
 
-        await product.reduceStock(parseInt(quantity));
+        await product.reduceStock(parseInt(quantity), variantId || sku, {
+            note,
+            order: orderId || null,
+            performedBy: req.user._id
+        });
 
         res.status(200).json({
             success: true,
@@ -638,6 +1564,147 @@ exports.reduceStock = async (req, res) => {
     }
 };
 
+/**
+ * POST import products from a CSV/XLSX sheet.
+ * Dry run by default: every row is checked and a report returned. Send
+ * commit=true to save; nothing is saved while any row has errors.
+ * @route POST /api/products/import
+ * @access Admin
+ */
+exports.importProducts = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Attach a CSV or XLSX file in the "file" field'
+            });
+        }
+
+        let rows;
+        try {
+            rows = await readProductSheet(req.file.buffer, spreadsheetFormat(req.file), { maxRows: MAX_IMPORT_ROWS });
+        } catch (err) {
+            if (!(err instanceof SheetTooLargeError)) throw err;
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        const ids = rows.map(({ values }) => values.id).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+        const existing = await Product.find({ _id: { $in: ids } });
+        const existingById = new Map(existing.map(product => [product._id.toString(), product]));
+
+        const entries = rows.map(row => checkImportRow(row, existingById));
+        const summary = {
+            totalRows: entries.length,
+            valid: entries.filter(entry => entry.errors.length === 0).length,
+            invalid: entries.filter(entry => entry.errors.length > 0).length,
+            toCreate: entries.filter(entry => entry.action === 'create').length,
+            toUpdate: entries.filter(entry => entry.action === 'update').length
+        };
+        const report = entries.map(({ product, previous, replacedImages, ...entry }) => entry);
+
+        const commit = req.body.commit === 'true' || req.body.commit === true;
+        if (!commit || summary.invalid > 0) {
+            return res.status(commit ? 400 : 200).json({
+                success: !commit,
+                dryRun: true,
+                message: summary.invalid > 0
+                    ? `${summary.invalid} row(s) need fixing before the import can be saved`
+                    : 'All rows are valid. Send commit=true to import them',
+                data: { summary, rows: report }
+            });
+        }
+
+        console.log(`📥 Importing ${entries.length} products...`);
+
+        for (const entry of entries) {
+            try {
+                const saved = await entry.product.save();
+                entry.id = saved._id.toString();
+                await deleteCloudinaryFiles(entry.replacedImages, 'image');
+
+                if (saved.productType !== 'bundle') {
+                    await StockMovement.recordProductChanges(entry.previous, saved, {
+                        performedBy: req.user._id,
+                        note: entry.action === 'create' ? 'Opening stock (import)' : 'Spreadsheet import'
+                    });
+                }
+                await PriceHistory.recordProductChanges(entry.previous, saved, {
+                    source: entry.action === 'create' ? 'created' : 'import',
+                    changedBy: req.user._id
+                });
+                await ProductRevision.recordChange(entry.previous, saved, {
+                    source: 'import',
+                    changedBy: req.user._id
+                });
+                if (entry.action === 'update') {
+                    BackInStockService.queueCheck(saved._id);
+                }
+            } catch (err) {
+                entry.errors.push(err.message);
+            }
+        }
+
+        SearchService.invalidate();
+
+        FeedService.invalidate();
+
+        const failed = entries.filter(entry => entry.errors.length > 0).length;
+        console.log(`✅ Import finished: ${entries.length - failed} saved, ${failed} failed`);
+
+        res.status(failed > 0 ? 207 : 201).json({
+            success: failed === 0,
+            dryRun: false,
+            message: `${entries.length - failed} product(s) imported${failed > 0 ? `, ${failed} failed` : ''}`,
+            data: {
+                summary: { ...summary, saved: entries.length - failed, failed },
+                rows: entries.map(({ product, previous, replacedImages, ...entry }) => entry)
+            }
+        });
+
+    } catch (err) {
+        console.error('Error importing products:', err);
+        res.status(500).json({
+            success: false,
+            error: err.message || 'Failed to import products'
+        });
+    }
+};
+
+/**
+ * GET export the catalog in the import format (?format=csv|xlsx, plus the listing filters)
+ * @route GET /api/products/export
+ * @access Admin
+ */
+exports.exportProducts = async (req, res) => {
+    try {
+        const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+        const filters = buildProductFilters(req.query, { includeUnpublished: true });
+
+        const products = await Product.find(combineFilters(filters))
+            .sort({ category: 1, name: 1 })
+            .lean();
+
+        const file = await writeProductSheet(products, format);
+        const filename = `merciluxe-products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader('Content-Type', format === 'csv'
+            ? 'text/csv; charset=utf-8'
+            : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(file);
+
+    } catch (err) {
+        console.error('Error exporting products:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export products'
+        });
+    }
+};
+
 /**
  * GET product statistics
  * @route GET /api/products/stats
@@ -651,18 +1718,18 @@ exports.getProductStats = async (req, res) => {
             outOfStockCount,
             lowStockCount,
             onSaleCount,
-            categoryBreakdown
+            categoryBreakdown,
+            liveCount,
+            statusBreakdown,
+            trashCount
         ] = await Promise.all([
-            Product.countDocuments(),
-            Product.countDocuments({ inStock: true }),
-            Product.countDocuments({ inStock: false }),
-            Product.countDocuments({
-                inStock: true,
-                $expr: { $lte: ['$stockQuantity', '$lowStockThreshold'] },
-                stockQuantity: { $gt: 0 }
-            }),
-            Product.countDocuments({ isOnSale: true }),
+            Product.countDocuments(Product.notDeleted()),
+            Product.countDocuments({ inStock: true, ...Product.notDeleted() }),
+            Product.countDocuments({ inStock: false, ...Product.notDeleted() }),
+            Product.countDocuments(Product.findLowStock().getFilter()),
+            Product.countDocuments({ ...Product.onSaleFilter(), ...Product.notDeleted() }),
             Product.aggregate([
+                { $match: Product.notDeleted() },
                 {
                     $group: {
                         _id: '$category',
@@ -672,7 +1739,13 @@ exports.getProductStats = async (req, res) => {
                     }
                 },
                 { $sort: { count: -1 } }
-            ])
+            ]),
+            Product.countDocuments(Product.liveFilter()),
+            Product.aggregate([
+                { $match: Product.notDeleted() },
+                { $group: { _id: { $ifNull: ['$status', 'published'] }, count: { $sum: 1 } } }
+            ]),
+            Product.countDocuments({ deletedAt: { $ne: null } })
         ]);
 
         res.status(200).json({
@@ -683,7 +1756,10 @@ exports.getProductStats = async (req, res) => {
                 outOfStockCount,
                 lowStockCount,
                 onSaleCount,
-                categoryBreakdown
+                categoryBreakdown,
+                liveCount,
+                statusBreakdown,
+                trashCount
             }
         });
 
@@ -0,0 +1,252 @@
+const Product = require('../models/ProductModel');
+const ProductRevision = require('../models/ProductRevisionModel');
+const StockMovement = require('../models/StockMovementModel');
+const PriceHistory = require('../models/PriceHistoryModel');
+const SearchService = require('../Services/SearchService');
+const FeedService = require('../Services/FeedService');
+const { buildSlugChange } = require('../utils/slug');
+
+// Media is replaced (and the old files deleted from Cloudinary) on edit, so
+// older revisions may point at files that no longer exist; reverts leave it alone
+const MEDIA_FIELDS = ['images', 'videos'];
+
+// ===== Find a revision of a product by number =====
+const findRevision = (productId, revision) => ProductRevision.findOne({
+    product: productId,
+    revision: parseInt(revision)
+}).populate('changedBy', 'name email');
+
+/**
+ * GET a product's revisions, newest first (without the snapshots)
+ * @route GET /api/products/:id/revisions
+ * @access Admin
+ */
+exports.getRevisions = async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        const product = await Product.findById(req.params.id).select('name slug');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [revisions, total] = await Promise.all([
+            ProductRevision.find({ product: product._id })
+                .select('-snapshot')
+                .populate('changedBy', 'name email')
+                .sort({ revision: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            ProductRevision.countDocuments({ product: product._id })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                product,
+                revisions,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalRevisions: total
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching product revisions:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch product revisions'
+        });
+    }
+};
+
+/**
+ * GET one revision with the product as it stood afterwards
+ * @route GET /api/products/:id/revisions/:revision
+ * @access Admin
+ */
+exports.getRevision = async (req, res) => {
+    try {
+        const revision = await findRevision(req.params.id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: revision
+        });
+    } catch (err) {
+        console.error('Error fetching product revision:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch product revision'
+        });
+    }
+};
+
+/**
+ * GET the fields that differ between two revisions (?from=2&to=5).
+ * `to` defaults to the latest revision.
+ * @route GET /api/products/:id/revisions/diff
+ * @access Admin
+ */
+exports.diffRevisions = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!from || isNaN(parseInt(from)) || (to !== undefined && isNaN(parseInt(to)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'from (and optionally to) must be revision numbers'
+            });
+        }
+
+        const [fromRevision, toRevision] = await Promise.all([
+            findRevision(req.params.id, from),
+            to !== undefined
+                ? findRevision(req.params.id, to)
+                : ProductRevision.findOne({ product: req.params.id }).sort({ revision: -1 }).populate('changedBy', 'name email')
+        ]);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        const changes = ProductRevision.diffSnapshots(fromRevision.snapshot, toRevision.snapshot);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: { revision: fromRevision.revision, createdAt: fromRevision.createdAt, changedBy: fromRevision.changedBy },
+                to: { revision: toRevision.revision, createdAt: toRevision.createdAt, changedBy: toRevision.changedBy },
+                changedFields: changes.map(change => change.field),
+                changes
+            }
+        });
+    } catch (err) {
+        console.error('Error comparing product revisions:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare product revisions'
+        });
+    }
+};
+
+/**
+ * POST put a product back to how it stood after an earlier revision.
+ * Stock levels and media are kept as they are now; the revert is saved as
+ * a new revision, so it can itself be undone.
+ * @route POST /api/products/:id/revisions/:revision/revert
+ * @access Admin
+ */
+exports.revertToRevision = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+        if (product.deletedAt) {
+            return res.status(409).json({
+                success: false,
+                error: 'This product is in the trash. Restore it before reverting'
+            });
+        }
+
+        const target = await findRevision(product._id, req.params.revision);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        const { snapshot } = target;
+        const previous = product.toObject();
+        const restored = {};
+
+        ProductRevision.FIELDS
+            .filter(field => !MEDIA_FIELDS.includes(field))
+            .forEach(field => {
+                // Products saved before a field existed have no value for it
+                restored[field] = snapshot[field] === null && Array.isArray(previous[field]) ? [] : snapshot[field];
+            });
+
+        // Variants the product still has keep their id and stock
+        const currentVariants = new Map(product.variants.map(variant => [variant.sku, variant]));
+        restored.variants = (snapshot.variants || []).map(variant => {
+            const current = currentVariants.get(variant.sku);
+            return {
+                ...variant,
+                ...(current && { _id: current._id }),
+                stockQuantity: current ? current.stockQuantity : 0,
+                reservedQuantity: current ? current.reservedQuantity || 0 : 0
+            };
+        });
+        if (restored.variants.length > 0) {
+            restored.reservedQuantity = restored.variants.reduce((sum, variant) => sum + variant.reservedQuantity, 0);
+        }
+
+        // Going back to an old name moves the slug too (the current one keeps redirecting)
+        if (snapshot.name && snapshot.name !== product.name) {
+            Object.assign(restored, await buildSlugChange(Product, product, snapshot.name));
+        }
+
+        product.set(restored);
+        product.increment();
+        await product.save();
+
+        const changedBy = req.user?._id || null;
+        if (product.productType !== 'bundle') {
+            await StockMovement.recordProductChanges(previous, product, {
+                performedBy: changedBy,
+                note: `Reverted to revision ${target.revision}`
+            });
+        }
+        await PriceHistory.recordProductChanges(previous, product, { source: 'edit', changedBy });
+        const revision = await ProductRevision.recordChange(previous, product, {
+            source: 'revert',
+            changedBy,
+            revertedTo: target.revision
+        });
+
+        SearchService.invalidate();
+
+        FeedService.invalidate();
+        console.log(`↩️ Product ${product._id} reverted to revision ${target.revision}`);
+
+        const mediaNotRestored = MEDIA_FIELDS.filter(field =>
+            JSON.stringify(snapshot[field] ?? null) !== JSON.stringify(ProductRevision.snapshot(product)[field]));
+
+        res.status(200).json({
+            success: true,
+            message: revision
+                ? `Product reverted to revision ${target.revision}`
+                : `Product already matches revision ${target.revision}`,
+            data: product,
+            revision: revision ? revision.revision : null,
+            mediaNotRestored
+        });
+    } catch (err) {
+        console.error('Error reverting product:', err);
+        res.status(err.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            error: err.name === 'ValidationError' ? err.message : 'Failed to revert product'
+        });
+    }
+};
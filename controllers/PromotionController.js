@@ -0,0 +1,260 @@
+const Promotion = require('../models/PromotionModel');
+const PromotionRedemption = require('../models/PromotionRedemptionModel');
+const CartService = require('../Services/CartService');
+const PromotionService = require('../Services/PromotionService');
+
+// ===== Read promotion fields from the request =====
+// Only fields that were sent are returned, so updates leave the rest alone.
+const parsePromotionData = (body) => {
+    const data = {};
+    const numberOrNull = (value) => (value === '' || value === null ? null : parseFloat(value));
+    const dateOrNull = (value) => (value ? new Date(value) : null);
+
+    ['code', 'name', 'description', 'type'].forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    ['value', 'minimumSpend', 'getDiscountPercentage'].forEach(field => {
+        if (body[field] !== undefined) data[field] = parseFloat(body[field]);
+    });
+    ['maxDiscount', 'buyQuantity', 'getQuantity', 'usageLimit', 'perCustomerLimit'].forEach(field => {
+        if (body[field] !== undefined) data[field] = numberOrNull(body[field]);
+    });
+    ['startsAt', 'endsAt'].forEach(field => {
+        if (body[field] !== undefined) data[field] = dateOrNull(body[field]);
+    });
+    ['categories', 'products'].forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = Array.isArray(body[field])
+                ? body[field]
+                : String(body[field]).split(',').map(value => value.trim()).filter(Boolean);
+        }
+    });
+    if (body.isActive !== undefined) {
+        data.isActive = body.isActive === 'true' || body.isActive === true;
+    }
+
+    return data;
+};
+
+// ===== Answer model validation and duplicate codes with 400 =====
+const sendSaveError = (res, err, fallback) => {
+    if (err.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            error: 'A promotion with this code already exists'
+        });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            error: err.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: fallback
+    });
+};
+
+/**
+ * POST apply a promo code to a cart and return the priced result
+ * Body: { code, items: [{ productId, variantId?, sku?, quantity }], customer: { email, phone } }
+ * @route POST /api/promotions/apply
+ * @access Public
+ */
+exports.applyPromotion = async (req, res) => {
+    try {
+        const { code, items, customer } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Enter a promo code'
+            });
+        }
+
+        const cart = await CartService.priceCart(items);
+        const discount = await PromotionService.applyCode(code, cart, customer);
+
+        res.status(200).json({
+            success: true,
+            message: `${discount.description} applied`,
+            data: {
+                lines: cart.lines,
+                discounts: [discount],
+                ...PromotionService.summarise(cart, [discount])
+            }
+        });
+    } catch (err) {
+        if (err.name === 'CartError' || err.name === 'PromotionError') {
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
+        console.error('Error applying promotion:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to apply promo code'
+        });
+    }
+};
+
+/**
+ * GET all promotions (?active=true for ones that can be used now)
+ * @route GET /api/promotions
+ * @access Admin
+ */
+exports.getAllPromotions = async (req, res) => {
+    try {
+        const promotions = await Promotion.find().sort({ createdAt: -1 });
+        const data = req.query.active === 'true'
+            ? promotions.filter(promotion => promotion.isRunning)
+            : promotions;
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (err) {
+        console.error('Error fetching promotions:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch promotions'
+        });
+    }
+};
+
+/**
+ * GET promotion with its redemption totals
+ * @route GET /api/promotions/:id
+ * @access Admin
+ */
+exports.getPromotionById = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id).populate('products', 'name slug');
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+
+        const [totals] = await PromotionRedemption.aggregate([
+            { $match: { promotion: promotion._id, status: 'active' } },
+            { $group: { _id: null, orders: { $sum: 1 }, discountGiven: { $sum: '$amount' } } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                promotion,
+                redemptions: {
+                    orders: totals ? totals.orders : 0,
+                    discountGiven: totals ? Math.round(totals.discountGiven * 100) / 100 : 0
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching promotion:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch promotion'
+        });
+    }
+};
+
+/**
+ * POST create promotion
+ * @route POST /api/promotions
+ * @access Admin
+ */
+exports.createPromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.create({
+            ...parsePromotionData(req.body),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: promotion
+        });
+    } catch (err) {
+        console.error('Error creating promotion:', err);
+        sendSaveError(res, err, 'Failed to create promotion');
+    }
+};
+
+/**
+ * PUT update promotion (usage counts can't be edited)
+ * @route PUT /api/promotions/:id
+ * @access Admin
+ */
+exports.updatePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+
+        promotion.set(parsePromotionData(req.body));
+        await promotion.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: promotion
+        });
+    } catch (err) {
+        console.error('Error updating promotion:', err);
+        sendSaveError(res, err, 'Failed to update promotion');
+    }
+};
+
+/**
+ * DELETE promotion. Promotions orders have used are kept for the record;
+ * deactivate them instead.
+ * @route DELETE /api/promotions/:id
+ * @access Admin
+ */
+exports.deletePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+
+        if (await PromotionRedemption.exists({ promotion: promotion._id })) {
+            return res.status(409).json({
+                success: false,
+                error: 'This promotion has been used by orders. Deactivate it instead'
+            });
+        }
+
+        await promotion.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            data: {},
+            message: 'Promotion deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting promotion:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete promotion'
+        });
+    }
+};
@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const Review = require('../models/ReviewModel');
+const Product = require('../models/ProductModel');
+const Order = require('../models/OrderModel');
+const { deleteFromCloudinary } = require('../middleware/ProductUploadMiddleware');
+
+// Most photos a customer can attach to one review
+const MAX_REVIEW_PHOTOS = 4;
+
+// ===== Remove everything uploaded with a failed request =====
+const discardUploads = async (req) => {
+    const uploads = [...(req.cloudinaryUploads?.images || []), ...(req.cloudinaryUploads?.videos || [])];
+    if (uploads.length > 0) {
+        await deleteFromCloudinary(uploads.map(upload => upload.public_id)).catch(() => {});
+    }
+};
+
+// ===== Errors the customer can fix, answered with 400 =====
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// ===== Match a review to a paid order for the "verified buyer" badge =====
+// The customer proves the order is theirs with the email or phone used at checkout.
+const findVerifyingOrder = async (productId, { orderId, email, phone }) => {
+    if (!orderId) return null;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw badRequest('Invalid order ID');
+    }
+
+    const order = await Order.findOne({
+        _id: orderId,
+        paymentStatus: 'paid',
+        'items.productId': productId
+    }).select('customer');
+
+    const contactMatches = order && (
+        (email && order.customer.email && order.customer.email.toLowerCase() === String(email).trim().toLowerCase())
+        || (phone && order.customer.phone && order.customer.phone === String(phone).trim())
+    );
+
+    if (!contactMatches) {
+        throw badRequest('We could not match this order to the product and your contact details');
+    }
+    return order;
+};
+
+// ===== Apply an approve/reject decision =====
+const moderate = async (req, res, status) => {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+        return res.status(404).json({
+            success: false,
+            error: 'Review not found'
+        });
+    }
+
+    review.status = status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.rejectionReason = status === 'rejected' ? (req.body.reason || '').trim() : '';
+    await review.save();
+
+    await Review.updateProductRating(review.product);
+
+    res.status(200).json({
+        success: true,
+        message: `Review ${status}`,
+        data: review
+    });
+};
+
+/**
+ * POST submit a review (held for moderation)
+ * @route POST /api/reviews
+ * @access Public
+ */
+exports.createReview = async (req, res) => {
+    try {
+        const { productId, orderId, customerName, customerEmail, customerPhone, rating, title, comment } = req.body;
+
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            await discardUploads(req);
+            return res.status(400).json({
+                success: false,
+                error: 'A valid productId is required'
+            });
+        }
+
+        const product = await Product.findOne({ _id: productId, ...Product.liveFilter() }).select('_id');
+        if (!product) {
+            await discardUploads(req);
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const photos = req.cloudinaryUploads?.images || [];
+        if (req.cloudinaryUploads?.videos?.length > 0 || photos.length > MAX_REVIEW_PHOTOS) {
+            await discardUploads(req);
+            return res.status(400).json({
+                success: false,
+                error: `Reviews accept up to ${MAX_REVIEW_PHOTOS} photos and no videos`
+            });
+        }
+
+        const order = await findVerifyingOrder(product._id, { orderId, email: customerEmail, phone: customerPhone });
+
+        const review = await Review.create({
+            product: product._id,
+            order: order ? order._id : null,
+            verifiedPurchase: Boolean(order),
+            customerName,
+            customerEmail: customerEmail || '',
+            // Cast by the model, so 4.5 is rejected rather than rounded down
+            rating,
+            title: title || '',
+            comment,
+            photos: photos.map(upload => ({ imageUrl: upload.url, publicId: upload.public_id }))
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Thank you! Your review will appear once it has been approved',
+            data: review
+        });
+
+    } catch (err) {
+        console.error('Error creating review:', err);
+        await discardUploads(req);
+
+        if (err.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'This order already has a review for this product'
+            });
+        }
+
+        const status = err.status === 400 || err.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            error: status === 400 ? err.message : 'Failed to submit review'
+        });
+    }
+};
+
+/**
+ * GET approved reviews for a product with a rating summary
+ * @route GET /api/reviews/product/:productId
+ * @access Public
+ */
+exports.getProductReviews = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, sortBy = 'createdAt', verifiedOnly } = req.query;
+        const filter = { product: req.params.productId, status: 'approved' };
+        if (verifiedOnly === 'true') {
+            filter.verifiedPurchase = true;
+        }
+
+        const sort = sortBy === 'rating' ? { rating: -1, createdAt: -1 } : { createdAt: -1 };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [reviews, total, product, breakdown] = await Promise.all([
+            Review.find(filter)
+                .select('-customerEmail -order -moderatedBy -rejectionReason')
+                .sort(sort)
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Review.countDocuments(filter),
+            Product.findById(req.params.productId).select('ratingAverage ratingCount'),
+            Review.getRatingBreakdown(req.params.productId)
+        ]);
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reviews,
+                summary: {
+                    average: product.ratingAverage,
+                    count: product.ratingCount,
+                    breakdown
+                },
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalReviews: total
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching reviews:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reviews'
+        });
+    }
+};
+
+/**
+ * GET moderation queue (pending reviews by default, oldest first)
+ * @route GET /api/reviews/moderation
+ * @access Admin
+ */
+exports.getModerationQueue = async (req, res) => {
+    try {
+        const { status = 'pending', productId, page = 1, limit = 20 } = req.query;
+
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Status must be one of: pending, approved, rejected'
+            });
+        }
+
+        const filter = { status };
+        if (productId) {
+            filter.product = productId;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [reviews, total, counts] = await Promise.all([
+            Review.find(filter)
+                .populate('product', 'name slug images')
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Review.countDocuments(filter),
+            Review.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reviews,
+                counts: Object.fromEntries(counts.map(row => [row._id, row.count])),
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalReviews: total
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching moderation queue:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reviews'
+        });
+    }
+};
+
+/**
+ * PUT approve a review
+ * @route PUT /api/reviews/:id/approve
+ * @access Admin
+ */
+exports.approveReview = async (req, res) => {
+    try {
+        await moderate(req, res, 'approved');
+    } catch (err) {
+        console.error('Error approving review:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to approve review'
+        });
+    }
+};
+
+/**
+ * PUT reject a review
+ * @route PUT /api/reviews/:id/reject
+ * @access Admin
+ */
+exports.rejectReview = async (req, res) => {
+    try {
+        await moderate(req, res, 'rejected');
+    } catch (err) {
+        console.error('Error rejecting review:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reject review'
+        });
+    }
+};
+
+/**
+ * PUT reply to a review (an empty reply removes it)
+ * @route PUT /api/reviews/:id/reply
+ * @access Admin
+ */
+exports.replyToReview = async (req, res) => {
+    try {
+        const text = (req.body.text || '').trim();
+
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                error: 'Review not found'
+            });
+        }
+
+        review.reply = text
+            ? { text, repliedBy: req.user._id, repliedAt: new Date() }
+            : undefined;
+        await review.save();
+
+        res.status(200).json({
+            success: true,
+            message: text ? 'Reply saved' : 'Reply removed',
+            data: review
+        });
+    } catch (err) {
+        console.error('Error replying to review:', err);
+        res.status(err.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            error: err.name === 'ValidationError' ? err.message : 'Failed to reply to review'
+        });
+    }
+};
+
+/**
+ * DELETE review and its photos
+ * @route DELETE /api/reviews/:id
+ * @access Admin
+ */
+exports.deleteReview = async (req, res) => {
+    try {
+        const review = await Review.findByIdAndDelete(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                error: 'Review not found'
+            });
+        }
+
+        if (review.photos.length > 0) {
+            await deleteFromCloudinary(review.photos.map(photo => photo.publicId).filter(Boolean))
+                .catch(err => console.error('Error deleting review photos:', err));
+        }
+
+        await Review.updateProductRating(review.product);
+
+        res.status(200).json({
+            success: true,
+            data: {},
+            message: 'Review deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting review:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete review'
+        });
+    }
+};
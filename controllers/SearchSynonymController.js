@@ -0,0 +1,177 @@
+const SearchSynonym = require('../models/SearchSynonymModel');
+const SearchService = require('../Services/SearchService');
+
+// ===== Normalise the terms sent by the admin panel =====
+// Accepts an array or a comma-separated string
+const parseTerms = (terms) => {
+    const list = Array.isArray(terms) ? terms : String(terms || '').split(',');
+    return [...new Set(list.map(term => String(term).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * GET all synonym groups
+ * @route GET /api/search/synonyms
+ * @access Admin
+ */
+exports.getAllSynonyms = async (req, res) => {
+    try {
+        const synonyms = await SearchSynonym.find().sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: synonyms
+        });
+    } catch (err) {
+        console.error('Error fetching synonyms:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch synonyms'
+        });
+    }
+};
+
+/**
+ * POST create synonym group
+ * @route POST /api/search/synonyms
+ * @access Admin
+ */
+exports.createSynonym = async (req, res) => {
+    try {
+        const terms = parseTerms(req.body.terms);
+
+        if (terms.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least two different terms are required'
+            });
+        }
+
+        const synonym = await SearchSynonym.create({
+            terms,
+            isActive: req.body.isActive !== undefined ? (req.body.isActive === 'true' || req.body.isActive === true) : true
+        });
+
+        SearchService.invalidate();
+
+        res.status(201).json({
+            success: true,
+            message: 'Synonym group created successfully',
+            data: synonym
+        });
+    } catch (err) {
+        console.error('Error creating synonym:', err);
+        res.status(500).json({
+            success: false,
+            error: err.name === 'ValidationError'
+                ? Object.values(err.errors).map(val => val.message)
+                : 'Failed to create synonym group'
+        });
+    }
+};
+
+/**
+ * PUT update synonym group
+ * @route PUT /api/search/synonyms/:id
+ * @access Admin
+ */
+exports.updateSynonym = async (req, res) => {
+    try {
+        const updateData = {};
+
+        if (req.body.terms !== undefined) {
+            updateData.terms = parseTerms(req.body.terms);
+            if (updateData.terms.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'At least two different terms are required'
+                });
+            }
+        }
+        if (req.body.isActive !== undefined) {
+            updateData.isActive = req.body.isActive === 'true' || req.body.isActive === true;
+        }
+
+        const synonym = await SearchSynonym.findByIdAndUpdate(req.params.id, updateData, {
+            new: true,
+            runValidators: true
+        });
+
+        if (!synonym) {
+            return res.status(404).json({
+                success: false,
+                error: 'Synonym group not found'
+            });
+        }
+
+        SearchService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'Synonym group updated successfully',
+            data: synonym
+        });
+    } catch (err) {
+        console.error('Error updating synonym:', err);
+        res.status(500).json({
+            success: false,
+            error: err.name === 'ValidationError'
+                ? Object.values(err.errors).map(val => val.message)
+                : 'Failed to update synonym group'
+        });
+    }
+};
+
+/**
+ * DELETE synonym group
+ * @route DELETE /api/search/synonyms/:id
+ * @access Admin
+ */
+exports.deleteSynonym = async (req, res) => {
+    try {
+        const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+
+        if (!synonym) {
+            return res.status(404).json({
+                success: false,
+                error: 'Synonym group not found'
+            });
+        }
+
+        SearchService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            data: {},
+            message: 'Synonym group deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting synonym:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete synonym group'
+        });
+    }
+};
+
+/**
+ * GET preview how a search is expanded
+ * @route GET /api/search/synonyms/preview?q=
+ * @access Admin
+ */
+exports.previewSearch = async (req, res) => {
+    try {
+        const { q = '' } = req.query;
+        const result = await SearchService.buildTextSearch(q);
+
+        res.status(200).json({
+            success: true,
+            data: { query: q, ...result }
+        });
+    } catch (err) {
+        console.error('Error previewing search:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview search'
+        });
+    }
+};
@@ -0,0 +1,205 @@
+const Product = require('../models/ProductModel');
+const StockAlert = require('../models/StockAlertModel');
+const BackInStockService = require('../Services/BackInStockService');
+
+// Most alerts one email or phone can be waiting on, so a stranger's contact
+// can't be signed up for the whole catalog
+const MAX_WAITING_PER_CONTACT = 20;
+
+// ===== Contact details as they're stored =====
+const normaliseEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+const normalisePhone = (phone) => (phone ? String(phone).replace(/[\s().-]/g, '') : null);
+
+/**
+ * POST ask to be told when an out-of-stock product or variant is back.
+ * Body: { email?, phone?, variantId? | sku? } (an email or phone is required)
+ * @route POST /api/products/:id/stock-alerts
+ * @access Public
+ */
+exports.subscribe = async (req, res) => {
+    try {
+        const { variantId, sku } = req.body;
+        const email = normaliseEmail(req.body.email);
+        const phone = normalisePhone(req.body.phone);
+
+        if (!email && !phone) {
+            return res.status(400).json({
+                success: false,
+                error: 'An email address or phone number is required'
+            });
+        }
+
+        const product = await Product.findById(req.params.id)
+            .select('name slug stockQuantity reservedQuantity inStock stockPaused variants status publishAt unpublishAt deletedAt');
+        if (!product || !product.isLive) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        let variant = null;
+        if (product.variants.length > 0) {
+            variant = product.getVariant(variantId || sku);
+            if (!variant || !variant.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    error: variantId || sku ? 'Variant not found' : 'Choose a variant (variantId or sku) for this product'
+                });
+            }
+        }
+
+        const target = variant ? variant._id : null;
+        const available = BackInStockService.availableTargets(product)
+            .some(id => String(id || '') === String(target || ''));
+        if (available) {
+            return res.status(400).json({
+                success: false,
+                error: 'This item is in stock now',
+                code: 'IN_STOCK'
+            });
+        }
+
+        const subscription = { product: product._id, variantId: target, email, phone };
+        const existing = await StockAlert.findPending(subscription);
+        if (existing) {
+            return res.status(200).json({
+                success: true,
+                message: "You're already on the list for this item",
+                data: { _id: existing._id, unsubscribeToken: existing.unsubscribeToken }
+            });
+        }
+
+        const waiting = await StockAlert.countDocuments({
+            status: 'waiting',
+            $or: [email && { email }, phone && { phone }].filter(Boolean)
+        });
+        if (waiting >= MAX_WAITING_PER_CONTACT) {
+            return res.status(429).json({
+                success: false,
+                error: `This contact is already waiting on ${MAX_WAITING_PER_CONTACT} items`,
+                code: 'TOO_MANY_STOCK_ALERTS'
+            });
+        }
+
+        let alert;
+        try {
+            alert = await StockAlert.create({ ...subscription, sku: variant ? variant.sku : '' });
+        } catch (err) {
+            // The same sign-up arrived twice at once; the other request created it
+            if (err.code !== 11000) throw err;
+            const created = await StockAlert.findPending(subscription);
+            if (!created) throw err;
+            return res.status(200).json({
+                success: true,
+                message: "You're already on the list for this item",
+                data: { _id: created._id, unsubscribeToken: created.unsubscribeToken }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "We'll let you know when it's back in stock",
+            data: { _id: alert._id, unsubscribeToken: alert.unsubscribeToken }
+        });
+    } catch (err) {
+        console.error('Error creating stock alert:', err);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(err.errors).map(error => error.message).join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create stock alert'
+        });
+    }
+};
+
+/**
+ * DELETE cancel a stock alert, using the token from the subscription or the notification
+ * @route DELETE /api/products/stock-alerts/:token
+ * @access Public
+ */
+exports.unsubscribe = async (req, res) => {
+    try {
+        const alert = await StockAlert.findOneAndUpdate(
+            { unsubscribeToken: req.params.token, status: 'waiting' },
+            { $set: { status: 'cancelled' } }
+        );
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                error: 'Stock alert not found or already sent'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Stock alert cancelled'
+        });
+    } catch (err) {
+        console.error('Error cancelling stock alert:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel stock alert'
+        });
+    }
+};
+
+/**
+ * GET a product's stock alerts with counts by status (?status=waiting&page=1&limit=50)
+ * @route GET /api/products/:id/stock-alerts
+ * @access Admin
+ */
+exports.getProductStockAlerts = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 50 } = req.query;
+
+        const product = await Product.findById(req.params.id).select('name slug');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const filter = { product: product._id, ...(status && { status }) };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [alerts, total, byStatus] = await Promise.all([
+            StockAlert.find(filter)
+                .select('-unsubscribeToken')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            StockAlert.countDocuments(filter),
+            StockAlert.aggregate([
+                { $match: { product: product._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                product,
+                counts: Object.fromEntries(byStatus.map(entry => [entry._id, entry.count])),
+                alerts,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalAlerts: total
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching stock alerts:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch stock alerts'
+        });
+    }
+};
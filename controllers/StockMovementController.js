@@ -0,0 +1,203 @@
+const Product = require('../models/ProductModel');
+const StockMovement = require('../models/StockMovementModel');
+
+// ===== Compare each stock holder's count with the ledger =====
+// Products with variants are checked per variant; others as a whole.
+const buildReconciliation = async (product) => {
+    const balances = await StockMovement.getLedgerBalances(product._id);
+
+    const holders = product.variants.length > 0
+        ? product.variants.map(variant => ({ variant, sku: variant.sku, stockQuantity: variant.stockQuantity }))
+        : [{ variant: null, sku: '', stockQuantity: product.stockQuantity }];
+
+    const lines = holders.map(({ variant, sku, stockQuantity }) => {
+        const ledger = balances.get(sku);
+        balances.delete(sku);
+        return {
+            variantId: variant ? variant._id : null,
+            sku,
+            stockQuantity,
+            ledgerBalance: ledger ? ledger.balance : 0,
+            difference: stockQuantity - (ledger ? ledger.balance : 0),
+            movements: ledger ? ledger.movements : 0,
+            lastMovementAt: ledger ? ledger.lastMovementAt : null
+        };
+    });
+
+    // Ledger entries for SKUs the product no longer has should net to zero
+    balances.forEach((ledger, sku) => {
+        if (ledger.balance !== 0) {
+            lines.push({
+                variantId: null,
+                sku,
+                stockQuantity: 0,
+                ledgerBalance: ledger.balance,
+                difference: -ledger.balance,
+                movements: ledger.movements,
+                lastMovementAt: ledger.lastMovementAt
+            });
+        }
+    });
+
+    return {
+        lines,
+        balanced: lines.every(line => line.difference === 0)
+    };
+};
+
+/**
+ * GET stock movements for a product, newest first
+ * @route GET /api/products/:id/stock-history
+ * @access Admin
+ */
+exports.getStockHistory = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, reason, sku, from, to } = req.query;
+
+        const product = await Product.findById(req.params.id).select('name stockQuantity variants');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const filter = { product: product._id };
+        if (reason) {
+            filter.reason = { $in: reason.split(',') };
+        }
+        if (sku !== undefined) {
+            filter.sku = String(sku).toUpperCase();
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [movements, total] = await Promise.all([
+            StockMovement.find(filter)
+                .populate('performedBy', 'name email')
+                .populate('order', 'customer.name totalAmount paymentStatus')
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            StockMovement.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                product,
+                movements,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalMovements: total
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching stock history:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch stock history'
+        });
+    }
+};
+
+/**
+ * GET current stock compared with the ledger
+ * @route GET /api/products/:id/stock-reconciliation
+ * @access Admin
+ */
+exports.getReconciliation = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        if (product.productType === 'bundle') {
+            return res.status(400).json({
+                success: false,
+                error: 'Bundle stock comes from its components; reconcile those instead'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await buildReconciliation(product)
+        });
+    } catch (err) {
+        console.error('Error reconciling stock:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reconcile stock'
+        });
+    }
+};
+
+/**
+ * POST record adjustments so the ledger agrees with the current stock count.
+ * Use after a physical count has been entered, or to open the ledger for
+ * products that existed before it.
+ * @route POST /api/products/:id/stock-reconciliation
+ * @access Admin
+ */
+exports.reconcileStock = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        if (product.productType === 'bundle') {
+            return res.status(400).json({
+                success: false,
+                error: 'Bundle stock comes from its components; reconcile those instead'
+            });
+        }
+
+        const { lines } = await buildReconciliation(product);
+        const note = (req.body.note || '').trim() || 'Stock reconciliation';
+
+        const movements = await Promise.all(lines
+            .filter(line => line.difference !== 0)
+            .map(line => StockMovement.create({
+                product: product._id,
+                variantId: line.variantId,
+                sku: line.sku,
+                delta: line.difference,
+                reason: 'adjustment',
+                balanceAfter: line.stockQuantity,
+                performedBy: req.user._id,
+                note
+            })));
+
+        res.status(200).json({
+            success: true,
+            message: movements.length > 0
+                ? `Recorded ${movements.length} adjustment(s)`
+                : 'Stock already matches the ledger',
+            data: {
+                movements,
+                ...(await buildReconciliation(product))
+            }
+        });
+    } catch (err) {
+        console.error('Error reconciling stock:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reconcile stock'
+        });
+    }
+};
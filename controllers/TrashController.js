@@ -0,0 +1,60 @@
+const TrashService = require('../Services/TrashService');
+
+/**
+ * GET deleted products, hero sections and categories (?type=product|hero|category)
+ * @route GET /api/trash
+ * @access Admin
+ */
+exports.getTrash = async (req, res) => {
+    try {
+        const items = await TrashService.list(req.query.type);
+
+        res.status(200).json({
+            success: true,
+            retentionDays: TrashService.TRASH_RETENTION_DAYS,
+            count: items.length,
+            data: items
+        });
+    } catch (err) {
+        if (err.name === 'TrashError') {
+            return res.status(err.status).json({
+                success: false,
+                error: err.message
+            });
+        }
+        console.error('Error fetching trash:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch trash'
+        });
+    }
+};
+
+/**
+ * POST restore a deleted item
+ * @route POST /api/trash/:type/:id/restore
+ * @access Admin
+ */
+exports.restoreItem = async (req, res) => {
+    try {
+        const item = await TrashService.restore(req.params.type, req.params.id);
+
+        res.status(200).json({
+            success: true,
+            message: `${req.params.type} restored`,
+            data: item
+        });
+    } catch (err) {
+        if (err.name === 'TrashError') {
+            return res.status(err.status).json({
+                success: false,
+                error: err.message
+            });
+        }
+        console.error('Error restoring from trash:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore item'
+        });
+    }
+};
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const Wishlist = require('../models/WishlistModel');
+const CurrencyService = require('../Services/CurrencyService');
+
+// What a wishlist shows for each product
+const WISHLIST_PRODUCT_FIELDS = 'name slug category price images stockQuantity reservedQuantity inStock stockPaused variants isOnSale discountPercentage discountAmount discountStartDate discountEndDate status publishAt unpublishAt deletedAt';
+
+// ===== Where friends open a shared wishlist =====
+const shareUrl = (wishlist) => {
+    const storefront = (process.env.FRONTEND_URL || process.env.CLIENT_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+    return `${storefront}/wishlist/${wishlist.shareToken}`;
+};
+
+// ===== Current price and stock for each item, with flags =====
+// Items are flagged when they're out of stock, on sale, cheaper than when
+// they were added, or no longer sold (unpublished, deleted or variant removed).
+const describeWishlist = async (wishlist, display = null) => {
+    const products = await Product.find({ _id: { $in: wishlist.items.map(item => item.product) } })
+        .select(WISHLIST_PRODUCT_FIELDS);
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    const now = new Date();
+
+    const items = wishlist.items.map(item => {
+        const product = byId.get(item.product.toString());
+        const variant = product && item.variantId ? product.getVariant(item.variantId) : null;
+        const unavailable = !product || !product.isLive || Boolean(item.variantId && (!variant || !variant.isActive));
+
+        const entry = {
+            _id: item._id,
+            productId: item.product,
+            variantId: item.variantId,
+            sku: item.sku,
+            note: item.note,
+            addedAt: item.addedAt,
+            product: product ? {
+                name: product.name,
+                slug: product.slug,
+                category: product.category,
+                image: variant?.images?.[0]?.imageUrl || product.images?.[0]?.imageUrl || null
+            } : null,
+            options: variant ? Object.fromEntries(variant.options || []) : {}
+        };
+
+        if (unavailable) {
+            return {
+                ...entry,
+                flags: { unavailable: true, outOfStock: true, onSale: false, priceDropped: false }
+            };
+        }
+
+        const pricing = Product.computePricing(product, { variant, now });
+        const inStock = variant ? variant.inStock : product.inStock && product.availableQuantity > 0;
+
+        return {
+            ...entry,
+            price: pricing.basePrice,
+            salePrice: pricing.salePrice,
+            savings: pricing.savings,
+            discountEndsAt: pricing.discountEndsAt,
+            priceWhenAdded: item.priceWhenAdded,
+            flags: {
+                unavailable: false,
+                outOfStock: !inStock,
+                onSale: pricing.discountActive,
+                priceDropped: item.priceWhenAdded !== null && pricing.salePrice < item.priceWhenAdded
+            },
+            ...(display && {
+                display: {
+                    currency: display.currency,
+                    symbol: display.symbol,
+                    price: CurrencyService.convert(pricing.basePrice, display),
+                    salePrice: CurrencyService.convert(pricing.salePrice, display)
+                }
+            })
+        };
+    });
+
+    return {
+        _id: wishlist._id,
+        name: wishlist.name,
+        ownerName: wishlist.ownerName,
+        shareUrl: shareUrl(wishlist),
+        updatedAt: wishlist.updatedAt,
+        summary: {
+            count: items.length,
+            outOfStock: items.filter(item => item.flags.outOfStock).length,
+            onSale: items.filter(item => item.flags.onSale).length,
+            unavailable: items.filter(item => item.flags.unavailable).length
+        },
+        items
+    };
+};
+
+// ===== Answer model validation with 400 =====
+const sendSaveError = (res, err, fallback) => {
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            error: Object.values(err.errors).map(error => error.message).join(', ')
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: fallback
+    });
+};
+
+/**
+ * POST start a wishlist for this device. Body: { name?, ownerName? }
+ * Returns the device token to send as X-Device-Token from now on; a device
+ * that already has a wishlist gets it back instead.
+ * @route POST /api/wishlists
+ * @access Public
+ */
+exports.createWishlist = async (req, res) => {
+    try {
+        const existingToken = req.get('X-Device-Token');
+        const existing = existingToken ? await Wishlist.findByDeviceToken(existingToken.trim()) : null;
+        if (existing) {
+            return res.status(200).json({
+                success: true,
+                data: await describeWishlist(existing, req.displayCurrency)
+            });
+        }
+
+        const deviceToken = Wishlist.generateToken();
+        const wishlist = await Wishlist.create({
+            ownerTokenHash: Wishlist.hashToken(deviceToken),
+            shareToken: Wishlist.generateToken(12),
+            ...(req.body?.name && { name: req.body.name }),
+            ...(req.body?.ownerName && { ownerName: req.body.ownerName })
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Wishlist created. Keep the device token to manage it',
+            deviceToken,
+            data: await describeWishlist(wishlist, req.displayCurrency)
+        });
+    } catch (err) {
+        console.error('Error creating wishlist:', err);
+        sendSaveError(res, err, 'Failed to create wishlist');
+    }
+};
+
+/**
+ * GET this device's wishlist
+ * @route GET /api/wishlists/mine
+ * @access Device token
+ */
+exports.getMyWishlist = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await describeWishlist(req.wishlist, req.displayCurrency)
+        });
+    } catch (err) {
+        console.error('Error fetching wishlist:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch wishlist'
+        });
+    }
+};
+
+/**
+ * PUT rename the wishlist. Body: { name?, ownerName? }
+ * @route PUT /api/wishlists/mine
+ * @access Device token
+ */
+exports.updateMyWishlist = async (req, res) => {
+    try {
+        const { wishlist } = req;
+        if (req.body.name !== undefined) wishlist.name = req.body.name || 'My wishlist';
+        if (req.body.ownerName !== undefined) wishlist.ownerName = req.body.ownerName;
+        await wishlist.save();
+
+        res.status(200).json({
+            success: true,
+            data: await describeWishlist(wishlist, req.displayCurrency)
+        });
+    } catch (err) {
+        console.error('Error updating wishlist:', err);
+        sendSaveError(res, err, 'Failed to update wishlist');
+    }
+};
+
+/**
+ * POST add a product. Body: { productId, variantId? | sku?, note? }
+ * Adding a product that's already on the list updates its note.
+ * @route POST /api/wishlists/mine/items
+ * @access Device token
+ */
+exports.addItem = async (req, res) => {
+    try {
+        const { productId, variantId, sku, note } = req.body;
+        const { wishlist } = req;
+
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid productId is required'
+            });
+        }
+
+        const product = await Product.findById(productId).select(WISHLIST_PRODUCT_FIELDS);
+        if (!product || !product.isLive) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        let variant = null;
+        if (product.variants.length > 0) {
+            variant = product.getVariant(variantId || sku);
+            if (!variant || !variant.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    error: variantId || sku ? 'Variant not found' : 'Choose a variant (variantId or sku) for this product'
+                });
+            }
+        }
+
+        const existing = wishlist.findItem(product._id, variant?._id);
+        if (existing) {
+            if (note !== undefined) existing.note = note;
+        } else {
+            if (wishlist.items.length >= Wishlist.MAX_ITEMS) {
+                return res.status(400).json({
+                    success: false,
+                    error: `A wishlist can hold at most ${Wishlist.MAX_ITEMS} items`
+                });
+            }
+            wishlist.items.push({
+                product: product._id,
+                variantId: variant ? variant._id : null,
+                sku: variant ? variant.sku : '',
+                note: note || '',
+                priceWhenAdded: Product.computePricing(product, { variant }).salePrice
+            });
+        }
+        await wishlist.save();
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Already on your wishlist' : 'Added to your wishlist',
+            data: await describeWishlist(wishlist, req.displayCurrency)
+        });
+    } catch (err) {
+        console.error('Error adding wishlist item:', err);
+        sendSaveError(res, err, 'Failed to add to wishlist');
+    }
+};
+
+/**
+ * DELETE remove an item
+ * @route DELETE /api/wishlists/mine/items/:itemId
+ * @access Device token
+ */
+exports.removeItem = async (req, res) => {
+    try {
+        const { wishlist } = req;
+        const item = wishlist.items.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found on your wishlist'
+            });
+        }
+
+        item.deleteOne();
+        await wishlist.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from your wishlist',
+            data: await describeWishlist(wishlist, req.displayCurrency)
+        });
+    } catch (err) {
+        console.error('Error removing wishlist item:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove from wishlist'
+        });
+    }
+};
+
+/**
+ * POST replace the share link; the old one stops working
+ * @route POST /api/wishlists/mine/share
+ * @access Device token
+ */
+exports.resetShareLink = async (req, res) => {
+    try {
+        const { wishlist } = req;
+        wishlist.shareToken = Wishlist.generateToken(12);
+        await wishlist.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'New share link created',
+            data: { shareUrl: shareUrl(wishlist) }
+        });
+    } catch (err) {
+        console.error('Error resetting wishlist share link:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create a new share link'
+        });
+    }
+};
+
+/**
+ * GET a shared wishlist, for friends buying from it
+ * @route GET /api/wishlists/shared/:shareToken
+ * @access Public
+ */
+exports.getSharedWishlist = async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ shareToken: req.params.shareToken });
+
+        if (!wishlist) {
+            return res.status(404).json({
+                success: false,
+                error: 'Wishlist not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await describeWishlist(wishlist, req.displayCurrency)
+        });
+    } catch (err) {
+        console.error('Error fetching shared wishlist:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch wishlist'
+        });
+    }
+};
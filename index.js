@@ -45,9 +45,12 @@ const corsOptions = {
         'Accept',
         'Origin',
         'Access-Control-Request-Method',
-        'Access-Control-Request-Headers'
+        'Access-Control-Request-Headers',
+        'If-Match',
+        'X-Device-Token'
     ],
-    exposedHeaders: ['Content-Length', 'Content-Type'],
+    // ETag carries the version admin editors send back as If-Match
+    exposedHeaders: ['Content-Length', 'Content-Type', 'ETag'],
     optionsSuccessStatus: 200,
     preflightContinue: false
 };
@@ -62,8 +65,9 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS, HEAD');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Api-Key');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type');
+    // Keep these in step with corsOptions: they replace what cors() set
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Api-Key, If-Match, X-Device-Token');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type, ETag');
     res.setHeader('Access-Control-Max-Age', '86400');
 
     // Log CORS info
@@ -165,32 +169,46 @@ console.log('📦 Loading routes...');
 
 const heroRoutes = require('./routes/HeroRoutes');
 const categoryRoutes = require('./routes/CategoryRoutes');
-const jewelryRoutes = require('./routes/JewelryRoutes');
 const orderRoutes = require('./routes/OrderRoutes');
-const havenRoutes = require('./routes/HavenRoutes');
-const gentRoutes = require('./routes/GentRoutes');
-const cooperateRoutes = require('./routes/CooperateRoutes');
-const souvenirRoutes = require('./routes/SouvenirRoutes');
-const BeadRoutes = require('./routes/BeadRoutes');
-const SpecialRoutes = require('./routes/SpecialRoutes');
+const { createLegacyCatalogRouter } = require('./routes/LegacyCatalogRoutes');
 const packageRequestRoutes = require('./routes/PackageRequestRoutes');
 const Products = require('./routes/ProductRoutes');
 const AdminRoutes = require('./routes/AdminRoutes');
+const searchSynonymRoutes = require('./routes/SearchSynonymRoutes');
+const ReservationService = require('./Services/ReservationService');
+const SaleScheduleService = require('./Services/SaleScheduleService');
+const TrashService = require('./Services/TrashService');
+const BackInStockService = require('./Services/BackInStockService');
+const reviewRoutes = require('./routes/ReviewRoutes');
+const promotionRoutes = require('./routes/PromotionRoutes');
+const exchangeRateRoutes = require('./routes/ExchangeRateRoutes');
+const trashRoutes = require('./routes/TrashRoutes');
+const feedRoutes = require('./routes/FeedRoutes');
+const wishlistRoutes = require('./routes/WishlistRoutes');
 
 // === Mount Routes ===
 app.use('/api/hero', heroRoutes);
 app.use('/api/category', categoryRoutes);
-app.use('/api/jewelry', jewelryRoutes);
 app.use('/api/orders', orderRoutes);
-app.use('/api/queenshaven', havenRoutes);
-app.use('/api/gents', gentRoutes);
-app.use('/api/cooperate', cooperateRoutes);
-app.use('/api/souvenirs', souvenirRoutes);
-app.use('/api/beads', BeadRoutes);
-app.use('/api/special', SpecialRoutes);
 app.use('/api/products', Products)
+
+// Legacy per-category endpoints, now views over products
+app.use('/api/jewelry', createLegacyCatalogRouter('Jewelry', 'Jewelry', { fileField: 'images', maxFiles: 5 }));
+app.use('/api/queenshaven', createLegacyCatalogRouter('Haven', 'Queens Haven'));
+app.use('/api/gents', createLegacyCatalogRouter('Gents', 'Gent'));
+app.use('/api/cooperate', createLegacyCatalogRouter('Cooperate', 'Cooperate'));
+app.use('/api/souvenirs', createLegacyCatalogRouter('Souvenirs', 'Souvenir'));
+app.use('/api/beads', createLegacyCatalogRouter('Beads', 'Bead'));
+app.use('/api/special', createLegacyCatalogRouter('Special', 'Special Package'));
 app.use('/api/packagerequest', packageRequestRoutes);
 app.use('/api/admin', AdminRoutes);
+app.use('/api/search/synonyms', searchSynonymRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/currencies', exchangeRateRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/wishlists', wishlistRoutes);
 
 console.log('✅ All routes loaded');
 
@@ -244,6 +262,18 @@ async function startServer() {
 
         console.log('✅ Connected to MongoDB');
 
+        // Release stock held by checkouts that were never paid
+        ReservationService.startExpirySweep();
+
+        // Switch sales on and off on their scheduled dates
+        SaleScheduleService.start();
+
+        // Remove media of content that has sat in the trash past its retention period
+        TrashService.startPurgeSweep();
+
+        // Notify back-in-stock subscribers of restocks not caught when stock was edited
+        BackInStockService.startSweep();
+
         try {
             await mongoose.connection.db.collection('orders').dropIndex('paymentReference_1');
             console.log('✅ Dropped old paymentReference index');
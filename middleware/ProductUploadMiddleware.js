@@ -7,17 +7,25 @@ cloudinary.config({ secure: true });
 // In-memory storage for multer
 const storage = multer.memoryStorage();
 
+const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const allowedVideoTypes = ['video/mp4', 'video/webm', 'video/ogg', 'video/mov', 'video/quicktime', 'video/avi'];
+
 // Allow both image and video types
 const fileFilter = (req, file, cb) => {
-    const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    const allowedVideoTypes = ['video/mp4', 'video/webm', 'video/ogg', 'video/mov', 'video/quicktime', 'video/avi'];
-
     if (![...allowedImageTypes, ...allowedVideoTypes].includes(file.mimetype)) {
         return cb(new Error('Only image and video files are allowed'), false);
     }
     cb(null, true);
 };
 
+// Images only, for customer uploads: anything else is turned away before it reaches Cloudinary
+const imageFileFilter = (req, file, cb) => {
+    if (!allowedImageTypes.includes(file.mimetype)) {
+        return cb(new Error('Only image files are allowed'), false);
+    }
+    cb(null, true);
+};
+
 // Multer middleware for handling uploads (max 20MB per file to allow videos)
 const upload = multer({
     storage,
@@ -25,6 +33,13 @@ const upload = multer({
     limits: { fileSize: 20 * 1024 * 1024 } // 20MB max
 });
 
+// Multer middleware for public, image-only uploads
+const imageUpload = multer({
+    storage,
+    fileFilter: imageFileFilter,
+    limits: { fileSize: 20 * 1024 * 1024 } // 20MB max
+});
+
 // Upload images/videos to Cloudinary
 const uploadToCloudinary = async (req, res, next) => {
     if (!req.files || req.files.length === 0) return next();
@@ -35,7 +50,8 @@ const uploadToCloudinary = async (req, res, next) => {
         await Promise.all(
             req.files.map(file => new Promise((resolve, reject) => {
                 const isVideo = file.mimetype.startsWith('video/');
-                const folder = isVideo ? 'products_videos' : 'products_images';
+                // Routes can pick another folder (e.g. customer personalisation images)
+                const folder = req.cloudinaryFolder || (isVideo ? 'products_videos' : 'products_images');
 
                 const uploadStream = cloudinary.uploader.upload_stream(
                     {
@@ -116,6 +132,7 @@ const deleteFromCloudinary = async (publicIds) => {
 
 module.exports = {
     upload,
+    imageUpload,
     uploadToCloudinary,
     deleteFromCloudinary
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+const multer = require('multer');
+
+// Spreadsheets are parsed straight from memory; nothing goes to Cloudinary
+const storage = multer.memoryStorage();
+
+const SPREADSHEET_TYPES = {
+    csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+// Work out the format from the extension first (browsers disagree on CSV mime types)
+const spreadsheetFormat = (file) => {
+    const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+    if (SPREADSHEET_TYPES[extension]) return extension;
+    return Object.keys(SPREADSHEET_TYPES).find(format => SPREADSHEET_TYPES[format].includes(file.mimetype)) || null;
+};
+
+const fileFilter = (req, file, cb) => {
+    if (!spreadsheetFormat(file)) {
+        return cb(new Error('Only CSV or XLSX files are allowed'), false);
+    }
+    cb(null, true);
+};
+
+const upload = multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 } // 5MB
+});
+
+// Error handler for spreadsheet uploads
+const handleSpreadsheetErrors = (err, req, res, next) => {
+    if (err) {
+        console.error('Spreadsheet upload error:', err);
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                error: 'File too large (max 5MB)'
+            });
+        }
+
+        return res.status(err.message && err.message.includes('CSV') ? 415 : 400).json({
+            success: false,
+            error: err.message || 'Upload failed, try again'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    upload,
+    spreadsheetFormat,
+    handleSpreadsheetErrors
+};
@@ -98,6 +98,75 @@ const REGISTRATION_LIMITER = rateLimit({
     }
 });
 
+// Back-in-stock sign-up rate limiter. Sign-ups are public and each one can
+// end in an email or paid SMS to whatever contact was entered.
+const STOCK_ALERT_LIMITER = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 sign-ups per hour
+    message: {
+        success: false,
+        message: 'Too many stock alert requests. Please try again later.',
+        code: 'STOCK_ALERT_RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        logger.warn(`Stock alert rate limit exceeded for IP: ${req.ip}`);
+        res.status(429).json({
+            success: false,
+            message: 'Too many stock alert requests. Please wait 1 hour and try again.',
+            code: 'STOCK_ALERT_RATE_LIMIT_EXCEEDED',
+            retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+        });
+    }
+});
+
+// Personalisation image upload rate limiter. Uploads are public and each one
+// goes to the shop's Cloudinary account.
+const PERSONALISATION_UPLOAD_LIMITER = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // 20 uploads per hour
+    message: {
+        success: false,
+        message: 'Too many image uploads. Please try again later.',
+        code: 'UPLOAD_RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        logger.warn(`Personalisation upload rate limit exceeded for IP: ${req.ip}`);
+        res.status(429).json({
+            success: false,
+            message: 'Too many image uploads. Please wait 1 hour and try again.',
+            code: 'UPLOAD_RATE_LIMIT_EXCEEDED',
+            retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+        });
+    }
+});
+
+// Review submission rate limiter. Reviews are public and can carry photos
+// that go to the shop's Cloudinary account.
+const REVIEW_LIMITER = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 reviews per hour
+    message: {
+        success: false,
+        message: 'Too many reviews submitted. Please try again later.',
+        code: 'REVIEW_RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        logger.warn(`Review rate limit exceeded for IP: ${req.ip}`);
+        res.status(429).json({
+            success: false,
+            message: 'Too many reviews submitted. Please wait 1 hour and try again.',
+            code: 'REVIEW_RATE_LIMIT_EXCEEDED',
+            retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+        });
+    }
+});
+
 // ====== HELPER FUNCTIONS ======
 
 /**
@@ -486,6 +555,9 @@ module.exports = {
     LOGIN_LIMITER,
     PASSWORD_RESET_LIMITER,
     REGISTRATION_LIMITER,
+    STOCK_ALERT_LIMITER,
+    PERSONALISATION_UPLOAD_LIMITER,
+    REVIEW_LIMITER,
 
     // Helper functions (exported for testing)
     extractToken,
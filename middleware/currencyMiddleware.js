@@ -0,0 +1,25 @@
+const CurrencyService = require('../Services/CurrencyService');
+
+// Read ?currency= (or a `currency` field in the body) into req.displayCurrency.
+// Prices are still stored and charged in GHS; this only picks how they're shown.
+const resolveDisplayCurrency = async (req, res, next) => {
+    try {
+        req.displayCurrency = await CurrencyService.resolve(req.query.currency || req.body?.currency);
+        next();
+    } catch (err) {
+        if (err.name === 'CurrencyError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message,
+                code: 'UNSUPPORTED_CURRENCY'
+            });
+        }
+        console.error('Error resolving display currency:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load exchange rates'
+        });
+    }
+};
+
+module.exports = { resolveDisplayCurrency };
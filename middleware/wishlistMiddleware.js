@@ -0,0 +1,36 @@
+const Wishlist = require('../models/WishlistModel');
+
+// Load the wishlist belonging to the device token in the X-Device-Token header
+// into req.wishlist. Tokens are issued by POST /api/wishlists.
+const requireWishlistOwner = async (req, res, next) => {
+    try {
+        const token = req.get('X-Device-Token');
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Send your wishlist device token in the X-Device-Token header',
+                code: 'DEVICE_TOKEN_REQUIRED'
+            });
+        }
+
+        const wishlist = await Wishlist.findByDeviceToken(token.trim());
+        if (!wishlist) {
+            return res.status(404).json({
+                success: false,
+                error: 'No wishlist for this device',
+                code: 'WISHLIST_NOT_FOUND'
+            });
+        }
+
+        req.wishlist = wishlist;
+        next();
+    } catch (err) {
+        console.error('Error loading wishlist:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load wishlist'
+        });
+    }
+};
+
+module.exports = { requireWishlistOwner };
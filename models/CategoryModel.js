@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+const softDelete = require('./plugins/softDelete');
 
 const categoryPreviewSchema = new mongoose.Schema({
     title: {
@@ -14,7 +16,11 @@ const categoryPreviewSchema = new mongoose.Schema({
             altText: {
                 type: String,
                 default: '',
-            }
+            },
+            // Cloudinary id, used to remove the image once the category is purged
+            publicId: {
+                type: String,
+            },
         }
     ],
     link: {
@@ -32,11 +38,70 @@ const categoryPreviewSchema = new mongoose.Schema({
     index: {
         type: Number,
         default: 0,
+    },
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true,
+        trim: true,
+        lowercase: true,
+    },
+    // Slugs the category was reachable under before a rename
+    previousSlugs: {
+        type: [String],
+        index: true,
+        default: [],
+    },
+    seo: {
+        metaTitle: {
+            type: String,
+            trim: true,
+            maxlength: [70, 'Meta title cannot exceed 70 characters'],
+            default: '',
+        },
+        metaDescription: {
+            type: String,
+            trim: true,
+            maxlength: [160, 'Meta description cannot exceed 160 characters'],
+            default: '',
+        },
+        ogImage: {
+            type: String,
+            default: '',
+        },
     }
 }, {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
 });
 
+categoryPreviewSchema.plugin(softDelete);
+
+// Virtual: SEO metadata with fallbacks for anything not filled in
+categoryPreviewSchema.virtual('seoMeta').get(function () {
+    return {
+        title: this.seo?.metaTitle || `${this.title} | Merciluxe`,
+        description: this.seo?.metaDescription
+            || (this.description || '').slice(0, 160)
+            || `Browse our ${this.title} collection at Merciluxe.`,
+        ogImage: this.seo?.ogImage || this.images?.[0]?.imageUrl || '',
+    };
+});
+
+// Give new categories a slug from their title
+categoryPreviewSchema.pre('validate', async function () {
+    if (!this.slug && this.title) {
+        this.slug = await generateUniqueSlug(this.constructor, this.title, this._id);
+    }
+});
+
+// Find a category by its current or a previous slug (categories in the trash are left out)
+categoryPreviewSchema.statics.findBySlug = function (slug) {
+    const value = String(slug).trim().toLowerCase();
+    return this.findOne({ $or: [{ slug: value }, { previousSlugs: value }], deletedAt: null });
+};
+
 const CategoryPreview = mongoose.model('CategoryPreview', categoryPreviewSchema);
 
 module.exports = CategoryPreview;
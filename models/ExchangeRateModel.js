@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Prices are kept and settled in Ghana cedis; other currencies are for display only
+const BASE_CURRENCY = 'GHS';
+
+// An exchange rate entered by an admin. There is no live feed: the rate
+// stays as entered until someone changes it.
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency code must be three letters (e.g. USD)'],
+        validate: {
+            validator: (code) => code !== BASE_CURRENCY,
+            message: `${BASE_CURRENCY} is the base currency and has no rate`,
+        },
+    },
+    // GH₵ for one unit of this currency (e.g. 15.4 for USD)
+    rate: {
+        type: Number,
+        required: [true, 'Exchange rate is required'],
+        min: [0.000001, 'Exchange rate must be positive'],
+    },
+    symbol: {
+        type: String,
+        trim: true,
+        maxlength: [5, 'Symbol cannot exceed 5 characters'],
+        default: '',
+    },
+    // Decimal places prices are rounded to (0 for currencies without minor units)
+    decimals: {
+        type: Number,
+        min: [0, 'Decimals cannot be negative'],
+        max: [3, 'Decimals cannot exceed 3'],
+        default: 2,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+    },
+}, { timestamps: true });
+
+ExchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
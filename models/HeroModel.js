@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const HeroSchema = new mongoose.Schema({
     images: [
@@ -11,6 +12,10 @@ const HeroSchema = new mongoose.Schema({
                 type: String,
                 required: true,
             },
+            // Cloudinary id, used to remove the image once the hero is purged
+            publicId: {
+                type: String,
+            },
         },
     ],
     hallTagline: {
@@ -48,4 +53,6 @@ const HeroSchema = new mongoose.Schema({
     },
 }, { timestamps: true });
 
+HeroSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Hero', HeroSchema);
@@ -33,14 +33,88 @@ const OrderSchema = new mongoose.Schema({
     items: [{
         productId: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'Jewelry',
+            ref: 'Product',
             required: true
         },
+        variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        sku: {
+            type: String,
+            default: ''
+        },
+        options: {
+            type: Map,
+            of: String,
+            default: undefined
+        },
         title: String,
+        // Unit price, including any personalisation charge
         price: Number,
+        personalisationCharge: {
+            type: Number,
+            default: 0
+        },
+        // What the customer entered for the product's personalisation fields
+        personalisation: [{
+            _id: false,
+            key: String,
+            label: String,
+            type: {
+                type: String
+            },
+            value: String,
+            imageUrl: String,
+            publicId: String,
+            extraCharge: Number
+        }],
         quantity: Number,
         image: String
     }],
+    // Totals are worked out on the server from catalog prices and promotions
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    deliveryFee: {
+        type: Number,
+        default: 0
+    },
+    discountTotal: {
+        type: Number,
+        default: 0
+    },
+    discounts: [{
+        _id: false,
+        promotion: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        code: String,
+        type: {
+            type: String
+        },
+        description: String,
+        amount: Number
+    }],
+    freeDelivery: {
+        type: Boolean,
+        default: false
+    },
+    // Currency the customer saw prices in at checkout and the rate used.
+    // Payment is always taken in GHS.
+    displayCurrency: {
+        currency: {
+            type: String,
+            default: 'GHS'
+        },
+        rate: {
+            type: Number,
+            default: 1
+        },
+        totalAmount: Number
+    },
     totalAmount: {
         type: Number,
         required: true,
@@ -64,6 +138,11 @@ const OrderSchema = new mongoose.Schema({
     isDelivered: {
         type: Boolean,
         default: false
+    },
+    // Stock is held for the order until this time; unpaid holds are then released
+    stockReservedUntil: {
+        type: Date,
+        default: null
     }
 }, { timestamps: true });
 
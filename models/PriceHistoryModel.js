@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const PRICE_SOURCES = ['created', 'edit', 'bulk', 'import', 'sale_start', 'sale_end', 'bundle'];
+
+// How far back the "lowest recent price" looks (days)
+const LOWEST_PRICE_WINDOW_DAYS = 30;
+
+// One point on a product's (or a variant's) price chart. A point is written
+// whenever the list price, the compare-at price or the price in effect
+// changes, including when a scheduled sale starts or ends.
+const PriceHistorySchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    // Set for variant prices; product-level points have no variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    // List price before any sale
+    price: {
+        type: Number,
+        required: true,
+    },
+    originalPrice: {
+        type: Number,
+        default: null,
+    },
+    // Price customers actually paid from this point on
+    salePrice: {
+        type: Number,
+        required: true,
+    },
+    discountActive: {
+        type: Boolean,
+        default: false,
+    },
+    source: {
+        type: String,
+        enum: PRICE_SOURCES,
+        required: true,
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+    },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+PriceHistorySchema.index({ product: 1, sku: 1, createdAt: -1 });
+
+// The prices a product shows right now, one line for the product and one per variant
+const pricePoints = (product, now = new Date()) => {
+    const { computePricing } = mongoose.model('Product');
+    const point = (variant) => {
+        const { basePrice, salePrice, discountActive } = computePricing(product, { variant, now });
+        return {
+            variantId: variant ? variant._id : null,
+            sku: variant ? variant.sku : '',
+            price: basePrice,
+            originalPrice: product.originalPrice ?? null,
+            salePrice,
+            discountActive,
+        };
+    };
+
+    return [point(null), ...(product.variants || []).map(variant => point(variant))];
+};
+
+// Static Method: Record the prices that changed between two versions of a product.
+// `previous` is the product before the change (null records every price).
+PriceHistorySchema.statics.recordProductChanges = async function (previous, updated, { source = 'edit', changedBy = null, now = new Date() } = {}) {
+    const before = new Map(previous ? pricePoints(previous, now).map(point => [point.sku, point]) : []);
+
+    const changed = pricePoints(updated, now).filter(point => {
+        const old = before.get(point.sku);
+        return !old
+            || old.price !== point.price
+            || old.originalPrice !== point.originalPrice
+            || old.salePrice !== point.salePrice;
+    });
+    if (changed.length === 0) return [];
+
+    return this.insertMany(changed.map(point => ({ ...point, product: updated._id, source, changedBy })));
+};
+
+// When each product's running sale started: the first point of its latest
+// unbroken run of sale prices. Returns a Map keyed by product id.
+const getSaleStarts = async (Model, ids, sku) => {
+    if (ids.length === 0) return new Map();
+
+    const lastRegular = await Model.aggregate([
+        { $match: { product: { $in: ids }, sku, discountActive: false } },
+        { $group: { _id: '$product', at: { $max: '$createdAt' } } },
+    ]);
+    const regularAt = new Map(lastRegular.map(({ _id, at }) => [_id.toString(), at]));
+
+    const starts = await Model.aggregate([
+        {
+            $match: {
+                sku,
+                discountActive: true,
+                $or: ids.map(product => ({ product, createdAt: { $gt: regularAt.get(product.toString()) || new Date(0) } })),
+            },
+        },
+        { $group: { _id: '$product', at: { $min: '$createdAt' } } },
+    ]);
+
+    return new Map(starts.map(({ _id, at }) => [_id.toString(), at]));
+};
+
+// Static Method: Lowest price in effect over the last `days` days for each product,
+// counting the price that was already in effect when the window opened.
+// For products listed in `onSale` the window ends when their running sale
+// started, so the sale isn't compared against itself.
+// Product-level prices unless `sku` picks a variant. Returns a Map keyed by
+// product id; products without history are left out.
+PriceHistorySchema.statics.getLowestPrices = async function (productIds, { sku = '', days = LOWEST_PRICE_WINDOW_DAYS, now = new Date(), onSale = [] } = {}) {
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    if (ids.length === 0) return new Map();
+
+    const saleStarts = await getSaleStarts(this, onSale.map(id => new mongoose.Types.ObjectId(String(id))), sku);
+    const windows = ids.map(product => {
+        const end = saleStarts.get(product.toString()) || now;
+        return { product, end, since: new Date(end.getTime() - days * 24 * 60 * 60 * 1000) };
+    });
+
+    const [inWindow, atStart] = await Promise.all([
+        this.aggregate([
+            { $match: { sku, $or: windows.map(({ product, since, end }) => ({ product, createdAt: { $gte: since, $lt: end } })) } },
+            { $group: { _id: '$product', lowest: { $min: '$salePrice' } } },
+        ]),
+        this.aggregate([
+            { $match: { sku, $or: windows.map(({ product, since }) => ({ product, createdAt: { $lt: since } })) } },
+            { $sort: { createdAt: -1 } },
+            { $group: { _id: '$product', lowest: { $first: '$salePrice' } } },
+        ]),
+    ]);
+
+    const lowest = new Map();
+    [...inWindow, ...atStart].forEach(({ _id, lowest: price }) => {
+        const key = _id.toString();
+        if (!lowest.has(key) || price < lowest.get(key)) {
+            lowest.set(key, price);
+        }
+    });
+
+    return lowest;
+};
+
+// Static Method: The lowest recent price to show next to the current one, from
+// getLowestPrices' figure (`recorded`, undefined without history). Off sale the
+// current price counts too; on sale, without earlier history, it's the list price.
+PriceHistorySchema.statics.lowestBeforeSale = function (recorded, { price, salePrice, discountActive }) {
+    if (discountActive) return recorded !== undefined ? recorded : price;
+    return recorded !== undefined ? Math.min(recorded, salePrice) : salePrice;
+};
+
+PriceHistorySchema.statics.SOURCES = PRICE_SOURCES;
+PriceHistorySchema.statics.LOWEST_PRICE_WINDOW_DAYS = LOWEST_PRICE_WINDOW_DAYS;
+
+module.exports = mongoose.model('PriceHistory', PriceHistorySchema);
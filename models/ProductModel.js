@@ -1,4 +1,192 @@
 const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+const StockMovement = require('./StockMovementModel');
+const PriceHistory = require('./PriceHistoryModel');
+const softDelete = require('./plugins/softDelete');
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Cloudinary folder customers' personalisation images are uploaded to
+const PERSONALISATION_UPLOAD_FOLDER = 'personalisation_uploads';
+
+/**
+ * The price a product, or one of its variants, sells at at a given moment.
+ * This is the one place sale rules live: a sale runs while isOnSale is set,
+ * a discount is configured and `now` is inside the start/end dates (either
+ * may be left open). A percentage discount wins over a fixed amount.
+ * Works on documents and lean objects alike.
+ * @returns {{ basePrice: number, salePrice: number, savings: number, discountActive: boolean, discountEndsAt: Date|null }}
+ */
+const computePricing = (product, { variant = null, now = new Date() } = {}) => {
+    const basePrice = variant && variant.price !== null && variant.price !== undefined
+        ? variant.price
+        : product.price;
+
+    const discountActive = Boolean(product.isOnSale)
+        && (product.discountPercentage > 0 || product.discountAmount > 0)
+        && !(product.discountStartDate && now < new Date(product.discountStartDate))
+        && !(product.discountEndDate && now > new Date(product.discountEndDate));
+
+    if (!discountActive || basePrice === null || basePrice === undefined) {
+        return { basePrice, salePrice: basePrice, savings: 0, discountActive, discountEndsAt: null };
+    }
+
+    const discounted = product.discountPercentage > 0
+        ? basePrice * (1 - product.discountPercentage / 100)
+        : basePrice - product.discountAmount;
+    const salePrice = roundPrice(Math.max(0, discounted));
+
+    return {
+        basePrice,
+        salePrice,
+        savings: roundPrice(basePrice - salePrice),
+        discountActive,
+        discountEndsAt: product.discountEndDate || null,
+    };
+};
+
+// A purchasable combination of option values (e.g. Size: M, Colour: Gold)
+const VariantSchema = new mongoose.Schema(
+    {
+        sku: {
+            type: String,
+            required: [true, 'Variant SKU is required'],
+            trim: true,
+            uppercase: true,
+        },
+        options: {
+            type: Map,
+            of: String,
+            default: {},
+        },
+        // Overrides the product price when set
+        price: {
+            type: Number,
+            default: null,
+            min: [0, 'Variant price cannot be negative'],
+        },
+        stockQuantity: {
+            type: Number,
+            default: 0,
+            min: [0, 'Variant stock quantity cannot be negative'],
+        },
+        // Units held by unpaid orders (see StockReservation)
+        reservedQuantity: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        images: [
+            {
+                imageUrl: {
+                    type: String,
+                    default: '',
+                },
+                altText: {
+                    type: String,
+                    default: '',
+                },
+            },
+        ],
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+// Virtual: Price the variant sells at before any discount
+VariantSchema.virtual('effectivePrice').get(function () {
+    if (this.price !== null && this.price !== undefined) return this.price;
+    const product = this.ownerDocument && this.ownerDocument();
+    return product ? product.price : null;
+});
+
+// Virtual: Stock not held by an unpaid order
+VariantSchema.virtual('availableQuantity').get(function () {
+    return Math.max(0, this.stockQuantity - (this.reservedQuantity || 0));
+});
+
+// Virtual: Price the variant sells at right now, after any running sale
+VariantSchema.virtual('salePrice').get(function () {
+    const product = this.ownerDocument && this.ownerDocument();
+    return product ? computePricing(product, { variant: this }).salePrice : this.effectivePrice;
+});
+
+// Virtual: Whether the variant can be bought
+VariantSchema.virtual('inStock').get(function () {
+    const product = this.ownerDocument && this.ownerDocument();
+    return this.isActive && this.availableQuantity > 0 && !product?.stockPaused;
+});
+
+// A detail the customer fills in when ordering, e.g. an engraving or a photo
+const PersonalisationFieldSchema = new mongoose.Schema(
+    {
+        // Identifies the field in cart and order data, e.g. 'engraving'
+        key: {
+            type: String,
+            required: [true, 'Personalisation field key is required'],
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z0-9_]+$/, 'Personalisation field keys may only use letters, numbers and underscores'],
+        },
+        label: {
+            type: String,
+            required: [true, 'Personalisation field label is required'],
+            trim: true,
+            maxlength: [60, 'Personalisation field label cannot exceed 60 characters'],
+        },
+        type: {
+            type: String,
+            enum: ['text', 'choice', 'image'],
+            required: true,
+        },
+        required: {
+            type: Boolean,
+            default: false,
+        },
+        helpText: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Help text cannot exceed 200 characters'],
+            default: '',
+        },
+        // Text fields only
+        maxLength: {
+            type: Number,
+            min: [1, 'Max length must be at least 1'],
+            max: [500, 'Max length cannot exceed 500'],
+            default: 50,
+        },
+        // Choice fields only; a choice can cost extra on top of the field's charge
+        choices: [
+            {
+                _id: false,
+                value: {
+                    type: String,
+                    required: true,
+                    trim: true,
+                },
+                extraCharge: {
+                    type: Number,
+                    min: [0, 'Extra charge cannot be negative'],
+                    default: 0,
+                },
+            },
+        ],
+        // Added to the unit price when the field is filled in
+        extraCharge: {
+            type: Number,
+            min: [0, 'Extra charge cannot be negative'],
+            default: 0,
+        },
+    },
+    { _id: false }
+);
 
 const ProductSchema = new mongoose.Schema(
     {
@@ -27,12 +215,25 @@ const ProductSchema = new mongoose.Schema(
             enum: ['Gents', 'Haven', 'Cooperate', 'Souvenirs', 'Beads', 'Jewelry', 'Special'],
             default: 'Special',
         },
+        // Free-form labels for grouping across categories (e.g. 'valentine', 'corporate-gift')
+        tags: [
+            {
+                type: String,
+                trim: true,
+                lowercase: true,
+            },
+        ],
         images: [
             {
                 imageUrl: {
                     type: String,
                     default: '',
                 },
+                // Cloudinary id, needed to delete the file when it's replaced or purged
+                publicId: {
+                    type: String,
+                    default: '',
+                },
                 altText: {
                     type: String,
                     default: '',
@@ -45,6 +246,10 @@ const ProductSchema = new mongoose.Schema(
                     type: String,
                     default: '',
                 },
+                publicId: {
+                    type: String,
+                    default: '',
+                },
                 title: {
                     type: String,
                     default: '',
@@ -55,11 +260,22 @@ const ProductSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Marked out of stock by hand (bulk set_stock); the counts are left as they are
+        stockPaused: {
+            type: Boolean,
+            default: false,
+        },
         stockQuantity: {
             type: Number,
             default: 0,
             min: [0, 'Stock quantity cannot be negative'],
         },
+        // Units held by unpaid orders; for products with variants, the sum over variants
+        reservedQuantity: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
         lowStockThreshold: {
             type: Number,
             default: 10,
@@ -88,6 +304,126 @@ const ProductSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Whether the sale is running, kept in step with the dates by SaleScheduleService
+        saleActive: {
+            type: Boolean,
+            default: false,
+        },
+        // Only live products are shown on the storefront (see liveFilter)
+        status: {
+            type: String,
+            enum: ['draft', 'scheduled', 'published'],
+            default: 'published',
+        },
+        publishAt: {
+            type: Date,
+            default: null,
+        },
+        unpublishAt: {
+            type: Date,
+            default: null,
+        },
+        slug: {
+            type: String,
+            unique: true,
+            sparse: true,
+            trim: true,
+            lowercase: true,
+        },
+        // Slugs the product was reachable under before a rename
+        previousSlugs: {
+            type: [String],
+            index: true,
+            default: [],
+        },
+        seo: {
+            metaTitle: {
+                type: String,
+                trim: true,
+                maxlength: [70, 'Meta title cannot exceed 70 characters'],
+                default: '',
+            },
+            metaDescription: {
+                type: String,
+                trim: true,
+                maxlength: [160, 'Meta description cannot exceed 160 characters'],
+                default: '',
+            },
+            ogImage: {
+                type: String,
+                default: '',
+            },
+        },
+        // Kept in step with approved reviews by Review.updateProductRating
+        ratingAverage: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 5,
+        },
+        ratingCount: {
+            type: Number,
+            default: 0,
+        },
+        // Bundles (gift hampers) are made of other products
+        productType: {
+            type: String,
+            enum: ['simple', 'bundle'],
+            default: 'simple',
+        },
+        bundleItems: [
+            {
+                _id: false,
+                product: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Product',
+                    required: [true, 'Bundle item product is required'],
+                },
+                // Required when the component product has variants
+                variantId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    default: null,
+                },
+                quantity: {
+                    type: Number,
+                    default: 1,
+                    min: [1, 'Bundle item quantity must be at least 1'],
+                },
+            },
+        ],
+        // 'fixed' sells at `price`; 'percentage' takes percentageOff from the components' total
+        bundlePricing: {
+            mode: {
+                type: String,
+                enum: ['fixed', 'percentage'],
+                default: 'fixed',
+            },
+            percentageOff: {
+                type: Number,
+                default: 0,
+                min: [0, 'Bundle discount cannot be negative'],
+                max: [100, 'Bundle discount cannot exceed 100'],
+            },
+        },
+        // Option axes, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+        options: [
+            {
+                _id: false,
+                name: {
+                    type: String,
+                    required: [true, 'Option name is required'],
+                    trim: true,
+                },
+                values: [
+                    {
+                        type: String,
+                        trim: true,
+                    },
+                ],
+            },
+        ],
+        variants: [VariantSchema],
+        personalisationFields: [PersonalisationFieldSchema],
     },
     {
         timestamps: true,
@@ -96,114 +432,764 @@ const ProductSchema = new mongoose.Schema(
     }
 );
 
-// Virtual: Calculate sale price
+ProductSchema.plugin(softDelete);
+
+// Storefront visibility checks
+ProductSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+
+// Full-text search, weighted towards the product name
+ProductSchema.index(
+    { name: 'text', category: 'text', description: 'text' },
+    { name: 'ProductTextIndex', weights: { name: 10, category: 5, description: 1 } }
+);
+
+// SKUs are unique across the catalog; products without variants are skipped
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Tag filters
+ProductSchema.index({ tags: 1 });
+
+// Sale scheduling
+ProductSchema.index({ isOnSale: 1, discountStartDate: 1, discountEndDate: 1 });
+
+// Sorting by rating
+ProductSchema.index({ ratingAverage: -1, ratingCount: -1 });
+
+// Virtual: Price in effect right now (see computePricing)
 ProductSchema.virtual('salePrice').get(function () {
-    if (this.isOnSale && this.discountPercentage > 0) {
-        const discount = this.price * (this.discountPercentage / 100);
-        return Math.max(0, this.price - discount);
+    return computePricing(this).salePrice;
+});
+
+// Virtual: Amount taken off the base price right now
+ProductSchema.virtual('savings').get(function () {
+    return computePricing(this).savings;
+});
+
+// Virtual: When the running sale ends (null if none is running or it has no end)
+ProductSchema.virtual('discountEndsAt').get(function () {
+    return computePricing(this).discountEndsAt;
+});
+
+// Virtual: SEO metadata with fallbacks for anything not filled in
+ProductSchema.virtual('seoMeta').get(function () {
+    const description = (this.description || '').replace(/\s+/g, ' ').trim();
+    return {
+        title: this.seo?.metaTitle || `${this.name} | Merciluxe`,
+        description: this.seo?.metaDescription
+            || (description.length > 160 ? `${description.slice(0, 157).trimEnd()}...` : description)
+            || `Shop ${this.name} from our ${this.category} collection at Merciluxe.`,
+        ogImage: this.seo?.ogImage || this.images?.[0]?.imageUrl || '',
+    };
+});
+
+// Virtual: Whether the storefront shows this product right now
+ProductSchema.virtual('isLive').get(function () {
+    if (this.deletedAt) return false;
+    const now = new Date();
+    const status = this.status || 'published';
+    const started = status === 'published' || (status === 'scheduled' && this.publishAt && this.publishAt <= now);
+    const ended = this.unpublishAt && this.unpublishAt <= now;
+    return Boolean(started && !ended);
+});
+
+// Virtual: Stock the storefront can sell (excludes units held by unpaid orders)
+ProductSchema.virtual('availableQuantity').get(function () {
+    return Math.max(0, this.stockQuantity - (this.reservedQuantity || 0));
+});
+
+// Virtual: Whether the sale is running right now
+ProductSchema.virtual('isDiscountActive').get(function () {
+    return computePricing(this).discountActive;
+});
+
+// Static Method: Check variants against the option axes.
+// Returns a list of problems; empty when the variants are consistent.
+ProductSchema.statics.checkVariants = function (options = [], variants = []) {
+    const errors = [];
+    const axes = new Map(options.map(option => [option.name, option.values || []]));
+    const skus = new Set();
+    const combinations = new Set();
+
+    for (const variant of variants) {
+        const sku = String(variant.sku || '').trim().toUpperCase();
+        if (!sku) {
+            errors.push('Every variant needs a SKU');
+            continue;
+        }
+        if (skus.has(sku)) {
+            errors.push(`Duplicate variant SKU: ${sku}`);
+        }
+        skus.add(sku);
+
+        const values = variant.options instanceof Map
+            ? variant.options
+            : new Map(Object.entries(variant.options || {}));
+
+        for (const [name, value] of values) {
+            if (!axes.has(name)) {
+                errors.push(`Variant ${sku} uses unknown option: ${name}`);
+            } else if (!axes.get(name).includes(value)) {
+                errors.push(`Variant ${sku} has invalid ${name}: ${value}`);
+            }
+        }
+        if (values.size !== axes.size) {
+            errors.push(`Variant ${sku} must set a value for every option`);
+        }
+
+        const key = [...axes.keys()].map(name => values.get(name)).join('|');
+        if (combinations.has(key)) {
+            errors.push(`Variant ${sku} duplicates another variant's options`);
+        }
+        combinations.add(key);
     }
-    if (this.isOnSale && this.discountAmount > 0) {
-        return Math.max(0, this.price - this.discountAmount);
+    return errors;
+};
+
+// Middleware: Reject inconsistent variants
+ProductSchema.pre('validate', function (next) {
+    if (!this.variants || this.variants.length === 0) return next();
+
+    const errors = this.constructor.checkVariants(this.options, this.variants);
+    if (errors.length > 0) {
+        this.invalidate('variants', errors.join('; '));
     }
-    return this.price;
+    next();
 });
 
-// Virtual: Calculate savings
-ProductSchema.virtual('savings').get(function () {
-    if (this.isOnSale && this.discountPercentage > 0) {
-        return this.price * (this.discountPercentage / 100);
+// Static Method: Check a product's personalisation fields.
+// Returns a list of problems; empty when the fields are usable.
+ProductSchema.statics.checkPersonalisationFields = function (fields = []) {
+    const errors = [];
+    const keys = new Set();
+
+    for (const field of fields) {
+        if (keys.has(field.key)) {
+            errors.push(`Duplicate personalisation field: ${field.key}`);
+        }
+        keys.add(field.key);
+
+        if (field.type === 'choice') {
+            const values = (field.choices || []).map(choice => choice.value);
+            if (values.length === 0) {
+                errors.push(`Personalisation field "${field.label}" needs at least one choice`);
+            }
+            if (new Set(values).size !== values.length) {
+                errors.push(`Personalisation field "${field.label}" has duplicate choices`);
+            }
+        }
+    }
+    return errors;
+};
+
+// Static Method: Check what a customer entered against a product's personalisation fields.
+// `values` maps field keys to the text, the chosen value or the uploaded image
+// ({ imageUrl, publicId } or a URL). Returns the entries to store on the order
+// line, the extra charge per unit and any problems.
+// The { imageUrl, publicId } of a personalisation image from the upload
+// endpoint, or null. Takes what the endpoint returned (or just its URL or
+// publicId) and only accepts images in that folder of the shop's Cloudinary account.
+const personalisationImage = (raw) => {
+    const cloud = process.env.CLOUDINARY_CLOUD_NAME;
+    if (!cloud) return null;
+
+    const base = `https://res.cloudinary.com/${cloud}/image/upload/`;
+    const imageUrl = String(typeof raw === 'object' ? raw.imageUrl || '' : raw).trim();
+    const publicId = typeof raw === 'object' && raw.publicId ? String(raw.publicId).trim() : '';
+    const folderId = new RegExp(`^${PERSONALISATION_UPLOAD_FOLDER}/[\\w-]+$`);
+
+    if (!imageUrl) {
+        return folderId.test(publicId) ? { imageUrl: base + publicId, publicId } : null;
+    }
+    if (!imageUrl.startsWith(base)) return null;
+
+    // [<transformations>/][v<version>/]<public id>.<ext>
+    const match = new RegExp(`^(?:[^?#]*/)?(${PERSONALISATION_UPLOAD_FOLDER}/[\\w-]+)\\.[a-z0-9]+$`, 'i')
+        .exec(imageUrl.slice(base.length));
+    if (!match || (publicId && publicId !== match[1])) return null;
+    return { imageUrl, publicId: match[1] };
+};
+
+ProductSchema.statics.checkPersonalisation = function (fields = [], values = {}) {
+    const entries = [];
+    const errors = [];
+    let charge = 0;
+
+    for (const key of Object.keys(values || {})) {
+        if (!fields.some(field => field.key === key)) {
+            errors.push(`Unknown personalisation field: ${key}`);
+        }
+    }
+
+    for (const field of fields) {
+        const raw = values?.[field.key];
+        const isEmpty = raw === undefined || raw === null || String(raw.imageUrl ?? raw).trim() === '';
+
+        if (isEmpty) {
+            if (field.required) errors.push(`${field.label} is required`);
+            continue;
+        }
+
+        const entry = { key: field.key, label: field.label, type: field.type, value: '', imageUrl: '', publicId: '', extraCharge: field.extraCharge || 0 };
+
+        if (field.type === 'text') {
+            entry.value = String(raw).trim();
+            if (entry.value.length > field.maxLength) {
+                errors.push(`${field.label} cannot exceed ${field.maxLength} characters`);
+            }
+        } else if (field.type === 'choice') {
+            const choice = field.choices.find(option => option.value === String(raw).trim());
+            if (!choice) {
+                errors.push(`${field.label} must be one of: ${field.choices.map(option => option.value).join(', ')}`);
+                continue;
+            }
+            entry.value = choice.value;
+            entry.extraCharge += choice.extraCharge || 0;
+        } else {
+            const image = personalisationImage(raw);
+            if (!image) {
+                errors.push(`${field.label} must be an uploaded image`);
+                continue;
+            }
+            entry.imageUrl = image.imageUrl;
+            entry.publicId = image.publicId;
+        }
+
+        charge += entry.extraCharge;
+        entries.push(entry);
     }
-    if (this.isOnSale && this.discountAmount > 0) {
-        return this.discountAmount;
+
+    return { entries, charge, errors };
+};
+
+// Middleware: Check personalisation fields
+ProductSchema.pre('validate', function (next) {
+    const errors = this.constructor.checkPersonalisationFields(this.personalisationFields);
+    if (errors.length > 0) {
+        this.invalidate('personalisationFields', errors.join('; '));
     }
-    return 0;
+    next();
 });
 
-// Virtual: Check if discount is currently active
-ProductSchema.virtual('isDiscountActive').get(function () {
-    if (!this.isOnSale) return false;
-    const now = new Date();
-    if (this.discountStartDate && now < this.discountStartDate) return false;
-    if (this.discountEndDate && now > this.discountEndDate) return false;
-    return true;
+// Middleware: Bundles need components and can't have variants of their own
+ProductSchema.pre('validate', function (next) {
+    if (this.productType !== 'bundle') return next();
+
+    if (!this.bundleItems || this.bundleItems.length === 0) {
+        this.invalidate('bundleItems', 'A bundle needs at least one product');
+    }
+    if (this.variants && this.variants.length > 0) {
+        this.invalidate('variants', 'Bundles cannot have variants');
+    }
+    if (this.bundleItems?.some(item => item.product && item.product.equals(this._id))) {
+        this.invalidate('bundleItems', 'A bundle cannot contain itself');
+    }
+    next();
+});
+
+// Middleware: Check the publishing schedule
+ProductSchema.pre('validate', function (next) {
+    if (this.status === 'scheduled' && !this.publishAt) {
+        this.invalidate('publishAt', 'Scheduled products need a publish date');
+    }
+    if (this.unpublishAt && this.publishAt && this.unpublishAt <= this.publishAt) {
+        this.invalidate('unpublishAt', 'Unpublish date must be after the publish date');
+    }
+    next();
+});
+
+// Middleware: Give new products a slug from their name
+ProductSchema.pre('validate', async function () {
+    if (!this.slug && this.name) {
+        this.slug = await generateUniqueSlug(this.constructor, this.name, this._id);
+    }
+});
+
+// Middleware: Bundles take their stock (and percentage price) from their components
+ProductSchema.pre('save', async function () {
+    if (this.productType === 'bundle') {
+        const { available, price } = await this.constructor.resolveBundle(this);
+        this.stockQuantity = available;
+        this.price = price;
+        return;
+    }
+
+    // Remember whether bundles built from this product need refreshing after the save
+    this.$locals.refreshBundles = !this.isNew
+        && (this.isModified('stockQuantity') || this.isModified('price') || this.isModified('variants'));
 });
 
 // Middleware: Update stock status before saving
 ProductSchema.pre('save', function (next) {
-    // Update stock status based on quantity
-    if (this.stockQuantity <= 0) {
+    // Products with variants hold the sum of their variants' stock
+    if (this.variants && this.variants.length > 0) {
+        this.stockQuantity = this.variants
+            .filter(variant => variant.isActive)
+            .reduce((sum, variant) => sum + variant.stockQuantity, 0);
+    }
+
+    // Update stock status based on quantity, unless sales are paused
+    if (this.stockQuantity <= 0 || this.stockPaused) {
         this.inStock = false;
     } else {
         this.inStock = true;
     }
+
+    this.saleActive = computePricing(this).discountActive;
     next();
 });
 
+// Middleware: Keep bundles in step with a component's stock and price
+ProductSchema.post('save', async function () {
+    if (this.$locals.refreshBundles) {
+        this.$locals.refreshBundles = false;
+        await this.constructor.refreshBundles({ 'bundleItems.product': this._id });
+    }
+});
+
+// Static Method: Filter for products the storefront shows right now.
+// Products saved before publishing states existed have no status and count as published.
+ProductSchema.statics.liveFilter = function (now = new Date()) {
+    return {
+        $and: [
+            {
+                $or: [
+                    { status: { $in: ['published', null] } },
+                    { status: 'scheduled', publishAt: { $lte: now } },
+                ],
+            },
+            {
+                $or: [
+                    { unpublishAt: null },
+                    { unpublishAt: { $gt: now } },
+                ],
+            },
+            { deletedAt: null },
+        ],
+    };
+};
+
+// Static Method: Filter for products the storefront can sell right now.
+// Units held by unpaid orders don't count (mirrors the availableQuantity virtual),
+// and neither do products whose sales are paused.
+ProductSchema.statics.availableFilter = function () {
+    return {
+        inStock: true,
+        stockPaused: { $ne: true },
+        $expr: { $gt: [{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] }, 0] },
+    };
+};
+
 // Static Method: Find products by category
 ProductSchema.statics.findByCategory = function (category) {
     return this.find({
         category: category,
-        inStock: true,
+        ...this.availableFilter(),
+        ...this.liveFilter(),
     }).sort({ createdAt: -1 });
 };
 
+// Static Method: Current pricing for a product or variant (see computePricing)
+ProductSchema.statics.computePricing = computePricing;
+
+// Static Method: Add the current pricing and sellable stock to a lean product, which has no virtuals
+ProductSchema.statics.withPricing = function (product, now = new Date()) {
+    const { salePrice, savings, discountActive, discountEndsAt } = computePricing(product, { now });
+    const availableQuantity = (item) => Math.max(0, (item.stockQuantity || 0) - (item.reservedQuantity || 0));
+    return {
+        ...product,
+        availableQuantity: availableQuantity(product),
+        ...(product.variants && {
+            variants: product.variants.map(variant => ({ ...variant, availableQuantity: availableQuantity(variant) }))
+        }),
+        salePrice,
+        savings,
+        isDiscountActive: discountActive,
+        discountEndsAt
+    };
+};
+
+// Static Method: Filter for products whose sale is running right now.
+// Mirrors computePricing: either date may be left open.
+ProductSchema.statics.onSaleFilter = function (now = new Date()) {
+    return {
+        isOnSale: true,
+        discountStartDate: { $not: { $gt: now } },
+        discountEndDate: { $not: { $lt: now } },
+        $or: [
+            { discountPercentage: { $gt: 0 } },
+            { discountAmount: { $gt: 0 } },
+        ],
+    };
+};
+
 // Static Method: Find products on sale
 ProductSchema.statics.findOnSale = function (limit = 10) {
     const now = new Date();
     return this.find({
-        isOnSale: true,
-        inStock: true,
-        $or: [
-            { discountStartDate: { $lte: now }, discountEndDate: { $gte: now } },
-            { discountStartDate: null, discountEndDate: null },
-        ],
+        ...this.availableFilter(),
+        $and: [this.onSaleFilter(now), this.liveFilter(now)],
     })
         .sort({ discountPercentage: -1, createdAt: -1 })
         .limit(limit);
 };
 
 // Static Method: Find low stock products
+// A product with variants is low on stock when any active variant is.
 ProductSchema.statics.findLowStock = function () {
     return this.find({
         inStock: true,
-        $expr: { $lte: ['$stockQuantity', '$lowStockThreshold'] },
-        stockQuantity: { $gt: 0 },
+        deletedAt: null,
+        $or: [
+            {
+                'variants.0': { $exists: false },
+                $expr: { $lte: ['$stockQuantity', '$lowStockThreshold'] },
+                stockQuantity: { $gt: 0 },
+            },
+            {
+                'variants.0': { $exists: true },
+                $expr: {
+                    $gt: [
+                        {
+                            $size: {
+                                $filter: {
+                                    input: '$variants',
+                                    as: 'variant',
+                                    cond: {
+                                        $and: [
+                                            '$$variant.isActive',
+                                            { $gt: ['$$variant.stockQuantity', 0] },
+                                            { $lte: ['$$variant.stockQuantity', '$lowStockThreshold'] },
+                                        ],
+                                    },
+                                },
+                            },
+                        },
+                        0,
+                    ],
+                },
+            },
+        ],
     }).sort({ stockQuantity: 1 });
 };
 
+// Static Method: Find a product by its current or a previous slug
+ProductSchema.statics.findBySlug = function (slug) {
+    const value = String(slug).trim().toLowerCase();
+    return this.findOne({ $or: [{ slug: value }, { previousSlugs: value }] });
+};
+
+// Static Method: Work out a bundle's availability and price from its components.
+// Available units are limited by the scarcest component.
+ProductSchema.statics.resolveBundle = async function (bundle) {
+    const ids = bundle.bundleItems.map(item => item.product._id || item.product);
+    const components = await this.find({ _id: { $in: ids } });
+    const byId = new Map(components.map(component => [component._id.toString(), component]));
+
+    let available = Infinity;
+    let componentTotal = 0;
+    const unavailable = [];
+
+    for (const item of bundle.bundleItems) {
+        const component = byId.get((item.product._id || item.product).toString());
+        const holder = component && (item.variantId ? component.getVariant(item.variantId) : component);
+
+        if (!holder || !component.isLive) {
+            unavailable.push(item.product._id || item.product);
+            available = 0;
+            continue;
+        }
+
+        const unitPrice = item.variantId ? holder.effectivePrice : component.price;
+        componentTotal += unitPrice * item.quantity;
+        const unreserved = holder.stockQuantity - (holder.reservedQuantity || 0);
+        available = Math.min(available, Math.max(0, Math.floor(unreserved / item.quantity)));
+    }
+
+    const price = bundle.bundlePricing?.mode === 'percentage'
+        ? Math.round(componentTotal * (1 - (bundle.bundlePricing.percentageOff || 0) / 100) * 100) / 100
+        : bundle.price;
+
+    return {
+        available: Number.isFinite(available) ? available : 0,
+        componentTotal: Math.round(componentTotal * 100) / 100,
+        price,
+        unavailable,
+    };
+};
+
+// Static Method: Recalculate stock and price for bundles matching a filter
+// Price changes land in the price history, credited to `priceChange` ({ source, changedBy }).
+ProductSchema.statics.refreshBundles = async function (filter = {}, priceChange = {}) {
+    const bundles = await this.find({ ...filter, productType: 'bundle' });
+
+    await Promise.all(bundles.map(async (bundle) => {
+        const { available, price } = await this.resolveBundle(bundle);
+        await this.updateOne(
+            { _id: bundle._id },
+            { $set: { stockQuantity: available, inStock: available > 0 && !bundle.stockPaused, price } }
+        );
+        if (price !== bundle.price) {
+            await PriceHistory.recordProductChanges(bundle, { ...bundle.toObject(), price }, {
+                source: priceChange.source || 'bundle',
+                changedBy: priceChange.changedBy || null,
+            });
+        }
+    }));
+
+    return bundles.length;
+};
+
+// Static Method: Find the product holding a variant SKU
+ProductSchema.statics.findBySku = function (sku) {
+    return this.findOne({ 'variants.sku': String(sku).trim().toUpperCase() });
+};
+
 // Static Method: Find all in-stock products
 ProductSchema.statics.findInStock = function () {
-    return this.find({ inStock: true }).sort({ createdAt: -1 });
+    return this.find({ ...this.availableFilter(), ...this.liveFilter() }).sort({ createdAt: -1 });
+};
+
+// Instance Method: Price one unit sells at right now, with the variant's
+// price and any running discount applied
+ProductSchema.methods.getUnitPrice = function (variant = null) {
+    return computePricing(this, { variant }).salePrice;
+};
+
+// Instance Method: Find a variant by id or SKU
+ProductSchema.methods.getVariant = function (variantIdOrSku) {
+    if (!variantIdOrSku || !this.variants) return null;
+    const key = String(variantIdOrSku);
+    return this.variants.find(variant =>
+        variant._id.toString() === key || variant.sku === key.trim().toUpperCase()
+    ) || null;
 };
 
-// Instance Method: Check if product is low on stock
-ProductSchema.methods.isLowStock = function () {
+// Instance Method: Check if product (or one variant) is low on stock
+ProductSchema.methods.isLowStock = function (variantIdOrSku = null) {
+    if (variantIdOrSku) {
+        const variant = this.getVariant(variantIdOrSku);
+        return !!variant && variant.stockQuantity > 0 && variant.stockQuantity <= this.lowStockThreshold;
+    }
+    if (this.variants && this.variants.length > 0) {
+        return this.variants.some(variant =>
+            variant.isActive && variant.stockQuantity > 0 && variant.stockQuantity <= this.lowStockThreshold
+        );
+    }
     return this.stockQuantity > 0 && this.stockQuantity <= this.lowStockThreshold;
 };
 
-// Instance Method: Update stock quantity
-ProductSchema.methods.updateStock = function (quantity, operation = 'set') {
+// Resolve which stock holder (product or variant) an operation applies to
+const getStockTarget = (product, variantIdOrSku) => {
+    if (product.variants && product.variants.length > 0) {
+        if (!variantIdOrSku) {
+            throw new Error('A variant is required for products with variants');
+        }
+        const variant = product.getVariant(variantIdOrSku);
+        if (!variant) {
+            throw new Error('Variant not found');
+        }
+        return variant;
+    }
+    return product;
+};
+
+// Instance Method: Update stock quantity.
+// `context` describes the change for the stock ledger: { reason, order, performedBy, note }
+ProductSchema.methods.updateStock = async function (quantity, operation = 'set', variantIdOrSku = null, context = {}) {
+    if (this.productType === 'bundle') {
+        throw new Error('Bundle stock comes from its components');
+    }
+
+    const target = getStockTarget(this, variantIdOrSku);
+    const before = target.stockQuantity;
+
     if (operation === 'add') {
-        this.stockQuantity += quantity;
+        target.stockQuantity += quantity;
     } else if (operation === 'subtract') {
-        this.stockQuantity = Math.max(0, this.stockQuantity - quantity);
+        target.stockQuantity = Math.max(0, target.stockQuantity - quantity);
     } else {
-        this.stockQuantity = Math.max(0, quantity);
+        target.stockQuantity = Math.max(0, quantity);
     }
 
     this.inStock = this.stockQuantity > 0;
-    return this.save();
+    await this.save();
+
+    await StockMovement.record({
+        product: this,
+        variant: target === this ? null : target,
+        delta: target.stockQuantity - before,
+        ...context,
+        reason: context.reason || (operation === 'add' ? 'restock' : 'adjustment')
+    });
+    return this;
 };
 
-// Instance Method: Reduce stock after purchase
-ProductSchema.methods.reduceStock = function (quantity = 1) {
-    this.stockQuantity = Math.max(0, this.stockQuantity - quantity);
+// Instance Method: Reduce stock after purchase.
+// Selling a bundle takes stock from each of its components instead.
+ProductSchema.methods.reduceStock = async function (quantity = 1, variantIdOrSku = null, context = {}) {
+    if (this.productType === 'bundle') {
+        return this.sellBundle(quantity, context);
+    }
+
+    const target = getStockTarget(this, variantIdOrSku);
+    const before = target.stockQuantity;
+
+    target.stockQuantity = Math.max(0, target.stockQuantity - quantity);
     if (this.stockQuantity === 0) {
         this.inStock = false;
     }
-    return this.save();
+    await this.save();
+
+    await StockMovement.record({
+        product: this,
+        variant: target === this ? null : target,
+        delta: target.stockQuantity - before,
+        ...context,
+        reason: context.reason || 'sale'
+    });
+    return this;
 };
 
+// Atomically move a product's (or variant's) stock by `delta`, never below 0.
+// With `needed` set, only applies while at least that many units are in stock.
+// Returns the product's stock figure (or the variant's) from before the move,
+// with the variant's sku, or null when nothing matched.
+const shiftStock = async (Model, productId, variantId, delta, { needed = null } = {}) => {
+    const shifted = (field) => ({ $max: [0, { $add: [field, delta] }] });
+    const stockStatus = {
+        $set: { inStock: { $and: [{ $gt: ['$stockQuantity', 0] }, { $ne: ['$stockPaused', true] }] } },
+    };
+
+    const filter = { _id: productId, productType: { $ne: 'bundle' } };
+    let update;
+    if (!variantId) {
+        filter['variants.0'] = { $exists: false };
+        if (needed !== null) filter.stockQuantity = { $gte: needed };
+        update = [{ $set: { stockQuantity: shifted('$stockQuantity') } }, stockStatus];
+    } else {
+        filter.variants = { $elemMatch: { _id: variantId, ...(needed !== null && { stockQuantity: { $gte: needed } }) } };
+        update = [
+            {
+                $set: {
+                    variants: {
+                        $map: {
+                            input: '$variants',
+                            as: 'variant',
+                            in: {
+                                $cond: [
+                                    { $eq: ['$$variant._id', variantId] },
+                                    { $mergeObjects: ['$$variant', { stockQuantity: shifted('$$variant.stockQuantity') }] },
+                                    '$$variant',
+                                ],
+                            },
+                        },
+                    },
+                },
+            },
+            // Products with variants hold the sum of their active variants' stock
+            {
+                $set: {
+                    stockQuantity: {
+                        $sum: {
+                            $map: {
+                                input: { $filter: { input: '$variants', as: 'variant', cond: { $ne: ['$$variant.isActive', false] } } },
+                                as: 'variant',
+                                in: '$$variant.stockQuantity',
+                            },
+                        },
+                    },
+                },
+            },
+            stockStatus,
+        ];
+    }
+
+    const before = await Model.findOneAndUpdate(filter, update, { new: false, projection: 'stockQuantity variants' });
+    if (!before) return null;
+
+    const target = variantId ? before.variants.find(variant => variant._id.equals(variantId)) : before;
+    return { stockQuantity: target.stockQuantity, sku: variantId ? target.sku : '' };
+};
+
+// Record a shiftStock move in the stock ledger; returns the units it moved
+const recordShift = async (productId, variantId, before, delta, context) => {
+    const after = Math.max(0, before.stockQuantity + delta);
+    await StockMovement.record({
+        product: { _id: productId, stockQuantity: after },
+        variant: variantId ? { _id: variantId, sku: before.sku, stockQuantity: after } : null,
+        delta: after - before.stockQuantity,
+        ...context,
+    });
+    return Math.abs(after - before.stockQuantity);
+};
+
+// Static Method: Atomically take `quantity` units from a product (or one of its
+// variants) and record them in the stock ledger with `context`. Only applies
+// while that many units are in stock, unless `allowShort` takes whatever is
+// left instead. Returns the units taken, or null when nothing matched.
+ProductSchema.statics.takeStock = async function (productId, variantId, quantity, context = {}, { allowShort = false } = {}) {
+    const id = new mongoose.Types.ObjectId(String(productId));
+    variantId = variantId ? new mongoose.Types.ObjectId(String(variantId)) : null;
+
+    const before = await shiftStock(this, id, variantId, -quantity, { needed: allowShort ? null : quantity });
+    if (!before) return null;
+
+    const taken = await recordShift(id, variantId, before, -quantity, { ...context, reason: context.reason || 'sale' });
+    // Updates skip the save hooks, so refresh bundles built from this product here
+    await this.refreshBundles({ 'bundleItems.product': id });
+    return taken;
+};
+
+// Static Method: Atomically put `quantity` units back on a product (or one of
+// its variants), e.g. to undo takeStock, and record them in the stock ledger.
+ProductSchema.statics.returnStock = async function (productId, variantId, quantity, context = {}) {
+    const id = new mongoose.Types.ObjectId(String(productId));
+    variantId = variantId ? new mongoose.Types.ObjectId(String(variantId)) : null;
+
+    const before = await shiftStock(this, id, variantId, quantity);
+    if (!before) return null;
+
+    const returned = await recordShift(id, variantId, before, quantity, { ...context, reason: context.reason || 'return' });
+    await this.refreshBundles({ 'bundleItems.product': id });
+    return returned;
+};
+
+// Instance Method: Deduct a bundle sale from every component. Each component
+// is taken atomically and only while it has the units; if one runs short, the
+// components already taken are put back and nothing is sold.
+ProductSchema.methods.sellBundle = async function (quantity = 1, context = {}) {
+    const { available } = await this.constructor.resolveBundle(this);
+    if (available < quantity) {
+        throw new Error('Insufficient stock');
+    }
+
+    const ledger = { ...context, note: context.note || `Sold in bundle "${this.name}"` };
+    const taken = [];
+    for (const item of this.bundleItems) {
+        const productId = item.product._id || item.product;
+        const units = item.quantity * quantity;
+        const took = await this.constructor.takeStock(productId, item.variantId, units, ledger);
+        if (took === null) {
+            for (const done of taken) {
+                await this.constructor.returnStock(done.productId, done.variantId, done.units, {
+                    ...context,
+                    reason: 'adjustment',
+                    note: `Bundle "${this.name}" sale undone: a component ran out`
+                });
+            }
+            throw new Error('Insufficient stock');
+        }
+        taken.push({ productId, variantId: item.variantId, units });
+    }
+
+    // The component updates refreshed the stored figures; reload them onto this document
+    const refreshed = await this.constructor.findById(this._id).select('stockQuantity inStock price').lean();
+    this.set(refreshed);
+    return this;
+};
+
+ProductSchema.statics.PERSONALISATION_UPLOAD_FOLDER = PERSONALISATION_UPLOAD_FOLDER;
+
 // Create and export the model
 const Product = mongoose.model('Product', ProductSchema);
 
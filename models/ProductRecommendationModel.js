@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Precomputed "related products" for one product, written by the
+// recommendations job (scripts/computeRecommendations.js) so the
+// product page only has to read a single document.
+const ProductRecommendationSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        unique: true,
+    },
+    items: [
+        {
+            _id: false,
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product',
+                required: true,
+            },
+            // 'bought_together' comes from paid orders, 'similar' is the category/price fallback
+            reason: {
+                type: String,
+                enum: ['bought_together', 'similar'],
+                required: true,
+            },
+            // Number of paid orders containing both products (0 for 'similar')
+            score: {
+                type: Number,
+                default: 0,
+            },
+        },
+    ],
+    computedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+module.exports = mongoose.model('ProductRecommendation', ProductRecommendationSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const REVISION_SOURCES = ['baseline', 'created', 'edit', 'bulk', 'import', 'revert'];
+
+// Product fields kept in revisions. Stock levels are left out: they move with
+// every sale and have their own ledger (stock history). Slugs follow the name.
+const REVISION_FIELDS = [
+    'name', 'description', 'category', 'tags',
+    'price', 'originalPrice',
+    'isOnSale', 'discountPercentage', 'discountAmount', 'discountStartDate', 'discountEndDate',
+    'status', 'publishAt', 'unpublishAt', 'seo',
+    'images', 'videos', 'lowStockThreshold', 'stockPaused',
+    'options', 'variants', 'personalisationFields',
+    'bundleItems', 'bundlePricing',
+];
+
+// Variant figures that belong to the stock ledger rather than the revision
+const VARIANT_STOCK_FIELDS = ['stockQuantity', 'reservedQuantity'];
+
+// Tries at taking the next revision number before giving up
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+// One saved version of a product. `changes` lists what this revision changed
+// and `snapshot` holds every tracked field as it stood afterwards, so any two
+// revisions can be compared and any one restored.
+const ProductRevisionSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    // Counts up from 1 for each product
+    revision: {
+        type: Number,
+        required: true,
+    },
+    changes: [
+        {
+            _id: false,
+            field: { type: String, required: true },
+            before: { type: mongoose.Schema.Types.Mixed, default: null },
+            after: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+    ],
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    source: {
+        type: String,
+        enum: REVISION_SOURCES,
+        required: true,
+    },
+    // The revision a revert went back to
+    revertedTo: {
+        type: Number,
+        default: null,
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+    },
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+ProductRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+// Plain JSON copy with subdocument ids dropped, so re-saved arrays compare equal
+// (`id` is the virtual copy plain objects carry)
+const normalise = (value) => JSON.parse(
+    JSON.stringify(value ?? null, (key, item) => (item instanceof Map ? Object.fromEntries(item) : item)),
+    (key, item) => (key === '_id' || key === 'id' ? undefined : item)
+);
+
+// Static Method: The tracked fields of a product (document or plain object)
+ProductRevisionSchema.statics.snapshot = function (product) {
+    const source = typeof product.toObject === 'function'
+        ? product.toObject({ virtuals: false, flattenMaps: true, depopulate: true })
+        : product;
+
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+        snapshot[field] = normalise(source[field]);
+    });
+    // Plain copies can carry variant virtuals (effectivePrice, inStock...), so keep stored fields only
+    const variantFields = new Set(Object.keys(mongoose.model('Product').schema.path('variants').schema.paths)
+        .map(path => path.split('.')[0])
+        .filter(field => field !== '_id' && !VARIANT_STOCK_FIELDS.includes(field)));
+    snapshot.variants = (snapshot.variants || []).map(variant => Object.fromEntries(
+        Object.entries(variant).filter(([field]) => variantFields.has(field))
+    ));
+    return snapshot;
+};
+
+// Static Method: Fields that differ between two snapshots, as { field, before, after }
+ProductRevisionSchema.statics.diffSnapshots = function (before, after) {
+    return REVISION_FIELDS
+        .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+        .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+};
+
+// Static Method: Save a revision for a product change. Nothing is written when
+// no tracked field changed. The first revision of a product that predates
+// revisions is preceded by a baseline holding its earlier state, so that edit
+// can be undone too. `previous` is null for new products.
+ProductRevisionSchema.statics.recordChange = async function (previous, updated, { source = 'edit', changedBy = null, revertedTo = null } = {}) {
+    const before = previous ? this.snapshot(previous) : null;
+    const after = this.snapshot(updated);
+
+    // Compared with the product just before this change rather than the latest
+    // revision, so edits made elsewhere aren't credited to this admin
+    const changes = before ? this.diffSnapshots(before, after) : [];
+    if (before && changes.length === 0) return null;
+
+    // Numbers are taken from the latest revision; when another edit of the same
+    // product takes the number first the unique index refuses it, so read again and retry
+    for (let attempt = 1; ; attempt++) {
+        const latest = await this.findOne({ product: updated._id }).sort({ revision: -1 }).select('revision').lean();
+        let revision = latest ? latest.revision : 0;
+
+        const entries = [];
+        if (before && !latest) {
+            entries.push({ product: updated._id, revision: ++revision, changes: [], snapshot: before, source: 'baseline' });
+        }
+        entries.push({
+            product: updated._id,
+            revision: ++revision,
+            changes,
+            snapshot: after,
+            source: before ? source : 'created',
+            revertedTo,
+            changedBy,
+        });
+
+        try {
+            const saved = await this.insertMany(entries);
+            return saved[saved.length - 1];
+        } catch (err) {
+            if (err.code !== 11000 || attempt >= MAX_NUMBERING_ATTEMPTS) throw err;
+        }
+    }
+};
+
+ProductRevisionSchema.statics.SOURCES = REVISION_SOURCES;
+ProductRevisionSchema.statics.FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('ProductRevision', ProductRevisionSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const PromotionSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Promo code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Codes use 3-30 letters, numbers, - or _'],
+    },
+    name: {
+        type: String,
+        required: [true, 'Promotion name is required'],
+        trim: true,
+    },
+    description: {
+        type: String,
+        default: '',
+    },
+    // percentage: value% off; fixed: GH₵value off; free_delivery: no delivery fee;
+    // buy_x_get_y: for every buyQuantity units bought, getQuantity more (the cheapest) are discounted
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_delivery', 'buy_x_get_y'],
+        required: [true, 'Promotion type is required'],
+    },
+    value: {
+        type: Number,
+        default: 0,
+        min: [0, 'Value cannot be negative'],
+    },
+    // Caps a percentage discount (GH₵); null for no cap
+    maxDiscount: {
+        type: Number,
+        default: null,
+        min: [0, 'Maximum discount cannot be negative'],
+    },
+    buyQuantity: {
+        type: Number,
+        default: null,
+        min: [1, 'Buy quantity must be at least 1'],
+    },
+    getQuantity: {
+        type: Number,
+        default: null,
+        min: [1, 'Get quantity must be at least 1'],
+    },
+    // How much the "get" units are reduced by (100 = free)
+    getDiscountPercentage: {
+        type: Number,
+        default: 100,
+        min: [1, 'Get discount must be between 1 and 100'],
+        max: [100, 'Get discount must be between 1 and 100'],
+    },
+    // Restrict the promotion to some categories and/or products (empty = whole cart)
+    categories: [
+        {
+            type: String,
+            enum: ['Gents', 'Haven', 'Cooperate', 'Souvenirs', 'Beads', 'Jewelry', 'Special'],
+        },
+    ],
+    products: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        },
+    ],
+    // Spend needed on eligible items before the code works (GH₵)
+    minimumSpend: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum spend cannot be negative'],
+    },
+    startsAt: {
+        type: Date,
+        default: null,
+    },
+    endsAt: {
+        type: Date,
+        default: null,
+    },
+    // null means unlimited
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'Usage limit must be at least 1'],
+    },
+    perCustomerLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'Per-customer limit must be at least 1'],
+    },
+    // Orders currently holding a redemption (failed or deleted orders give theirs back)
+    usageCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+// Middleware: Each type needs its own settings
+PromotionSchema.pre('validate', function (next) {
+    if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+        this.invalidate('value', 'Percentage promotions need a value between 1 and 100');
+    }
+    if (this.type === 'fixed' && !(this.value > 0)) {
+        this.invalidate('value', 'Fixed promotions need an amount greater than 0');
+    }
+    if (this.type === 'buy_x_get_y' && !(this.buyQuantity && this.getQuantity)) {
+        this.invalidate('buyQuantity', 'Buy X get Y promotions need buyQuantity and getQuantity');
+    }
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'End date must be after the start date');
+    }
+    next();
+});
+
+// Virtual: Whether the code can be used right now (ignoring cart rules)
+PromotionSchema.virtual('isRunning').get(function () {
+    const now = new Date();
+    if (!this.isActive) return false;
+    if (this.startsAt && this.startsAt > now) return false;
+    if (this.endsAt && this.endsAt <= now) return false;
+    return this.usageLimit === null || this.usageCount < this.usageLimit;
+});
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
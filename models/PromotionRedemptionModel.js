@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One use of a promotion by an order. Voided when the order's payment fails
+// or the order is deleted, which gives the use back to the promotion.
+const PromotionRedemptionSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    // Used to enforce the per-customer limit
+    customerEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: '',
+    },
+    customerPhone: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    // Which of the customer's perCustomerLimit uses this is (1, 2, ...), per
+    // contact. Unset when the promotion has no per-customer limit.
+    emailSlot: {
+        type: Number,
+    },
+    phoneSlot: {
+        type: Number,
+    },
+    amount: {
+        type: Number,
+        default: 0,
+    },
+    status: {
+        type: String,
+        enum: ['active', 'void'],
+        default: 'active',
+    },
+}, { timestamps: true });
+
+PromotionRedemptionSchema.index({ promotion: 1, status: 1, customerEmail: 1 });
+PromotionRedemptionSchema.index({ promotion: 1, status: 1, customerPhone: 1 });
+PromotionRedemptionSchema.index({ order: 1 });
+// A slot can only be held by one active redemption, so two checkouts at once
+// can't both take a customer's last use
+PromotionRedemptionSchema.index(
+    { promotion: 1, customerEmail: 1, emailSlot: 1 },
+    { unique: true, partialFilterExpression: { status: 'active', emailSlot: { $exists: true } } }
+);
+PromotionRedemptionSchema.index(
+    { promotion: 1, customerPhone: 1, phoneSlot: 1 },
+    { unique: true, partialFilterExpression: { status: 'active', phoneSlot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
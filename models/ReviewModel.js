@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required'],
+        index: true,
+    },
+    // Set when the review was matched to a paid order containing the product
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null,
+    },
+    verifiedPurchase: {
+        type: Boolean,
+        default: false,
+    },
+    customerName: {
+        type: String,
+        required: [true, 'Your name is required'],
+        trim: true,
+        maxlength: [80, 'Name cannot exceed 80 characters'],
+    },
+    customerEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number',
+        },
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [120, 'Title cannot exceed 120 characters'],
+        default: '',
+    },
+    comment: {
+        type: String,
+        required: [true, 'Review text is required'],
+        trim: true,
+        maxlength: [2000, 'Review cannot exceed 2000 characters'],
+    },
+    photos: [
+        {
+            _id: false,
+            imageUrl: String,
+            publicId: String,
+        },
+    ],
+    // Only approved reviews are shown and counted in the product's rating
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+    },
+    moderatedAt: {
+        type: Date,
+        default: null,
+    },
+    rejectionReason: {
+        type: String,
+        default: '',
+    },
+    reply: {
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Reply cannot exceed 1000 characters'],
+        },
+        repliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AdminUser',
+        },
+        repliedAt: Date,
+    },
+}, { timestamps: true });
+
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+
+// One review per product per order
+ReviewSchema.index(
+    { product: 1, order: 1 },
+    { unique: true, partialFilterExpression: { order: { $type: 'objectId' } } }
+);
+
+// Static Method: Recalculate a product's average rating and review count from approved reviews
+ReviewSchema.statics.updateProductRating = async function (productId) {
+    const [summary] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+
+    await mongoose.model('Product').updateOne(
+        { _id: productId },
+        {
+            $set: {
+                ratingAverage: summary ? Math.round(summary.average * 10) / 10 : 0,
+                ratingCount: summary ? summary.count : 0,
+            },
+        },
+        { timestamps: false }
+    );
+};
+
+// Static Method: How many approved reviews gave each star rating
+ReviewSchema.statics.getRatingBreakdown = async function (productId) {
+    const rows = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]);
+
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => {
+        breakdown[row._id] = row.count;
+    });
+    return breakdown;
+};
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A group of interchangeable search terms, e.g. ['hamper', 'gift box'].
+// Searching for any term also matches products that use the others.
+const SearchSynonymSchema = new mongoose.Schema({
+    terms: {
+        type: [
+            {
+                type: String,
+                trim: true,
+                lowercase: true,
+            },
+        ],
+        validate: {
+            validator: (terms) => terms.filter(Boolean).length >= 2,
+            message: 'A synonym group needs at least two terms',
+        },
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, { timestamps: true });
+
+SearchSynonymSchema.index({ terms: 1 });
+
+module.exports = mongoose.model('SearchSynonym', SearchSynonymSchema);
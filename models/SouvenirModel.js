@@ -1,49 +0,0 @@
-const mongoose = require('mongoose');
-
-const SouvenirSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: true,
-    },
-    description: {
-        type: String,
-    },
-    price: {
-        type: Number,
-        required: true,
-    },
-    category: {
-        type: String,
-        default: 'Souvenir',
-    },
-    images: [
-        {
-            imageUrl: {
-                type: String,
-                default: '',
-            },
-            altText: {
-                type: String,
-                default: '',
-            },
-        },
-    ],
-    videos: [
-        {
-            videoUrl: {
-                type: String,
-                default: '',
-            },
-            title: {
-                type: String,
-                default: '',
-            },
-        },
-    ],
-    inStock: {
-        type: Boolean,
-        default: true,
-    },
-}, { timestamps: true });
-
-module.exports = mongoose.model('Souvenir', SouvenirSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Sends before a subscription is given up on
+const MAX_SEND_ATTEMPTS = 3;
+
+// A customer waiting for an out-of-stock product (or variant) to come back.
+// Each subscription is notified once: after that the customer has to sign up
+// again to hear about the next restock.
+const StockAlertSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    // Set for products with variants
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: null,
+        match: [/^\+?[0-9]{9,15}$/, 'Please provide a valid phone number'],
+    },
+    // waiting -> sending (claimed by a batch) -> notified, or back to waiting
+    // when the send fails, until it has failed MAX_SEND_ATTEMPTS times
+    status: {
+        type: String,
+        enum: ['waiting', 'sending', 'notified', 'failed', 'cancelled'],
+        default: 'waiting',
+    },
+    batchId: {
+        type: String,
+        default: null,
+    },
+    claimedAt: {
+        type: Date,
+        default: null,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    lastError: {
+        type: String,
+        default: '',
+    },
+    notifiedAt: {
+        type: Date,
+        default: null,
+    },
+    // Lets the customer unsubscribe from the link in the notification
+    unsubscribeToken: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomBytes(16).toString('base64url'),
+    },
+}, { timestamps: true });
+
+// Middleware: Needs an email or phone to reach the customer
+StockAlertSchema.pre('validate', function (next) {
+    if (!this.email && !this.phone) {
+        this.invalidate('email', 'An email address or phone number is required');
+    }
+    next();
+});
+
+// One waiting subscription per contact and item
+StockAlertSchema.index(
+    { product: 1, variantId: 1, email: 1, phone: 1 },
+    { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+StockAlertSchema.index({ product: 1, status: 1 });
+StockAlertSchema.index({ status: 1, claimedAt: 1 });
+// Per-contact limit on waiting alerts
+StockAlertSchema.index({ email: 1, status: 1 });
+StockAlertSchema.index({ phone: 1, status: 1 });
+
+// Static Method: The subscription for this contact and item that hasn't been sent yet, if any
+StockAlertSchema.statics.findPending = function ({ product, variantId = null, email = null, phone = null }) {
+    return this.findOne({ product, variantId, email, phone, status: { $in: ['waiting', 'sending'] } });
+};
+
+StockAlertSchema.statics.MAX_SEND_ATTEMPTS = MAX_SEND_ATTEMPTS;
+
+module.exports = mongoose.model('StockAlert', StockAlertSchema);
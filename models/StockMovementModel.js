@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const STOCK_REASONS = ['sale', 'restock', 'adjustment', 'return', 'damage'];
+
+// One line in the inventory ledger. Every change to a product's (or a
+// variant's) stock writes one of these, so the current count can always be
+// explained and checked against the sum of the deltas.
+const StockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    // Set for products with variants, where stock is held per variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    delta: {
+        type: Number,
+        required: true,
+    },
+    reason: {
+        type: String,
+        enum: STOCK_REASONS,
+        required: true,
+    },
+    // Stock left on the product/variant after this movement
+    balanceAfter: {
+        type: Number,
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null,
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Note cannot exceed 300 characters'],
+        default: '',
+    },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+StockMovementSchema.index({ order: 1 }, { sparse: true });
+
+// Static Method: Record one movement; zero deltas are skipped
+StockMovementSchema.statics.record = async function ({ product, variant = null, delta, reason, order = null, performedBy = null, note = '' }) {
+    if (!delta) return null;
+
+    return this.create({
+        product: product._id,
+        variantId: variant ? variant._id : null,
+        sku: variant ? variant.sku : '',
+        delta,
+        reason,
+        balanceAfter: variant ? variant.stockQuantity : product.stockQuantity,
+        order,
+        performedBy,
+        note,
+    });
+};
+
+// Static Method: Record what an edit did to a product's stock.
+// `previous` is the product before the edit (null for a new product).
+StockMovementSchema.statics.recordProductChanges = async function (previous, updated, context = {}) {
+    const reason = context.reason || 'adjustment';
+    const movements = [];
+    const previousVariants = new Map((previous?.variants || []).map(variant => [variant.sku, variant]));
+
+    if (updated.variants && updated.variants.length > 0) {
+        updated.variants.forEach(variant => {
+            const before = previousVariants.get(variant.sku);
+            movements.push({ product: updated, variant, delta: variant.stockQuantity - (before ? before.stockQuantity : 0), ...context, reason });
+            previousVariants.delete(variant.sku);
+        });
+    } else {
+        // Without variants the product holds its own count (starting from 0 if it just dropped them)
+        const before = previous && previousVariants.size === 0 ? previous.stockQuantity : 0;
+        movements.push({ product: updated, delta: updated.stockQuantity - before, ...context, reason });
+    }
+
+    // Stock held by variants that were removed leaves the ledger too
+    previousVariants.forEach(variant => {
+        movements.push({
+            product: updated,
+            variant: { _id: variant._id, sku: variant.sku, stockQuantity: 0 },
+            delta: -variant.stockQuantity,
+            ...context,
+            reason,
+            note: 'Variant removed',
+        });
+    });
+
+    return Promise.all(movements.map(movement => this.record(movement)));
+};
+
+// Static Method: Net stock according to the ledger, keyed by SKU ('' for the product itself).
+// SKUs are used rather than variant ids because a variant keeps its SKU when the variant list is re-sent.
+StockMovementSchema.statics.getLedgerBalances = async function (productId) {
+    const rows = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId) } },
+        { $group: { _id: '$sku', balance: { $sum: '$delta' }, movements: { $sum: 1 }, lastMovementAt: { $max: '$createdAt' } } },
+    ]);
+
+    return new Map(rows.map(row => [row._id || '', row]));
+};
+
+StockMovementSchema.statics.REASONS = STOCK_REASONS;
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Units of a product (or variant) held for an order between checkout and
+// payment. Active reservations are counted in the product's reservedQuantity;
+// they become a stock deduction when the order is paid, or are released when
+// payment fails or the hold expires.
+const StockReservationSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    // Set when the units were reserved for a bundle in the order
+    bundle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Reserved quantity must be at least 1'],
+    },
+    status: {
+        type: String,
+        enum: ['active', 'committed', 'released'],
+        default: 'active',
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    releaseReason: {
+        type: String,
+        enum: ['expired', 'payment_failed', 'cancelled', null],
+        default: null,
+    },
+}, { timestamps: true });
+
+StockReservationSchema.index({ order: 1, status: 1 });
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+StockReservationSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
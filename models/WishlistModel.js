@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Most products one wishlist can hold
+const MAX_WISHLIST_ITEMS = 100;
+
+const WishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    // Set for products with variants
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    // A hint for whoever buys it, e.g. "size M please"
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot exceed 200 characters'],
+        default: '',
+    },
+    // What it sold for when it was added, so price drops can be flagged
+    priceWhenAdded: {
+        type: Number,
+        default: null,
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// A customer's wishlist. There are no customer accounts, so a list belongs to
+// the device that made it: the device keeps a random token and only its hash
+// is stored. Friends see the list through its separate share token.
+const WishlistSchema = new mongoose.Schema({
+    ownerTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false,
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [80, 'Name cannot exceed 80 characters'],
+        default: 'My wishlist',
+    },
+    // Who the list is from, shown to friends (optional)
+    ownerName: {
+        type: String,
+        trim: true,
+        maxlength: [80, 'Name cannot exceed 80 characters'],
+        default: '',
+    },
+    shareToken: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    items: {
+        type: [WishlistItemSchema],
+        validate: {
+            validator: (items) => items.length <= MAX_WISHLIST_ITEMS,
+            message: `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} items`,
+        },
+    },
+}, { timestamps: true });
+
+WishlistSchema.index({ 'items.product': 1 });
+
+// Static Method: Hash a device token for storage and lookups
+WishlistSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static Method: A new random token (device or share)
+WishlistSchema.statics.generateToken = function (bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Static Method: The wishlist belonging to a device token
+WishlistSchema.statics.findByDeviceToken = function (token) {
+    return this.findOne({ ownerTokenHash: this.hashToken(token) });
+};
+
+// Instance Method: The item for a product (and variant), if it's already on the list
+WishlistSchema.methods.findItem = function (productId, variantId = null) {
+    return this.items.find(item => item.product.toString() === String(productId)
+        && String(item.variantId || '') === String(variantId || ''));
+};
+
+WishlistSchema.statics.MAX_ITEMS = MAX_WISHLIST_ITEMS;
+
+module.exports = mongoose.model('Wishlist', WishlistSchema);
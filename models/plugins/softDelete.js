@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Gives a model a trash. Deleting moves a document to the trash, where admins
+// can restore it; TrashService purges its media once the retention period is up.
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AdminUser',
+            default: null,
+        },
+        // Set once the trashed document's media has been removed from Cloudinary
+        mediaPurgedAt: {
+            type: Date,
+            default: null,
+        },
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    // Virtual: Whether the document is in the trash
+    schema.virtual('isDeleted').get(function () {
+        return Boolean(this.deletedAt);
+    });
+
+    // Static Method: Filter for documents that aren't in the trash
+    // (documents saved before the trash existed have no deletedAt and match)
+    schema.statics.notDeleted = function () {
+        return { deletedAt: null };
+    };
+
+    // Instance Method: Move the document to the trash.
+    // Written with updateOne so older documents that no longer validate can still be trashed.
+    schema.methods.moveToTrash = async function (adminId = null) {
+        this.deletedAt = new Date();
+        this.deletedBy = adminId;
+        await this.constructor.updateOne(
+            { _id: this._id },
+            { $set: { deletedAt: this.deletedAt, deletedBy: this.deletedBy } }
+        );
+        return this;
+    };
+
+    // Instance Method: Take the document back out of the trash
+    schema.methods.restoreFromTrash = async function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        this.mediaPurgedAt = null;
+        await this.constructor.updateOne(
+            { _id: this._id },
+            { $set: { deletedAt: null, deletedBy: null, mediaPurgedAt: null } }
+        );
+        return this;
+    };
+};
+
+module.exports = softDelete;
@@ -94,6 +94,9 @@ router.get('/health/cloudinary', async (req, res) => {
     }
 });
 
+// GET category by slug (old slugs redirect)
+router.get('/slug/:slug', categoryController.getCategoryBySlug);
+
 // Routes for single category (GET, PUT, DELETE)
 router.route('/:id')
     .get(categoryController.getCategoryById)
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/ExchangeRateController');
+const { protect, adminOrPrincipal, validateObjectId } = require('../middleware/authMiddleware');
+
+// Currencies prices can be shown in (storefront currency picker)
+router.get('/', exchangeRateController.getCurrencies);
+
+// ==================== ADMIN ROUTES ====================
+
+router.route('/rates')
+    .get(protect, adminOrPrincipal, exchangeRateController.getAllRates)
+    .post(protect, adminOrPrincipal, exchangeRateController.createRate);
+
+router.route('/rates/:id')
+    .put(protect, adminOrPrincipal, validateObjectId('id'), exchangeRateController.updateRate)
+    .delete(protect, adminOrPrincipal, validateObjectId('id'), exchangeRateController.deleteRate);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/FeedController');
+
+// Sitemap for search engines
+router.get('/sitemap.xml', feedController.getSitemap);
+
+// Product feed for Google Merchant Center and other shopping surfaces
+router.get('/products.xml', feedController.getProductFeedXml);
+router.get('/products.tsv', feedController.getProductFeedTsv);
+
+module.exports = router;
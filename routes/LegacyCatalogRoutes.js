@@ -0,0 +1,84 @@
+const express = require('express');
+const { createLegacyCatalogController } = require('../controllers/LegacyCatalogController');
+const { upload, uploadToCloudinary } = require('../middleware/ProductUploadMiddleware');
+const { protect, adminOrPrincipal, validateObjectId } = require('../middleware/authMiddleware');
+
+// ===== Error handler middleware for legacy uploads =====
+const handleUploadErrors = (err, req, res, next) => {
+    if (err) {
+        console.error('Legacy catalog upload error:', err);
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                error: 'File too large (max 20MB)'
+            });
+        }
+
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many files uploaded'
+            });
+        }
+
+        if (err.message.includes('image') || err.message.includes('video')) {
+            return res.status(415).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            error: 'Upload failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Router for one of the old per-category endpoints, backed by Product
+ * @param {string} category - Product category to expose
+ * @param {string} label - Name used in messages (e.g. 'Bead')
+ * @param {Object} [options]
+ * @param {string} [options.fileField='files'] - Multipart field the old admin form posts files under
+ * @param {number} [options.maxFiles=10] - Maximum files per request
+ */
+const createLegacyCatalogRouter = (category, label, { fileField = 'files', maxFiles = 10 } = {}) => {
+    const router = express.Router();
+    const controller = createLegacyCatalogController(category, label);
+
+    // ===== GET all items =====
+    router.get('/', controller.getAll);
+
+    // ===== POST create new item =====
+    // Writes need a signed-in admin, as on /api/products (revisions record who made them)
+    router.post(
+        '/',
+        protect,
+        adminOrPrincipal,
+        upload.array(fileField, maxFiles),
+        handleUploadErrors,
+        uploadToCloudinary,
+        controller.create
+    );
+
+    // ===== Routes for single item =====
+    router.route('/:id')
+        .get(controller.getById)
+        .put(
+            protect,
+            adminOrPrincipal,
+            validateObjectId('id'),
+            upload.array(fileField, maxFiles),
+            handleUploadErrors,
+            uploadToCloudinary,
+            controller.update
+        )
+        .delete(protect, adminOrPrincipal, validateObjectId('id'), controller.remove);
+
+    return router;
+};
+
+module.exports = { createLegacyCatalogRouter };
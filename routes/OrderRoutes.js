@@ -1,6 +1,8 @@
 const express = require('express');
 const { initiatePayment, verifyPayment } = require('../controllers/PaymentController');
-const { createOrder, getOrderById, getAllOrders, deleteOrder } = require('../controllers/OrderController');
+const { createOrder, getOrderById, getAllOrders, deleteOrder, getPackingSlip } = require('../controllers/OrderController');
+const { resolveDisplayCurrency } = require('../middleware/currencyMiddleware');
+const { protect, adminOrPrincipal, validateObjectId } = require('../middleware/authMiddleware');
 const router = express.Router();
 
 // Payment routes
@@ -8,13 +10,16 @@ router.post('/payment/initiate', initiatePayment);
 router.get('/payment/verify/:reference', verifyPayment);
 
 // Get all orders - use a more explicit path
-router.get('/list/all', getAllOrders);
+router.get('/list/all', resolveDisplayCurrency, getAllOrders);
 
-// Create new order
-router.post('/', createOrder);
+// Create new order (settled in GHS; `currency` records what the customer was shown)
+router.post('/', resolveDisplayCurrency, createOrder);
 
-// Get single order by ID
-router.get('/:id', getOrderById);
+// Get single order by ID (?currency= for display amounts)
+router.get('/:id', resolveDisplayCurrency, getOrderById);
+
+// Printable packing slip with personalisation details
+router.get('/:id/packing-slip', protect, adminOrPrincipal, validateObjectId('id'), getPackingSlip);
 
 // Delete order
 router.delete('/:id', deleteOrder);
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/ProductController');
-const { upload, uploadToCloudinary } = require('../middleware/ProductUploadMiddleware');
+const stockMovementController = require('../controllers/StockMovementController');
+const priceHistoryController = require('../controllers/PriceHistoryController');
+const productRevisionController = require('../controllers/ProductRevisionController');
+const bulkProductController = require('../controllers/BulkProductController');
+const stockAlertController = require('../controllers/StockAlertController');
+const Product = require('../models/ProductModel');
+const StockMovement = require('../models/StockMovementModel');
+const { upload, imageUpload, uploadToCloudinary } = require('../middleware/ProductUploadMiddleware');
+const spreadsheetUpload = require('../middleware/SpreadsheetUploadMiddleware');
+const { protect, adminOrPrincipal, validateObjectId, STOCK_ALERT_LIMITER, PERSONALISATION_UPLOAD_LIMITER } = require('../middleware/authMiddleware');
+const { resolveDisplayCurrency } = require('../middleware/currencyMiddleware');
 
 // ==================== ERROR HANDLING MIDDLEWARE ====================
 
@@ -50,7 +60,7 @@ const validateProductCreation = (req, res, next) => {
         console.log(`Files: ${req.files?.length || 0}`);
         console.log('Product data:', JSON.stringify(req.body, null, 2));
 
-        const { name, price, category } = req.body;
+        const { name, price, category, productType, bundlePricingMode } = req.body;
 
         if (!name || !name.trim()) {
             return res.status(400).json({
@@ -60,7 +70,9 @@ const validateProductCreation = (req, res, next) => {
             });
         }
 
-        if (!price || isNaN(parseFloat(price)) || parseFloat(price) <= 0) {
+        // Percentage-priced bundles take their price from their components
+        const derivedPrice = productType === 'bundle' && bundlePricingMode === 'percentage';
+        if (!derivedPrice && (!price || isNaN(parseFloat(price)) || parseFloat(price) <= 0)) {
             return res.status(400).json({
                 success: false,
                 message: 'Valid price is required and must be greater than 0',
@@ -147,16 +159,28 @@ const validateStockUpdate = (req, res, next) => {
         });
     }
 
+    if (req.body.reason !== undefined && !StockMovement.REASONS.includes(req.body.reason)) {
+        return res.status(400).json({
+            success: false,
+            message: `Reason must be one of: ${StockMovement.REASONS.join(', ')}`,
+            error: 'REASON_INVALID'
+        });
+    }
+
     next();
 };
 
 // ==================== PUBLIC GET ROUTES ====================
+// Listings and product pages take ?currency=USD|GBP|EUR for display prices
 
 // Get all products with filtering, sorting, and pagination
-router.get('/', productController.getAllProducts);
+router.get('/', resolveDisplayCurrency, productController.getAllProducts);
+
+// Browse products with facet counts (category, price range, on sale, in stock)
+router.get('/browse', resolveDisplayCurrency, productController.browseProducts);
 
 // Get products on sale
-router.get('/sale', productController.getProductsOnSale);
+router.get('/sale', resolveDisplayCurrency, productController.getProductsOnSale);
 
 // Get low stock products
 router.get('/low-stock', productController.getLowStockProducts);
@@ -168,16 +192,79 @@ router.get('/in-stock', productController.getInStockProducts);
 router.get('/stats', productController.getProductStats);
 
 // Get products by category
-router.get('/category/:category', productController.getProductsByCategory);
+router.get('/category/:category', resolveDisplayCurrency, productController.getProductsByCategory);
+
+// Cancel a back-in-stock alert (token from the subscription or the notification)
+router.delete('/stock-alerts/:token', stockAlertController.unsubscribe);
+
+// ==================== IMPORT / EXPORT AND BULK ROUTES ====================
+
+// Export the catalog as CSV or XLSX (?format=csv|xlsx)
+router.get('/export', protect, adminOrPrincipal, productController.exportProducts);
+
+// Import products from a sheet (dry run unless commit=true)
+router.post(
+    '/import',
+    protect,
+    adminOrPrincipal,
+    spreadsheetUpload.upload.single('file'),
+    spreadsheetUpload.handleSpreadsheetErrors,
+    productController.importProducts
+);
+
+// Apply one action (price, discount, category, stock) to many products (dry run unless commit=true)
+router.post('/bulk', protect, adminOrPrincipal, bulkProductController.bulkUpdateProducts);
+
+// ==================== ADMIN PREVIEW ROUTES ====================
+
+// List products in every publishing state (?status=draft|scheduled|published)
+router.get(
+    '/manage',
+    protect,
+    adminOrPrincipal,
+    (req, res, next) => {
+        req.includeUnpublished = true;
+        next();
+    },
+    resolveDisplayCurrency,
+    productController.getAllProducts
+);
+
+// Preview a product whatever its publishing state
+router.get('/preview/:id', protect, adminOrPrincipal, validateObjectId('id'), resolveDisplayCurrency, productController.previewProduct);
+
+// Get single product by slug (old slugs redirect)
+router.get('/slug/:slug', resolveDisplayCurrency, productController.getProductBySlug);
 
 // Get single product by ID
-router.get('/:id', productController.getProductById);
+router.get('/:id', resolveDisplayCurrency, productController.getProductById);
+
+// Related products (frequently bought together, then similar)
+router.get('/:id/related', validateObjectId('id'), productController.getRelatedProducts);
+
+// Upload a customer's image for a personalisation field (field=<key>); the
+// returned imageUrl/publicId go in the cart item's personalisation
+router.post(
+    '/:id/personalisation-upload',
+    PERSONALISATION_UPLOAD_LIMITER,
+    validateObjectId('id'),
+    imageUpload.array('image', 1),
+    handleUploadErrors,
+    (req, res, next) => {
+        req.cloudinaryFolder = Product.PERSONALISATION_UPLOAD_FOLDER;
+        next();
+    },
+    uploadToCloudinary,
+    productController.uploadPersonalisationImage
+);
 
 // ==================== PRODUCT CRUD ROUTES ====================
 
-// Create new product
+// Create new product (signed in, so its first price point and revision record who made it)
 router.post(
     '/',
+    protect,
+    adminOrPrincipal,
     upload.array('files', 10), // Accept up to 10 files (images/videos mixed)
     handleUploadErrors,
     validateProductCreation,
@@ -185,9 +272,12 @@ router.post(
     productController.createProduct
 );
 
-// Update product
+// Update product (signed in, so each revision records who made it)
 router.put(
     '/:id',
+    protect,
+    adminOrPrincipal,
+    validateObjectId('id'),
     upload.array('files', 10),
     handleUploadErrors,
     validateProductUpdate,
@@ -195,14 +285,17 @@ router.put(
     productController.updateProduct
 );
 
-// Delete product
-router.delete('/:id', productController.deleteProduct);
+// Move a product to the trash (signed in, so the trash records who deleted it)
+router.delete('/:id', protect, adminOrPrincipal, validateObjectId('id'), productController.deleteProduct);
 
 // ==================== STOCK MANAGEMENT ROUTES ====================
 
-// Update product stock (add/subtract/set)
+// Update product stock (add/subtract/set); signed in, so each ledger entry records who made it
 router.put(
     '/:id/stock',
+    protect,
+    adminOrPrincipal,
+    validateObjectId('id'),
     validateStockUpdate,
     productController.updateStock
 );
@@ -210,9 +303,55 @@ router.put(
 // Reduce stock after purchase
 router.put(
     '/:id/reduce-stock',
+    protect,
+    adminOrPrincipal,
+    validateObjectId('id'),
     productController.reduceStock
 );
 
+// Stock ledger for a product (?reason=sale&sku=...)
+router.get(
+    '/:id/stock-history',
+    protect,
+    adminOrPrincipal,
+    validateObjectId('id'),
+    stockMovementController.getStockHistory
+);
+
+// Compare current stock with the ledger, and record the difference as an adjustment
+router.route('/:id/stock-reconciliation')
+    .get(protect, adminOrPrincipal, validateObjectId('id'), stockMovementController.getReconciliation)
+    .post(protect, adminOrPrincipal, validateObjectId('id'), stockMovementController.reconcileStock);
+
+// Ask to be told when an out-of-stock product or variant is back
+router.post('/:id/stock-alerts', STOCK_ALERT_LIMITER, validateObjectId('id'), stockAlertController.subscribe);
+
+// Customers waiting for the product to come back (?status=waiting)
+router.get('/:id/stock-alerts', protect, adminOrPrincipal, validateObjectId('id'), stockAlertController.getProductStockAlerts);
+
+// Price history for charting (?sku=...&from=...&to=...)
+router.get(
+    '/:id/price-history',
+    protect,
+    adminOrPrincipal,
+    validateObjectId('id'),
+    priceHistoryController.getPriceHistory
+);
+
+// ==================== REVISION ROUTES ====================
+
+// Edits to a product, newest first
+router.get('/:id/revisions', protect, adminOrPrincipal, validateObjectId('id'), productRevisionController.getRevisions);
+
+// Fields that differ between two revisions (?from=2&to=5)
+router.get('/:id/revisions/diff', protect, adminOrPrincipal, validateObjectId('id'), productRevisionController.diffRevisions);
+
+// One revision with the product as it stood afterwards
+router.get('/:id/revisions/:revision', protect, adminOrPrincipal, validateObjectId('id'), productRevisionController.getRevision);
+
+// Put the product back to how it stood after a revision
+router.post('/:id/revisions/:revision/revert', protect, adminOrPrincipal, validateObjectId('id'), productRevisionController.revertToRevision);
+
 // ==================== HEALTH CHECK ROUTES ====================
 
 // Cloudinary health check
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/PromotionController');
+const { protect, adminOrPrincipal, validateObjectId } = require('../middleware/authMiddleware');
+
+// Check a promo code against a cart (storefront)
+router.post('/apply', promotionController.applyPromotion);
+
+// ==================== ADMIN ROUTES ====================
+
+router.route('/')
+    .get(protect, adminOrPrincipal, promotionController.getAllPromotions)
+    .post(protect, adminOrPrincipal, promotionController.createPromotion);
+
+router.route('/:id')
+    .get(protect, adminOrPrincipal, validateObjectId('id'), promotionController.getPromotionById)
+    .put(protect, adminOrPrincipal, validateObjectId('id'), promotionController.updatePromotion)
+    .delete(protect, adminOrPrincipal, validateObjectId('id'), promotionController.deletePromotion);
+
+module.exports = router;
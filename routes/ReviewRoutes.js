@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/ReviewController');
+const { imageUpload, uploadToCloudinary } = require('../middleware/ProductUploadMiddleware');
+const { protect, adminOrPrincipal, validateObjectId, REVIEW_LIMITER } = require('../middleware/authMiddleware');
+
+// Error handler middleware
+const handleUploadErrors = (err, req, res, next) => {
+    if (err) {
+        console.error('Review upload error:', err);
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                error: 'File too large. Maximum size is 20MB per file.'
+            });
+        }
+
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many photos (max 4 allowed)'
+            });
+        }
+
+        if (err.message && err.message.includes('file')) {
+            return res.status(415).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            error: 'Upload failed, try again'
+        });
+    }
+    next();
+};
+
+// ==================== PUBLIC ROUTES ====================
+
+// Approved reviews and rating summary for a product
+router.get('/product/:productId', validateObjectId('productId'), reviewController.getProductReviews);
+
+// Submit a review with up to 4 photos (held for moderation)
+router.post(
+    '/',
+    REVIEW_LIMITER,
+    imageUpload.array('photos', 4),
+    handleUploadErrors,
+    uploadToCloudinary,
+    reviewController.createReview
+);
+
+// ==================== MODERATION ROUTES ====================
+
+router.get('/moderation', protect, adminOrPrincipal, reviewController.getModerationQueue);
+
+router.put('/:id/approve', protect, adminOrPrincipal, validateObjectId('id'), reviewController.approveReview);
+router.put('/:id/reject', protect, adminOrPrincipal, validateObjectId('id'), reviewController.rejectReview);
+router.put('/:id/reply', protect, adminOrPrincipal, validateObjectId('id'), reviewController.replyToReview);
+router.delete('/:id', protect, adminOrPrincipal, validateObjectId('id'), reviewController.deleteReview);
+
+module.exports = router;
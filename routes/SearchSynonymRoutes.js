@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const synonymController = require('../controllers/SearchSynonymController');
+const { protect, adminOrPrincipal, validateObjectId } = require('../middleware/authMiddleware');
+
+// All synonym management is for admins
+router.use(protect, adminOrPrincipal);
+
+// Preview how a search expands (typo corrections and synonyms)
+router.get('/preview', synonymController.previewSearch);
+
+router.route('/')
+    .get(synonymController.getAllSynonyms)
+    .post(synonymController.createSynonym);
+
+router.route('/:id')
+    .put(validateObjectId('id'), synonymController.updateSynonym)
+    .delete(validateObjectId('id'), synonymController.deleteSynonym);
+
+module.exports = router;
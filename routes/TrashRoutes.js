@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/TrashController');
+const { protect, adminOrPrincipal, validateObjectId } = require('../middleware/authMiddleware');
+
+// ==================== ADMIN ROUTES ====================
+
+// Deleted products, hero sections and categories (?type=product|hero|category)
+router.get('/', protect, adminOrPrincipal, trashController.getTrash);
+
+// Put a deleted product, hero section or category back
+router.post('/:type/:id/restore', protect, adminOrPrincipal, validateObjectId('id'), trashController.restoreItem);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const wishlistController = require('../controllers/WishlistController');
+const { validateObjectId } = require('../middleware/authMiddleware');
+const { resolveDisplayCurrency } = require('../middleware/currencyMiddleware');
+const { requireWishlistOwner } = require('../middleware/wishlistMiddleware');
+
+// Start a wishlist for this device (returns the device token)
+router.post('/', resolveDisplayCurrency, wishlistController.createWishlist);
+
+// ==================== DEVICE ROUTES (X-Device-Token) ====================
+
+router.route('/mine')
+    .get(requireWishlistOwner, resolveDisplayCurrency, wishlistController.getMyWishlist)
+    .put(requireWishlistOwner, resolveDisplayCurrency, wishlistController.updateMyWishlist);
+
+router.post('/mine/items', requireWishlistOwner, resolveDisplayCurrency, wishlistController.addItem);
+router.delete('/mine/items/:itemId', requireWishlistOwner, validateObjectId('itemId'), resolveDisplayCurrency, wishlistController.removeItem);
+
+// Replace the share link (the old one stops working)
+router.post('/mine/share', requireWishlistOwner, wishlistController.resetShareLink);
+
+// ==================== SHARED ROUTES ====================
+
+// A friend's view of a shared wishlist
+router.get('/shared/:shareToken', resolveDisplayCurrency, wishlistController.getSharedWishlist);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// scripts/backfillMediaPublicIds.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const Hero = require('../models/HeroModel');
+const Category = require('../models/CategoryModel');
+const logger = require('../utils/logger');
+const { publicIdFromUrl } = require('../utils/cloudinaryMedia');
+
+// Models whose media may have been stored without its Cloudinary id
+const TARGETS = [
+    { label: 'products', Model: Product, fields: ['images', 'videos'] },
+    { label: 'heroes', Model: Hero, fields: ['images'] },
+    { label: 'categories', Model: Category, fields: ['images'] }
+];
+
+const urlOf = (file) => file.imageUrl || file.videoUrl;
+
+async function backfillMediaPublicIds() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log('\n🖼️ Merciluxe Gifthub - Media publicId Backfill');
+        console.log('=============================================\n');
+
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            throw new Error('MONGO_URI not found in environment variables');
+        }
+
+        console.log('📡 Connecting to database...');
+        await mongoose.connect(mongoUri);
+        console.log('✅ Connected to database\n');
+
+        const totals = {};
+
+        for (const { label, Model, fields } of TARGETS) {
+            const missing = fields.map(field => ({ [field]: { $elemMatch: { $or: [{ publicId: { $exists: false } }, { publicId: '' }] } } }));
+            const docs = await Model.find({ $or: missing }).select(fields.join(' ')).lean();
+            let filled = 0;
+            let unresolved = 0;
+
+            for (const doc of docs) {
+                const update = {};
+                for (const field of fields) {
+                    update[field] = (doc[field] || []).map(file => {
+                        if (file.publicId) return file;
+                        const publicId = publicIdFromUrl(urlOf(file));
+                        if (!publicId) {
+                            console.log(`   ⚠️ ${doc._id}: not a Cloudinary URL, left as is: ${urlOf(file)}`);
+                            unresolved++;
+                            return file;
+                        }
+                        filled++;
+                        return { ...file, publicId };
+                    });
+                }
+
+                if (!dryRun) {
+                    // Leave updatedAt alone: this isn't a content change
+                    await Model.updateOne({ _id: doc._id }, { $set: update }, { timestamps: false });
+                }
+            }
+
+            totals[label] = filled;
+            console.log(`📦 ${label}: ${filled} publicId(s) ${dryRun ? 'would be ' : ''}added, ${unresolved} unresolved\n`);
+        }
+
+        if (!dryRun) {
+            logger.success('Media publicIds backfilled', totals);
+        }
+
+        await mongoose.connection.close();
+        console.log('✅ Backfill completed\n');
+        process.exit(0);
+
+    } catch (err) {
+        console.error('\n❌ Media publicId backfill failed:', err.message || err);
+        logger.error('Media publicId backfill failed', { error: err.message || err });
+
+        if (mongoose.connection && mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+
+        process.exit(1);
+    }
+}
+
+// Show help
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('\n📖 Merciluxe Gifthub - Media publicId Backfill');
+    console.log('=============================================\n');
+    console.log('Usage: node scripts/backfillMediaPublicIds.js [options]');
+    console.log('\nWorks out the Cloudinary publicId of product, hero and category media saved');
+    console.log('without one, so replaced and purged media can be deleted from Cloudinary.\n');
+    console.log('Options:');
+    console.log('  --dry-run     Show what would be filled in without saving it');
+    console.log('  --help, -h    Show this help message\n');
+    process.exit(0);
+}
+
+// Run the backfill
+backfillMediaPublicIds();
@@ -0,0 +1,84 @@
+// scripts/backfillSlugs.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const Category = require('../models/CategoryModel');
+const { generateUniqueSlug } = require('../utils/slug');
+const logger = require('../utils/logger');
+
+// Models to backfill and the field each slug is built from
+const TARGETS = [
+    { label: 'products', Model: Product, source: 'name' },
+    { label: 'categories', Model: Category, source: 'title' }
+];
+
+async function backfillSlugs() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log('\n🔗 Merciluxe Gifthub - Slug Backfill');
+        console.log('=============================================\n');
+
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            throw new Error('MONGO_URI not found in environment variables');
+        }
+
+        console.log('📡 Connecting to database...');
+        await mongoose.connect(mongoUri);
+        console.log('✅ Connected to database\n');
+
+        const totals = {};
+
+        for (const { label, Model, source } of TARGETS) {
+            const docs = await Model.find({ $or: [{ slug: null }, { slug: '' }] }).select(source).lean();
+            let updated = 0;
+
+            for (const doc of docs) {
+                const slug = await generateUniqueSlug(Model, doc[source], doc._id);
+                if (!dryRun) {
+                    // Leave updatedAt alone: this isn't a content change
+                    await Model.updateOne({ _id: doc._id }, { $set: { slug } }, { timestamps: false });
+                }
+                console.log(`   ${doc[source]} → ${slug}`);
+                updated++;
+            }
+
+            totals[label] = updated;
+            console.log(`📦 ${label}: ${updated} slug(s) ${dryRun ? 'would be ' : ''}added\n`);
+        }
+
+        if (!dryRun) {
+            logger.success('Slugs backfilled', totals);
+        }
+
+        await mongoose.connection.close();
+        console.log('✅ Backfill completed\n');
+        process.exit(0);
+
+    } catch (err) {
+        console.error('\n❌ Slug backfill failed:', err.message || err);
+        logger.error('Slug backfill failed', { error: err.message || err });
+
+        if (mongoose.connection && mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+
+        process.exit(1);
+    }
+}
+
+// Show help
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('\n📖 Merciluxe Gifthub - Slug Backfill');
+    console.log('=============================================\n');
+    console.log('Usage: node scripts/backfillSlugs.js [options]');
+    console.log('\nGives every product and category without a slug one built from its name.\n');
+    console.log('Options:');
+    console.log('  --dry-run     Show the slugs without saving them');
+    console.log('  --help, -h    Show this help message\n');
+    process.exit(0);
+}
+
+// Run the backfill
+backfillSlugs();
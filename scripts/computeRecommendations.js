@@ -0,0 +1,63 @@
+// scripts/computeRecommendations.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const RecommendationService = require('../Services/RecommendationService');
+const logger = require('../utils/logger');
+
+// Meant to run on a schedule (e.g. nightly cron) so product pages read precomputed results
+async function computeRecommendations() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log('\n🛍️  Merciluxe Gifthub - Related Products');
+        console.log('=============================================\n');
+
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            throw new Error('MONGO_URI not found in environment variables');
+        }
+
+        console.log('📡 Connecting to database...');
+        await mongoose.connect(mongoUri);
+        console.log('✅ Connected to database\n');
+
+        const totals = await RecommendationService.computeAll({ dryRun });
+
+        console.log(`📦 Products: ${totals.products}`);
+        console.log(`🤝 Bought together: ${totals.boughtTogether}`);
+        console.log(`🔁 Similar (category/price): ${totals.similar}\n`);
+
+        if (!dryRun) {
+            logger.success('Related products recomputed', totals);
+        }
+
+        await mongoose.connection.close();
+        console.log(`✅ Recommendations ${dryRun ? 'computed (not saved)' : 'saved'}\n`);
+        process.exit(0);
+
+    } catch (err) {
+        console.error('\n❌ Recommendation job failed:', err.message || err);
+        logger.error('Recommendation job failed', { error: err.message || err });
+
+        if (mongoose.connection && mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+
+        process.exit(1);
+    }
+}
+
+// Show help
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('\n📖 Merciluxe Gifthub - Related Products');
+    console.log('=============================================\n');
+    console.log('Usage: node scripts/computeRecommendations.js [options]');
+    console.log('\nRebuilds "frequently bought together" and similar-product lists from paid orders.\n');
+    console.log('Options:');
+    console.log('  --dry-run     Compute without saving');
+    console.log('  --help, -h    Show this help message\n');
+    process.exit(0);
+}
+
+// Run the job
+computeRecommendations();
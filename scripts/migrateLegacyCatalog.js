@@ -0,0 +1,152 @@
+// scripts/migrateLegacyCatalog.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const logger = require('../utils/logger');
+
+// Legacy per-category collections and the Product category each one maps to
+const LEGACY_COLLECTIONS = [
+    { collection: 'beads', category: 'Beads' },
+    { collection: 'gents', category: 'Gents' },
+    { collection: 'queenshavens', category: 'Haven' },
+    { collection: 'cooperates', category: 'Cooperate' },
+    { collection: 'souvenirs', category: 'Souvenirs' },
+    { collection: 'specialpackages', category: 'Special' },
+    { collection: 'jewelries', category: 'Jewelry' }
+];
+
+// Read a "--name=value" style argument
+const getArg = (name, fallback) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : fallback;
+};
+
+// Map a raw legacy document onto the Product shape.
+// The legacy _id is kept so old links and order items still resolve, and the
+// Cloudinary publicId so the media can still be deleted when replaced or purged.
+const toProduct = (doc, category, defaultStock) => ({
+    _id: doc._id,
+    name: (doc.name || '').trim(),
+    description: doc.description || '',
+    price: doc.price,
+    category,
+    images: (doc.images || [])
+        .filter(image => image.imageUrl)
+        .map(image => ({ imageUrl: image.imageUrl, publicId: image.publicId || image.public_id || '', altText: image.altText || '' })),
+    videos: (doc.videos || [])
+        .filter(video => video.videoUrl)
+        .map(video => ({ videoUrl: video.videoUrl, publicId: video.publicId || video.public_id || '', title: video.title || '' })),
+    // Legacy items only tracked availability, so in-stock items get a placeholder quantity
+    stockQuantity: doc.inStock === false ? 0 : defaultStock,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+});
+
+async function migrateLegacyCatalog() {
+    const dryRun = process.argv.includes('--dry-run');
+    const defaultStock = parseInt(getArg('stock', '1'));
+
+    try {
+        console.log('\n🚚 Merciluxe Gifthub - Legacy Catalog Migration');
+        console.log('=============================================\n');
+
+        if (isNaN(defaultStock) || defaultStock < 0) {
+            throw new Error('--stock must be a non-negative number');
+        }
+
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            throw new Error('MONGO_URI not found in environment variables');
+        }
+
+        console.log('📡 Connecting to database...');
+        await mongoose.connect(mongoUri);
+        console.log('✅ Connected to database\n');
+
+        if (dryRun) {
+            console.log('🧪 Dry run: nothing will be written\n');
+        }
+
+        const report = [];
+
+        for (const { collection, category } of LEGACY_COLLECTIONS) {
+            const summary = { collection, category, found: 0, migrated: 0, skipped: 0, failed: [] };
+            const cursor = mongoose.connection.db.collection(collection).find();
+
+            for await (const doc of cursor) {
+                summary.found++;
+
+                // Already migrated on a previous run
+                if (await Product.exists({ _id: doc._id })) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                try {
+                    const product = new Product(toProduct(doc, category, defaultStock));
+                    await product.validate();
+
+                    if (!dryRun) {
+                        // Keep the legacy createdAt/updatedAt instead of stamping new ones
+                        await product.save({ timestamps: false });
+                    }
+                    summary.migrated++;
+                } catch (err) {
+                    summary.failed.push({ id: doc._id.toString(), error: err.message });
+                }
+            }
+
+            console.log(`📦 ${collection} → ${category}: ${summary.migrated} migrated, ${summary.skipped} already present, ${summary.failed.length} failed (of ${summary.found})`);
+            summary.failed.forEach(f => console.log(`   ❌ ${f.id}: ${f.error}`));
+            report.push(summary);
+        }
+
+        const totals = report.reduce((acc, s) => ({
+            migrated: acc.migrated + s.migrated,
+            failed: acc.failed + s.failed.length
+        }), { migrated: 0, failed: 0 });
+
+        console.log('\n=============================================');
+        console.log(`✅ ${dryRun ? 'Would migrate' : 'Migrated'} ${totals.migrated} item(s), ${totals.failed} failure(s)`);
+        if (totals.migrated > 0) {
+            console.log(`ℹ️  In-stock legacy items were given a stock quantity of ${defaultStock}. Review counts in the admin panel.`);
+        }
+        console.log('ℹ️  Legacy collections were left untouched. Drop them once the storefront is verified.\n');
+
+        if (!dryRun) {
+            logger.success('Legacy catalog migrated into products', { ...totals, report });
+        }
+
+        await mongoose.connection.close();
+        process.exit(totals.failed > 0 ? 1 : 0);
+
+    } catch (err) {
+        console.error('\n❌ Legacy catalog migration failed:', err.message || err);
+        logger.error('Legacy catalog migration failed', { error: err.message || err });
+
+        if (mongoose.connection && mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+
+        process.exit(1);
+    }
+}
+
+// Show help
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('\n📖 Merciluxe Gifthub - Legacy Catalog Migration');
+    console.log('=============================================\n');
+    console.log('Usage: node scripts/migrateLegacyCatalog.js [options]');
+    console.log('\nMoves every document from the legacy per-category collections');
+    console.log('(beads, gents, queenshavens, cooperates, souvenirs, specialpackages,');
+    console.log('jewelries) into products, keeping ids, images, videos and timestamps.\n');
+    console.log('Options:');
+    console.log('  --dry-run     Validate and report without writing');
+    console.log('  --stock=<n>   Stock quantity for in-stock legacy items (default: 1)');
+    console.log('  --help, -h    Show this help message');
+    console.log('\nSafe to run more than once: items already in products are skipped.\n');
+    process.exit(0);
+}
+
+// Run the migration
+migrateLegacyCatalog();
@@ -0,0 +1,15 @@
+// Recover a Cloudinary public id from a delivery URL:
+// https://res.cloudinary.com/<cloud>/<type>/upload/[<transformations>/]v<version>/<public id>.<ext>
+// Upload URLs always carry the version, so the id is everything after it.
+// With `cloudName`, URLs from other Cloudinary accounts give null too.
+const publicIdFromUrl = (url, { cloudName = null } = {}) => {
+    const match = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/[^/]+\/upload\/(.+)$/.exec(url || '');
+    if (!match || (cloudName && match[1] !== cloudName)) return null;
+
+    const segments = match[2].split('?')[0].split('/');
+    const version = segments.findIndex(segment => /^v\d+$/.test(segment));
+    const path = version === -1 ? segments : segments.slice(version + 1);
+    return decodeURIComponent(path.join('/')).replace(/\.[a-z0-9]+$/i, '') || null;
+};
+
+module.exports = { publicIdFromUrl };
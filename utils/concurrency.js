@@ -0,0 +1,62 @@
+// Optimistic concurrency for admin edits. Editors send back the version they
+// loaded, as `If-Match: "3"` or a `__v` field, and an edit made against an
+// older version is refused with 409 instead of overwriting someone else's work.
+// Edits that send no version are applied as before.
+
+// The version an edit was made against: null when none was sent, NaN when it can't be read
+const readExpectedVersion = (req) => {
+    const header = req.get('If-Match');
+    if (header && header.trim() !== '*') {
+        const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+        return match ? parseInt(match[1]) : NaN;
+    }
+
+    const field = req.body?.__v;
+    if (field !== undefined && field !== null && field !== '') {
+        return /^\d+$/.test(String(field).trim()) ? parseInt(field) : NaN;
+    }
+    return null;
+};
+
+const currentVersion = (doc) => doc.__v ?? 0;
+
+// Whether an edit made against `expected` may be applied to `doc`
+const isCurrentVersion = (doc, expected) => expected === null || expected === currentVersion(doc);
+
+// Filter that only matches the document while it's still at the version that was read
+const versionFilter = (doc) => ({ _id: doc._id, __v: doc.__v ?? null });
+
+// Send the document's version as its ETag. no-store keeps browsers from
+// revalidating against the ETag and showing a cached, older copy.
+const setVersionHeaders = (res, doc) => {
+    res.set('ETag', `"${currentVersion(doc)}"`);
+    res.set('Cache-Control', 'no-store');
+};
+
+// 400 for a version that isn't a number
+const sendInvalidVersion = (res) => res.status(400).json({
+    success: false,
+    error: 'If-Match (or __v) must be the version number you loaded',
+    code: 'INVALID_VERSION'
+});
+
+// 409 with the document as it stands now, so the editor can merge
+const sendVersionConflict = (res, current) => {
+    setVersionHeaders(res, current);
+    return res.status(409).json({
+        success: false,
+        error: 'Someone else changed this since you loaded it. Review their changes and try again',
+        code: 'VERSION_CONFLICT',
+        currentVersion: currentVersion(current),
+        data: current
+    });
+};
+
+module.exports = {
+    readExpectedVersion,
+    isCurrentVersion,
+    versionFilter,
+    setVersionHeaders,
+    sendInvalidVersion,
+    sendVersionConflict
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// Fields a cursor can be built from, with the type of their values. Each must
+// be set on every document, since a null sort value can't be compared against.
+const CURSOR_FIELD_TYPES = {
+    createdAt: 'date',
+    updatedAt: 'date',
+    price: 'number',
+    name: 'string',
+    stockQuantity: 'number'
+};
+const CURSOR_SORT_FIELDS = Object.keys(CURSOR_FIELD_TYPES);
+
+const MAX_LIMIT = 100;
+
+// Raised for bad cursor requests so controllers can answer 400
+class CursorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CursorError';
+        this.status = 400;
+    }
+}
+
+// Whether a listing request asked for cursor mode
+const isCursorRequest = (query) => Boolean(query.after || query.before || query.paginate === 'cursor');
+
+// Opaque token holding the sort value and _id of a boundary document
+const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField];
+    const payload = value instanceof Date
+        ? { v: value.toISOString(), t: 'date', id: doc._id.toString() }
+        : { v: value, id: doc._id.toString() };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Cursors come from the client, so the value must be a plain value of the sort
+// field's type; anything else (an operator object, say) is refused
+const readCursorValue = (payload, sortField) => {
+    switch (CURSOR_FIELD_TYPES[sortField]) {
+        case 'date': {
+            const date = payload.t === 'date' && typeof payload.v === 'string' ? new Date(payload.v) : null;
+            return date && !isNaN(date.getTime()) ? date : undefined;
+        }
+        case 'number':
+            return typeof payload.v === 'number' && Number.isFinite(payload.v) ? payload.v : undefined;
+        case 'string':
+            return typeof payload.v === 'string' ? payload.v : undefined;
+        default:
+            return undefined;
+    }
+};
+
+const decodeCursor = (token, sortField) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        if (!payload || typeof payload.id !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+            throw new Error();
+        }
+        const value = readCursorValue(payload, sortField);
+        if (value === undefined) {
+            throw new Error();
+        }
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch (err) {
+        throw new CursorError('Invalid pagination cursor');
+    }
+};
+
+/**
+ * Run a keyset-paginated find, ordered by sortField then _id.
+ * Pass `after` for the next page or `before` for the previous one.
+ * @param {mongoose.Model} model
+ * @param {Object} filter - Query filter
+ * @param {Object} options
+ * @param {string} options.sortField - One of CURSOR_SORT_FIELDS
+ * @param {number} options.sortOrder - 1 ascending, -1 descending
+ * @param {number} options.limit - Page size
+ * @param {string} [options.after] - Cursor of the last item on the current page
+ * @param {string} [options.before] - Cursor of the first item on the current page
+ * @param {Object|string} [options.projection]
+ * @returns {Promise<{ items: Object[], pagination: Object }>}
+ */
+const findWithCursor = async (model, filter, { sortField, sortOrder, limit, after, before, projection }) => {
+    if (!CURSOR_SORT_FIELDS.includes(sortField)) {
+        throw new CursorError(`Cursor pagination supports sorting by: ${CURSOR_SORT_FIELDS.join(', ')}`);
+    }
+    if (after && before) {
+        throw new CursorError('Use either after or before, not both');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 12, 1), MAX_LIMIT);
+    const backwards = Boolean(before);
+
+    // Walking backwards means querying in the opposite order and flipping the result
+    const direction = backwards ? -sortOrder : sortOrder;
+    const comparison = direction === 1 ? '$gt' : '$lt';
+
+    // $text must stay at the top level of the query
+    const { $text, ...rest } = filter;
+    const clauses = [rest];
+    const token = after || before;
+    if (token) {
+        const { value, id } = decodeCursor(token, sortField);
+        clauses.push({
+            $or: [
+                { [sortField]: { [comparison]: value } },
+                { [sortField]: value, _id: { [comparison]: id } }
+            ]
+        });
+    }
+
+    const docs = await model.find({ ...($text && { $text }), $and: clauses }, projection)
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(pageSize + 1)
+        .lean();
+
+    const hasMore = docs.length > pageSize;
+    const items = docs.slice(0, pageSize);
+    if (backwards) {
+        items.reverse();
+    }
+
+    const hasNextPage = backwards ? true : hasMore;
+    const hasPrevPage = backwards ? hasMore : Boolean(after);
+
+    return {
+        items,
+        pagination: {
+            mode: 'cursor',
+            limit: pageSize,
+            hasNextPage,
+            hasPrevPage,
+            nextCursor: hasNextPage && items.length > 0 ? encodeCursor(items[items.length - 1], sortField) : null,
+            prevCursor: hasPrevPage && items.length > 0 ? encodeCursor(items[0], sortField) : null
+        }
+    };
+};
+
+module.exports = {
+    CURSOR_SORT_FIELDS,
+    CursorError,
+    isCursorRequest,
+    encodeCursor,
+    decodeCursor,
+    findWithCursor
+};
@@ -0,0 +1,94 @@
+// Shared pieces of the order emails and the printable packing slip
+
+// Customer-entered text goes into HTML, so escape it
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Describe the variant options picked for an order item, e.g. " (Size: M, Colour: Gold)"
+const describeOptions = (item) => {
+    const options = item.options instanceof Map ? [...item.options] : Object.entries(item.options || {});
+    if (options.length === 0) return '';
+    return ` (${options.map(([name, value]) => `${escapeHtml(name)}: ${escapeHtml(value)}`).join(', ')})`;
+};
+
+// The personalisation an order item needs, as an HTML list ('' when there is none)
+const personalisationHtml = (item) => {
+    if (!item.personalisation || item.personalisation.length === 0) return '';
+
+    const entries = item.personalisation.map(entry => {
+        const value = entry.type === 'image'
+            ? `<a href="${escapeHtml(entry.imageUrl)}">View uploaded image</a>`
+            : `"${escapeHtml(entry.value)}"`;
+        return `<li><strong>${escapeHtml(entry.label)}:</strong> ${value}</li>`;
+    }).join('');
+
+    return `<ul style="margin: 6px 0 0 0; padding-left: 18px;">${entries}</ul>`;
+};
+
+/**
+ * Printable packing slip for an order: what to pick, how to personalise
+ * each item and where it goes. Prices are left off on purpose since the
+ * slip travels with the parcel.
+ */
+const renderPackingSlip = (order) => {
+    const rows = order.items.map(item => `
+                <tr>
+                    <td class="qty">${item.quantity}</td>
+                    <td>
+                        <strong>${escapeHtml(item.title)}</strong>${describeOptions(item)}
+                        ${item.sku ? `<div class="muted">SKU: ${escapeHtml(item.sku)}</div>` : ''}
+                        ${personalisationHtml(item)}
+                    </td>
+                    <td class="check">☐</td>
+                </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Packing slip - Order #${order._id.toString().slice(-8)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; margin: 24px; }
+        h1 { font-size: 22px; margin: 0 0 4px 0; }
+        .muted { color: #666; font-size: 12px; }
+        .section { margin: 18px 0; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+        .qty { width: 48px; font-size: 18px; font-weight: bold; text-align: center; }
+        .check { width: 48px; text-align: center; font-size: 20px; }
+        .note { background: #f4f4f4; border-left: 4px solid #FF6B35; padding: 10px; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>Merciluxe - Packing slip</h1>
+    <div class="muted">Order #${order._id.toString().slice(-8)} &middot; placed ${new Date(order.createdAt).toLocaleDateString()}</div>
+
+    <div class="section">
+        <strong>Deliver to:</strong> ${escapeHtml(order.customer.name)}<br>
+        ${order.customer.address ? `${escapeHtml(order.customer.address)}<br>` : ''}
+        ${order.customer.phone ? `Phone: ${escapeHtml(order.customer.phone)}<br>` : ''}
+        <strong>Delivery date:</strong> ${new Date(order.deliveryDate).toLocaleDateString()}
+    </div>
+
+    <table>
+        <thead>
+            <tr><th>Qty</th><th>Item</th><th>Packed</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+
+    ${order.customer.additionalMessage ? `
+    <div class="section note">
+        <strong>Customer's message:</strong> ${escapeHtml(order.customer.additionalMessage)}
+    </div>` : ''}
+</body>
+</html>`;
+};
+
+module.exports = { escapeHtml, describeOptions, personalisationHtml, renderPackingSlip };
@@ -0,0 +1,236 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { publicIdFromUrl } = require('./cloudinaryMedia');
+
+// Columns of the import/export sheet, in order. `id` is blank for new products;
+// rows with an id update that product on import.
+const COLUMNS = [
+    { header: 'id', key: 'id', width: 26 },
+    { header: 'name', key: 'name', width: 32 },
+    { header: 'description', key: 'description', width: 48 },
+    { header: 'category', key: 'category', width: 12 },
+    { header: 'price', key: 'price', width: 10 },
+    { header: 'originalPrice', key: 'originalPrice', width: 12 },
+    { header: 'stockQuantity', key: 'stockQuantity', width: 12 },
+    { header: 'lowStockThreshold', key: 'lowStockThreshold', width: 16 },
+    { header: 'isOnSale', key: 'isOnSale', width: 10 },
+    { header: 'discountPercentage', key: 'discountPercentage', width: 18 },
+    { header: 'discountAmount', key: 'discountAmount', width: 15 },
+    { header: 'discountStartDate', key: 'discountStartDate', width: 20 },
+    { header: 'discountEndDate', key: 'discountEndDate', width: 20 },
+    { header: 'imageUrls', key: 'imageUrls', width: 60 },
+    { header: 'tags', key: 'tags', width: 24 },
+    { header: 'status', key: 'status', width: 10 }
+];
+
+// Header spellings people tend to use for the same column
+const HEADER_ALIASES = {
+    _id: 'id',
+    stock: 'stockQuantity',
+    quantity: 'stockQuantity',
+    images: 'imageUrls',
+    image: 'imageUrls',
+    onsale: 'isOnSale',
+    discount: 'discountPercentage'
+};
+
+// Image URLs share one cell, separated by | or new lines
+const IMAGE_SEPARATOR = ' | ';
+
+const normaliseHeader = (header) => {
+    const key = String(header || '').trim();
+    const known = COLUMNS.find(column => column.key.toLowerCase() === key.toLowerCase());
+    return known ? known.key : HEADER_ALIASES[key.toLowerCase()] || null;
+};
+
+// ExcelJS gives rich text, hyperlinks and formulas as objects
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.hyperlink) return value.text || value.hyperlink;
+        if ('result' in value) return cellText(value.result);
+        if (value.text) return String(value.text);
+    }
+    return String(value).trim();
+};
+
+// Raised when a sheet holds more product rows than the importer takes
+class SheetTooLargeError extends Error {
+    constructor(maxRows) {
+        super(`Import at most ${maxRows} rows at a time`);
+        this.name = 'SheetTooLargeError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Read the first sheet of a CSV or XLSX file into plain row objects keyed by column.
+ * Unknown columns are ignored; blank rows are skipped.
+ * @param {{ maxRows?: number }} options - Stop reading, and throw, past this many product rows
+ * @returns {Promise<Array<{ rowNumber: number, values: Object }>>}
+ * @throws {SheetTooLargeError} When the sheet has more than `maxRows` product rows
+ */
+const readProductSheet = async (buffer, format, { maxRows = Infinity } = {}) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = format === 'csv'
+        ? await workbook.csv.read(Readable.from(buffer), { parserOptions: { trim: true } })
+        : (await workbook.xlsx.load(buffer), workbook.worksheets[0]);
+
+    if (!sheet || sheet.rowCount < 2) {
+        throw new Error('The spreadsheet has no product rows');
+    }
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+        headers[column] = normaliseHeader(cellText(cell.value));
+    });
+    if (!headers.includes('name')) {
+        throw new Error('The spreadsheet needs a "name" column');
+    }
+
+    const rows = [];
+    for (let rowNumber = 2; rowNumber <= sheet.rowCount; rowNumber++) {
+        const values = {};
+        sheet.getRow(rowNumber).eachCell({ includeEmpty: false }, (cell, column) => {
+            if (headers[column]) values[headers[column]] = cellText(cell.value);
+        });
+        if (!Object.values(values).some(Boolean)) continue;
+
+        if (rows.length === maxRows) {
+            throw new SheetTooLargeError(maxRows);
+        }
+        rows.push({ rowNumber, values });
+    }
+
+    return rows;
+};
+
+const parseBoolean = (value) => ['true', 'yes', '1', 'y'].includes(String(value).toLowerCase());
+
+const parseNumber = (value, field, errors) => {
+    if (value === '' || value === undefined) return undefined;
+    const number = Number(value);
+    if (isNaN(number)) {
+        errors.push(`${field} must be a number`);
+        return undefined;
+    }
+    return number;
+};
+
+const parseDate = (value, field, errors) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) {
+        errors.push(`${field} is not a valid date`);
+        return undefined;
+    }
+    return date;
+};
+
+/**
+ * Turn one sheet row into product fields. Cells left blank are left out, so
+ * an update only touches the columns that were filled in.
+ * @returns {{ data: Object, errors: string[] }}
+ */
+const rowToProductData = (values) => {
+    const errors = [];
+    const data = {};
+
+    ['name', 'description', 'category', 'status'].forEach(field => {
+        if (values[field]) data[field] = values[field];
+    });
+
+    ['price', 'originalPrice', 'discountPercentage', 'discountAmount'].forEach(field => {
+        const number = parseNumber(values[field], field, errors);
+        if (number !== undefined) data[field] = number;
+    });
+
+    // Counts are refused rather than rounded, so 12.7 isn't quietly stored as 12
+    ['stockQuantity', 'lowStockThreshold'].forEach(field => {
+        const number = parseNumber(values[field], field, errors);
+        if (number === undefined) return;
+        if (!Number.isInteger(number)) {
+            errors.push(`${field} must be a whole number`);
+            return;
+        }
+        data[field] = number;
+    });
+
+    if (values.isOnSale) data.isOnSale = parseBoolean(values.isOnSale);
+
+    ['discountStartDate', 'discountEndDate'].forEach(field => {
+        if (values[field] !== undefined) {
+            const date = parseDate(values[field], field, errors);
+            if (date !== undefined) data[field] = date;
+        }
+    });
+
+    if (values.tags) {
+        data.tags = values.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    }
+
+    // Cloudinary links keep their publicId, so replaced or purged images can be deleted.
+    // Other links are checked against the product's current images on import.
+    if (values.imageUrls) {
+        const urls = values.imageUrls.split(/\s*[|\n]\s*/).filter(Boolean);
+        const invalid = urls.filter(url => !/^https?:\/\//i.test(url));
+        if (invalid.length > 0) {
+            errors.push(`imageUrls must be http(s) links: ${invalid.join(', ')}`);
+        }
+        const cloudName = process.env.CLOUDINARY_CLOUD_NAME || null;
+        data.images = urls.map(url => ({
+            imageUrl: url,
+            publicId: publicIdFromUrl(url, { cloudName }) || '',
+            altText: data.name || ''
+        }));
+    }
+
+    return { data, errors };
+};
+
+// One export row per product
+const productToRow = (product) => ({
+    id: product._id.toString(),
+    name: product.name,
+    description: product.description || '',
+    category: product.category,
+    price: product.price,
+    originalPrice: product.originalPrice ?? '',
+    stockQuantity: product.stockQuantity,
+    lowStockThreshold: product.lowStockThreshold,
+    isOnSale: product.isOnSale ? 'true' : 'false',
+    discountPercentage: product.discountPercentage || 0,
+    discountAmount: product.discountAmount || 0,
+    discountStartDate: product.discountStartDate ? product.discountStartDate.toISOString() : '',
+    discountEndDate: product.discountEndDate ? product.discountEndDate.toISOString() : '',
+    imageUrls: (product.images || []).map(image => image.imageUrl).filter(Boolean).join(IMAGE_SEPARATOR),
+    tags: (product.tags || []).join(', '),
+    status: product.status || 'published'
+});
+
+/**
+ * Write products to a CSV or XLSX buffer using the import columns
+ * @returns {Promise<Buffer>}
+ */
+const writeProductSheet = async (products, format) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    products.forEach(product => sheet.addRow(productToRow(product)));
+
+    const output = format === 'csv'
+        ? await workbook.csv.writeBuffer()
+        : await workbook.xlsx.writeBuffer();
+    return Buffer.from(output);
+};
+
+module.exports = {
+    COLUMNS,
+    SheetTooLargeError,
+    readProductSheet,
+    rowToProductData,
+    writeProductSheet
+};
@@ -1,6 +1,7 @@
 // utils/SendEmail.js
 const nodemailer = require('nodemailer');
 const logger = require('./logger');
+const { escapeHtml } = require('./orderDocuments');
 
 // Create email transporter
 const createTransporter = () => {
@@ -629,6 +630,75 @@ const emailTemplates = {
             </table>
         </body>
         </html>
+    `,
+
+    // Back In Stock (sent to customers, not admins)
+    backInStock: ({ productName, options, imageUrl, productUrl, unsubscribeUrl }) => `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        </head>
+        <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+            <table role="presentation" style="width: 100%; border-collapse: collapse;">
+                <tr>
+                    <td align="center" style="padding: 40px 0;">
+                        <table role="presentation" style="width: 600px; border-collapse: collapse; background-color: #ffffff; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+                            <!-- Header -->
+                            <tr>
+                                <td style="background: linear-gradient(135deg, #000000 0%, #333333 100%); padding: 40px; text-align: center;">
+                                    <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 600;">
+                                        It's Back In Stock
+                                    </h1>
+                                </td>
+                            </tr>
+
+                            <!-- Content -->
+                            <tr>
+                                <td style="padding: 40px; text-align: center;">
+                                    ${imageUrl ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(productName)}" style="max-width: 260px; width: 100%; border-radius: 8px; margin: 0 0 25px 0;">` : ''}
+
+                                    <h2 style="margin: 0 0 10px 0; color: #333333; font-size: 22px;">
+                                        ${escapeHtml(productName)}
+                                    </h2>
+                                    ${options ? `<p style="margin: 0 0 20px 0; color: #666666; font-size: 15px;">${escapeHtml(options)}</p>` : ''}
+
+                                    <p style="margin: 0 0 20px 0; color: #666666; font-size: 16px; line-height: 1.6;">
+                                        You asked us to let you know when this was available again. It's back now, while stocks last.
+                                    </p>
+
+                                    <!-- CTA Button -->
+                                    <table role="presentation" style="margin: 30px auto;">
+                                        <tr>
+                                            <td align="center">
+                                                <a href="${escapeHtml(productUrl)}"
+                                                   style="display: inline-block; padding: 15px 40px; background: linear-gradient(135deg, #000000 0%, #333333 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3);">
+                                                    Shop Now →
+                                                </a>
+                                            </td>
+                                        </tr>
+                                    </table>
+                                </td>
+                            </tr>
+
+                            <!-- Footer -->
+                            <tr>
+                                <td style="background-color: #1a1a1a; padding: 30px; text-align: center;">
+                                    <p style="margin: 0; color: #cccccc; font-size: 14px;">
+                                        We'll only send this once. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #cccccc;">Cancel this alert</a>
+                                    </p>
+                                    <p style="margin: 10px 0 0 0; color: #999999; font-size: 12px;">
+                                        © ${new Date().getFullYear()} Merciluxe. All rights reserved.
+                                    </p>
+                                </td>
+                            </tr>
+                        </table>
+                    </td>
+                </tr>
+            </table>
+        </body>
+        </html>
     `
 };
 
@@ -720,11 +790,27 @@ const sendSecurityAlert = async (data) => {
     }
 };
 
+// Single attempt, returning the error: BackInStockService retries failed sends itself
+const sendBackInStockEmail = async (data) => {
+    try {
+        const result = await sendEmail({
+            email: data.email,
+            subject: `Back in stock: ${data.productName} - Merciluxe`,
+            html: emailTemplates.backInStock(data)
+        }, 1);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to send back in stock email: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+};
+
 module.exports = {
     sendNewRegistrationAlert,
     sendApprovalNotification,
     sendRejectionNotification,
     sendPasswordResetEmail,
     sendLoginNotification,
-    sendSecurityAlert
+    sendSecurityAlert,
+    sendBackInStockEmail
 };
\ No newline at end of file
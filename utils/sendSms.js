@@ -0,0 +1,41 @@
+// utils/sendSms.js
+const axios = require('axios');
+const logger = require('./logger');
+
+// Arkesel's v2 API by default; any gateway taking the same JSON body works
+const SMS_API_URL = process.env.SMS_API_URL || 'https://sms.arkesel.com/api/v2/sms/send';
+
+// Send a text message. Resolves to { success, error? } and never throws, like sendEmail.
+const sendSms = async ({ phone, message }) => {
+    if (!process.env.SMS_API_KEY) {
+        logger.error('SMS configuration missing: SMS_API_KEY not set');
+        return { success: false, error: 'SMS configuration missing' };
+    }
+
+    try {
+        const response = await axios.post(
+            SMS_API_URL,
+            {
+                sender: process.env.SMS_SENDER_ID || 'Merciluxe',
+                message,
+                recipients: [phone]
+            },
+            {
+                headers: {
+                    'api-key': process.env.SMS_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                timeout: 15000
+            }
+        );
+
+        logger.info(`SMS sent to ${phone}`);
+        return { success: true, data: response.data };
+    } catch (error) {
+        const reason = error.response?.data?.message || error.message;
+        logger.error(`SMS to ${phone} failed: ${reason}`);
+        return { success: false, error: reason };
+    }
+};
+
+module.exports = { sendSms };
@@ -0,0 +1,46 @@
+// Lowercase, accent-free, hyphen-separated version of a name
+const slugify = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/g, '');
+
+/**
+ * Find a slug for `text` that no other document uses, either as its
+ * current slug or as an old one kept for redirects.
+ * Collisions get a numeric suffix: gold-bracelet, gold-bracelet-2, ...
+ */
+const generateUniqueSlug = async (Model, text, excludeId = null) => {
+    const base = slugify(text) || 'item';
+
+    for (let i = 1; i <= 100; i++) {
+        const candidate = i === 1 ? base : `${base}-${i}`;
+        const taken = await Model.exists({
+            $or: [{ slug: candidate }, { previousSlugs: candidate }],
+            ...(excludeId && { _id: { $ne: excludeId } })
+        });
+        if (!taken) return candidate;
+    }
+
+    return `${base}-${Date.now().toString(36)}`;
+};
+
+/**
+ * Slug fields to update when a document is renamed. The old slug is kept
+ * in previousSlugs so existing links can redirect. Returns {} if unchanged.
+ */
+const buildSlugChange = async (Model, current, text) => {
+    const slug = await generateUniqueSlug(Model, text, current._id);
+    if (slug === current.slug) return {};
+
+    const previousSlugs = [...new Set([...(current.previousSlugs || []), current.slug])]
+        .filter(old => old && old !== slug);
+
+    return { slug, previousSlugs };
+};
+
+module.exports = { slugify, generateUniqueSlug, buildSlugChange };